@@ -0,0 +1,48 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+// Server-side storage adapter: the whole store lives in one JSON file.
+// Writes go to a temp file first and are renamed into place so a crash never leaves half a file behind.
+export class FileStorage {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.data = this.read();
+  }
+
+  read() {
+    try {
+      return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return {};
+      throw error;
+    }
+  }
+
+  flush() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(this.data, null, 2));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  get(key) {
+    if (!(key in this.data)) return null;
+    return structuredClone(this.data[key]);
+  }
+
+  set(key, value) {
+    this.data[key] = structuredClone(value);
+    this.flush();
+  }
+
+  remove(key) {
+    delete this.data[key];
+    this.flush();
+  }
+
+  snapshot() {
+    return structuredClone(this.data);
+  }
+}
+
+export default FileStorage;
@@ -0,0 +1,21 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+// Appends one JSON document per log entry (JSON Lines) to a file
+export class FileTransport {
+  constructor(filePath, { level = null } = {}) {
+    this.level = level;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    this.stream = fs.createWriteStream(filePath, { flags: 'a' });
+  }
+
+  write(entry) {
+    this.stream.write(`${JSON.stringify(entry)}\n`);
+  }
+
+  close() {
+    return new Promise(resolve => this.stream.end(resolve));
+  }
+}
+
+export default FileTransport;
@@ -0,0 +1,140 @@
+import { Logger } from '../src/lib/Logger.js';
+import { isPrivateHost } from '../src/lib/urlSafety.js';
+import { guardedFetch } from './guardedFetch.js';
+import { normalizeHealthPolicy } from '../src/lib/health/LinkHealth.js';
+
+// Links probed at the same time in one round
+const CONCURRENCY = 4;
+
+// Servers that refuse HEAD are asked again with GET
+const HEAD_REFUSED = [405, 501];
+
+const USER_AGENT = 'url-shortener-link-checker';
+
+// Periodically probes every link's destination and records the result with manager.recordHealthCheck,
+// which flags broken links and switches them to their fallback URL. For policy see lib/health/LinkHealth.js;
+// options.fetch replaces guardedFetch and options.allowPrivate permits loopback / private targets
+// (the manager's safety setting by default), e.g. to check against a local stub server.
+export class LinkChecker {
+  constructor(manager, policy = {}, options = {}) {
+    this.logger = new Logger('LinkChecker');
+    this.manager = manager;
+    this.policy = normalizeHealthPolicy(policy);
+    this.allowPrivate = options.allowPrivate ?? Boolean(manager.getSafetyOptions().allowPrivate);
+    this.fetch = options.fetch || ((url, init) => guardedFetch(url, { ...init, allowPrivate: this.allowPrivate }));
+    this.timer = null;
+    this.active = false;
+  }
+
+  start() {
+    if (this.active) return;
+    this.active = true;
+    this.run();
+  }
+
+  // A round already under way finishes, but no further one is scheduled
+  stop() {
+    this.active = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  async run() {
+    try {
+      await this.checkAll();
+    } catch (error) {
+      this.logger.error('Link check failed', { error: error.message });
+    }
+    if (!this.active) return;
+
+    this.timer = setTimeout(() => this.run(), this.policy.intervalMinutes * 60000);
+    // Don't keep a Node process alive just for the checker
+    if (this.timer.unref) this.timer.unref();
+  }
+
+  // One round over every link to check; resolves to { checked, broken }
+  async checkAll() {
+    const queue = [...this.manager.getLinksToCheck()];
+    const result = { checked: 0, broken: 0 };
+
+    const worker = async () => {
+      while (queue.length > 0) {
+        const entry = await this.checkLink(queue.shift());
+        result.checked++;
+        if (entry && entry.state === 'broken') result.broken++;
+      }
+    };
+    await Promise.all(Array.from({ length: CONCURRENCY }, worker));
+
+    if (result.checked > 0) {
+      this.logger.info('Link check finished', result);
+    }
+    return result;
+  }
+
+  // Probe one link's destination and record it; resolves to the link's health entry
+  async checkLink(urlData) {
+    const check = await this.probe(urlData.originalUrl);
+    this.logger.debug('Destination checked', { code: urlData.shortcode, ok: check.ok, statusCode: check.statusCode, error: check.error });
+    return this.manager.recordHealthCheck(urlData.id, check, this.policy.failureThreshold);
+  }
+
+  // Follows redirects by hand so every hop lands in the chain. A check is ok when the last hop answered below 400.
+  async probe(url) {
+    const started = Date.now();
+    const deadline = AbortSignal.timeout(this.policy.timeoutMs);
+    const chain = [];
+    let error = null;
+    let current = url;
+
+    try {
+      while (!error) {
+        if (!this.allowPrivate && isPrivateHost(new URL(current).hostname)) {
+          error = 'Points to a private address';
+          break;
+        }
+
+        const response = await this.request(current, deadline);
+        chain.push({ url: current, statusCode: response.status });
+
+        const location = response.headers.get('Location');
+        if (response.status < 300 || response.status >= 400 || !location) break;
+
+        if (chain.length > this.policy.maxRedirects) {
+          error = 'Too many redirects';
+        } else {
+          current = new URL(location, current).href;
+        }
+      }
+    } catch (err) {
+      // A name that resolves to a private address is caught when connecting
+      if (err.code === 'PRIVATE_ADDRESS') {
+        error = 'Points to a private address';
+      } else {
+        error = deadline.aborted ? 'Timed out' : `Unreachable (${(err.cause || err).code || err.message})`;
+      }
+    }
+
+    const last = chain[chain.length - 1];
+    const statusCode = last ? last.statusCode : null;
+    return {
+      checkedAt: started,
+      ok: !error && statusCode !== null && statusCode < 400,
+      statusCode,
+      latencyMs: Date.now() - started,
+      chain,
+      error
+    };
+  }
+
+  async request(url, signal) {
+    const init = { redirect: 'manual', signal, headers: { 'User-Agent': USER_AGENT } };
+    let response = await this.fetch(url, { ...init, method: 'HEAD' });
+    if (HEAD_REFUSED.includes(response.status)) {
+      response = await this.fetch(url, { ...init, method: 'GET' });
+      // Only the status matters
+      if (response.body) response.body.cancel().catch(() => {});
+    }
+    return response;
+  }
+}
@@ -0,0 +1,106 @@
+import dns from 'node:dns';
+import http from 'node:http';
+import { afterAll, beforeAll, beforeEach, describe, expect, it, vi } from 'vitest';
+import { LinkChecker } from './LinkChecker.js';
+import { URLManager } from '../src/lib/URLManager.js';
+import { configureLogging } from '../src/lib/Logger.js';
+import { MemoryStorage } from '../src/lib/storage/index.js';
+
+// Stub destinations: each path answers the way a real site might fail
+let flakyStatus = 503;
+const stub = http.createServer((req, res) => {
+  const routes = {
+    '/ok': () => res.end('ok'),
+    '/moved': () => res.writeHead(301, { Location: '/ok' }).end(),
+    '/loop': () => res.writeHead(302, { Location: '/loop' }).end(),
+    '/no-head': () => res.writeHead(req.method === 'HEAD' ? 405 : 200).end(),
+    '/slow': () => setTimeout(() => res.end('late'), 500),
+    '/flaky': () => res.writeHead(flakyStatus).end()
+  };
+  (routes[req.url] || (() => res.writeHead(404).end()))();
+});
+let base;
+
+beforeAll(async () => {
+  configureLogging({ level: 'silent' });
+  await new Promise(resolve => stub.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${stub.address().port}`;
+});
+
+afterAll(() => new Promise(resolve => stub.close(resolve)));
+
+describe('LinkChecker', () => {
+  let manager;
+  let checker;
+
+  beforeEach(() => {
+    manager = new URLManager(new MemoryStorage(), { domains: ['https://sho.rt'], safety: { allowPrivate: true } });
+    checker = new LinkChecker(manager, { timeoutMs: 200, maxRedirects: 3, failureThreshold: 2 });
+    flakyStatus = 503;
+  });
+
+  it('records the status code, latency and redirect chain', async () => {
+    const check = await checker.probe(`${base}/moved`);
+
+    expect(check).toMatchObject({ ok: true, statusCode: 200, error: null });
+    expect(check.chain).toEqual([{ url: `${base}/moved`, statusCode: 301 }, { url: `${base}/ok`, statusCode: 200 }]);
+    expect(check.latencyMs).toBeGreaterThanOrEqual(0);
+  });
+
+  it.each([
+    ['/missing', { ok: false, statusCode: 404, error: null }],
+    ['/loop', { ok: false, statusCode: 302, error: 'Too many redirects' }],
+    ['/slow', { ok: false, statusCode: null, error: 'Timed out' }],
+    ['/no-head', { ok: true, statusCode: 200, error: null }]
+  ])('probes %s', async (path, expected) => {
+    expect(await checker.probe(`${base}${path}`)).toMatchObject(expected);
+  });
+
+  it('refuses private addresses unless they are allowed', async () => {
+    const strict = new LinkChecker(manager, {}, { allowPrivate: false });
+    expect(await strict.probe(`${base}/ok`)).toMatchObject({ ok: false, error: 'Points to a private address', chain: [] });
+  });
+
+  it('refuses names that resolve to a private address', async () => {
+    const strict = new LinkChecker(manager, {}, { allowPrivate: false });
+    vi.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) => callback(null, [{ address: '127.0.0.1', family: 4 }]));
+    try {
+      expect(await strict.probe(`http://stub.test:${stub.address().port}/ok`)).toMatchObject({ ok: false, error: 'Points to a private address', chain: [] });
+    } finally {
+      vi.restoreAllMocks();
+    }
+  });
+
+  it('flags a link as broken after repeated failures and keeps its history', async () => {
+    const urlData = manager.createShortUrl(`${base}/missing`, 30);
+    manager.createShortUrl(`${base}/ok`, 30);
+
+    expect(await checker.checkAll()).toEqual({ checked: 2, broken: 0 });
+    expect(manager.getHealthState(urlData)).toBe('healthy');
+    expect(await checker.checkAll()).toEqual({ checked: 2, broken: 1 });
+    expect(manager.getHealthState(urlData)).toBe('broken');
+    expect(manager.getLinkHealth(urlData).checks).toHaveLength(2);
+  });
+
+  it('switches to the fallback URL while the destination is broken', async () => {
+    const created = manager.createShortUrl(`${base}/flaky`, 30, 'flaky', { fallbackUrl: 'https://example.com/sorry' });
+    const current = () => manager.getUrlByShortcode('flaky');
+
+    await checker.checkLink(created);
+    await checker.checkLink(created);
+    expect(current().fallbackActive).toBe(true);
+    expect(manager.routeVisit(current()).destination).toBe('https://example.com/sorry');
+
+    flakyStatus = 200;
+    await checker.checkLink(created);
+    expect(current().fallbackActive).toBe(false);
+    expect(manager.routeVisit(current()).destination).toBe(`${base}/flaky`);
+    expect(manager.auditLog.loadEvents().map(event => event.action)).toEqual(expect.arrayContaining(['fallbackOn', 'fallbackOff']));
+  });
+
+  it('skips disabled links', async () => {
+    manager.createShortUrl(`${base}/ok`, 30, 'off');
+    manager.setDisabled('off', true);
+    expect(await checker.checkAll()).toEqual({ checked: 0, broken: 0 });
+  });
+});
@@ -0,0 +1,45 @@
+import crypto from 'node:crypto';
+
+// Wraps the server's store with a version per key, so browsers syncing through /api/storage can't
+// overwrite each other's writes, or the server's own (click counts, health checks), with a stale copy.
+// Versions are only compared for equality; the boot id keeps them from repeating after a restart.
+export class VersionedStorage {
+  constructor(storage) {
+    this.storage = storage;
+    this.bootId = crypto.randomUUID().slice(0, 8);
+    this.revision = 0;
+    this.versions = new Map();
+  }
+
+  version(key) {
+    return this.versions.get(key) || `${this.bootId}.0`;
+  }
+
+  versionsOf(keys) {
+    return Object.fromEntries(keys.map(key => [key, this.version(key)]));
+  }
+
+  bump(key) {
+    this.versions.set(key, `${this.bootId}.${++this.revision}`);
+  }
+
+  get(key) {
+    return this.storage.get(key);
+  }
+
+  set(key, value) {
+    this.storage.set(key, value);
+    this.bump(key);
+  }
+
+  remove(key) {
+    this.storage.remove(key);
+    this.bump(key);
+  }
+
+  snapshot() {
+    return this.storage.snapshot();
+  }
+}
+
+export default VersionedStorage;
@@ -0,0 +1,104 @@
+import crypto from 'node:crypto';
+import { AccountManager } from '../src/lib/AccountManager.js';
+import { ErrorCodes, URLError } from '../src/lib/errors.js';
+import { MemoryStorage } from '../src/lib/storage/index.js';
+import { ERROR_STATUS } from './api.js';
+import { HttpError, readJsonBody, sendError, sendJson } from './http.js';
+
+const ACCOUNT_PATH = /^\/api\/account\/(session|keys|users)(?:\/([^/]+))?$/;
+const MAX_SESSIONS = 1000;
+
+// Account changes for browsers syncing through /api/storage (see RemoteAccountManager). Password and
+// API key hashes never leave the server, so the app signs in here and sends the session token back:
+//   POST   /api/account/session     { username, password, register? }  -> { user, token }
+//   DELETE /api/account/session
+//   POST   /api/account/keys        { name }                            -> the key, shown once
+//   DELETE /api/account/keys/:id    revoke
+//   PATCH  /api/account/users/:id   { role }                            admins only
+// Every response carries `records`, the synced account keys as they are now, so the app can show the change.
+// Sessions live in memory and end when the server restarts.
+export function createAccountRouter({ accounts, storage }) {
+  // token -> userId, oldest first
+  const sessions = new Map();
+
+  // An AccountManager acting as the session's user, so its own checks (admin only, own keys only) apply
+  const signedIn = (req) => {
+    const authorization = req.headers.authorization || '';
+    const userId = authorization.startsWith('Bearer ') ? sessions.get(authorization.slice(7).trim()) : null;
+    if (!userId) {
+      throw new URLError(ErrorCodes.UNAUTHORIZED, 'Your session has ended, sign in again');
+    }
+    return new AccountManager(accounts.storage, new MemoryStorage({ userId }));
+  };
+
+  const readObjectBody = async (req) => {
+    const body = await readJsonBody(req);
+    if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+      throw new HttpError(400, 'INVALID_BODY', 'Request body must be a JSON object');
+    }
+    return body;
+  };
+
+  const send = (res, statusCode, data) => {
+    const records = accounts.publicRecords();
+    sendJson(res, statusCode, { data, records: { data: records, versions: storage.versionsOf(Object.keys(records)) } });
+  };
+
+  const signIn = async (req, res) => {
+    const { username, password, register = false } = await readObjectBody(req);
+    const session = new AccountManager(accounts.storage, new MemoryStorage());
+    const user = register === true ? session.register(username, password) : session.login(username, password);
+
+    const token = crypto.randomBytes(24).toString('hex');
+    sessions.set(token, user.id);
+    if (sessions.size > MAX_SESSIONS) {
+      sessions.delete(sessions.keys().next().value);
+    }
+    send(res, register === true ? 201 : 200, { user, token });
+  };
+
+  const signOut = (req, res) => {
+    const authorization = req.headers.authorization || '';
+    sessions.delete(authorization.slice(7).trim());
+    send(res, 200, null);
+  };
+
+  const createKey = async (req, res) => {
+    const { name } = await readObjectBody(req);
+    send(res, 201, signedIn(req).createApiKey(name));
+  };
+
+  const revokeKey = (req, res, id) => {
+    send(res, 200, signedIn(req).revokeApiKey(id));
+  };
+
+  const setRole = async (req, res, id) => {
+    const { role } = await readObjectBody(req);
+    send(res, 200, signedIn(req).setRole(id, role));
+  };
+
+  const routes = {
+    session: { collection: { POST: signIn, DELETE: signOut } },
+    keys: { collection: { POST: createKey }, item: { DELETE: revokeKey } },
+    users: { item: { PATCH: setRole } }
+  };
+
+  return async (req, res, pathname) => {
+    const match = pathname.match(ACCOUNT_PATH);
+    const handlers = match && (match[2] ? routes[match[1]].item : routes[match[1]].collection);
+    if (!handlers) {
+      throw new HttpError(404, ErrorCodes.NOT_FOUND, 'Unknown API endpoint');
+    }
+    const handler = handlers[req.method];
+    if (!handler) {
+      throw new HttpError(405, 'METHOD_NOT_ALLOWED', 'Method not allowed');
+    }
+
+    try {
+      await handler(req, res, match[2] && decodeURIComponent(match[2]));
+    } catch (error) {
+      if (!(error instanceof URLError)) throw error;
+      sendError(res, ERROR_STATUS[error.code] || 400, error.code, error.message);
+    }
+  };
+}
@@ -0,0 +1,219 @@
+import { ErrorCodes, URLError } from '../src/lib/errors.js';
+import { healthState } from '../src/lib/health/LinkHealth.js';
+import { HttpError, readJsonBody, sendError, sendJson } from './http.js';
+
+// HTTP status for each URLManager error code
+export const ERROR_STATUS = {
+  [ErrorCodes.INVALID_URL]: 400,
+  [ErrorCodes.PRIVATE_ADDRESS]: 400,
+  [ErrorCodes.DOMAIN_BLOCKED]: 403,
+  [ErrorCodes.DOMAIN_NOT_ALLOWED]: 403,
+  [ErrorCodes.REDIRECT_LOOP]: 400,
+  [ErrorCodes.INVALID_VALIDITY]: 400,
+  [ErrorCodes.INVALID_ACTIVATION]: 400,
+  [ErrorCodes.INVALID_SHORTCODE]: 400,
+  [ErrorCodes.SHORTCODE_TAKEN]: 409,
+  [ErrorCodes.SHORTCODE_RESERVED]: 409,
+  [ErrorCodes.SHORTCODE_EXHAUSTED]: 503,
+  [ErrorCodes.INVALID_PASSWORD]: 400,
+  [ErrorCodes.INVALID_MAX_CLICKS]: 400,
+  [ErrorCodes.INVALID_REDIRECT_MODE]: 400,
+  [ErrorCodes.INVALID_RULES]: 400,
+  [ErrorCodes.INVALID_METADATA]: 400,
+  [ErrorCodes.INVALID_CAMPAIGN]: 400,
+  [ErrorCodes.INVALID_DOMAIN]: 400,
+  [ErrorCodes.WRONG_PASSWORD]: 403,
+  [ErrorCodes.INVALID_USERNAME]: 400,
+  [ErrorCodes.USERNAME_TAKEN]: 409,
+  [ErrorCodes.INVALID_CREDENTIALS]: 401,
+  [ErrorCodes.INVALID_ROLE]: 400,
+  [ErrorCodes.FORBIDDEN]: 403,
+  [ErrorCodes.UNAUTHORIZED]: 401,
+  [ErrorCodes.INVALID_API_KEY_NAME]: 400,
+  [ErrorCodes.RATE_LIMITED]: 429,
+  [ErrorCodes.NOT_FOUND]: 404,
+  [ErrorCodes.EXPIRED]: 410,
+  [ErrorCodes.NOT_YET_ACTIVE]: 403,
+  [ErrorCodes.DISABLED]: 410,
+  [ErrorCodes.CLICK_LIMIT_REACHED]: 410
+};
+
+const API_PATH = /^\/api\/(urls|campaigns)(?:\/([^/]+))?$/;
+
+// JSON REST API over URLManager:
+//   GET    /api/urls         list the key owner's active links (all links for admins)
+//   POST   /api/urls         { originalUrl, minutes?, expiresAt?, activatesAt?, shortcode?, password?, maxClicks?, redirectMode?, forwardQuery?, rules?,
+//                               title?, notes?, tags?, campaign?, fallbackUrl?, domain? }
+//   GET    /api/urls/:code
+//   PATCH  /api/urls/:code   { originalUrl?, minutes?, expiresAt?, activatesAt?, extendMinutes?, shortcode?, disabled?, password?, maxClicks?, redirectMode?, forwardQuery?, rules?,
+//                               title?, notes?, tags?, campaign?, fallbackUrl? }
+//   DELETE /api/urls/:code
+//   GET    /api/campaigns    the key owner's campaigns with link counts and click totals
+//   POST   /api/campaigns    { name, description? }
+// Links carry health ('healthy', 'broken' or 'unchecked') from the server's link checker.
+// Every request needs an API key (Authorization: Bearer <key> or X-API-Key) and acts as the key's owner.
+// Creation is rate limited per key and per client IP.
+// Links belong to the domain of the request's Host header unless ?domain= (or "domain" on create) names another.
+export function createApiRouter({ manager, accounts, limiter }) {
+  // Listings pass the health entries in, read once for the whole page
+  const toResource = (urlData, healthEntries = manager.getHealthEntries()) => ({
+    ...manager.toPublic(urlData),
+    shortUrl: manager.getShortUrl(urlData),
+    health: healthState(healthEntries[urlData.id])
+  });
+
+  const locationOf = (urlData) => {
+    const query = urlData.domain && urlData.domain !== manager.getDefaultDomain() ? `?domain=${encodeURIComponent(urlData.domain)}` : '';
+    return `/api/urls/${urlData.shortcode}${query}`;
+  };
+
+  const readObjectBody = async (req) => {
+    const body = await readJsonBody(req);
+    if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+      throw new HttpError(400, 'INVALID_BODY', 'Request body must be a JSON object');
+    }
+    return body;
+  };
+
+  const authenticate = (req) => {
+    const authorization = req.headers.authorization || '';
+    const key = authorization.startsWith('Bearer ') ? authorization.slice(7).trim() : req.headers['x-api-key'];
+    const auth = key ? accounts.authenticateApiKey(key) : null;
+    if (!auth) {
+      throw new URLError(ErrorCodes.UNAUTHORIZED, 'A valid API key is required (Authorization: Bearer <key>)');
+    }
+    return auth;
+  };
+
+  const assertBoolean = (name, value) => {
+    if (value !== undefined && typeof value !== 'boolean') {
+      throw new HttpError(400, 'INVALID_BODY', `"${name}" must be a boolean`);
+    }
+  };
+
+  const listUrls = (req, res, { scoped }) => {
+    const healthEntries = manager.getHealthEntries();
+    sendJson(res, 200, { data: scoped.getAllActiveUrls().map(urlData => toResource(urlData, healthEntries)) });
+  };
+
+  const createUrl = async (req, res, { scoped, apiKey, domain }) => {
+    const [keyLimit] = limiter.consume([
+      { bucketKey: `key:${apiKey.id}`, limitName: 'perKey' },
+      { bucketKey: `ip:${req.socket.remoteAddress}`, limitName: 'perIp' }
+    ]);
+
+    const {
+      originalUrl, minutes = 30, expiresAt = null, activatesAt = null, shortcode = null, password = null, maxClicks = null,
+      redirectMode = 'direct', forwardQuery = false, rules = [], title, notes, tags, campaign, fallbackUrl = null,
+      domain: requested
+    } = await readObjectBody(req);
+    assertBoolean('forwardQuery', forwardQuery);
+    const urlData = scoped.createShortUrl(originalUrl, minutes, shortcode || null, {
+      password, maxClicks, redirectMode, domain: requested ?? domain, expiresAt, activatesAt, forwardQuery, rules, title, notes, tags, campaign,
+      fallbackUrl
+    });
+    sendJson(res, 201, { data: toResource(urlData) }, {
+      Location: locationOf(urlData),
+      'X-RateLimit-Limit': keyLimit.limit,
+      'X-RateLimit-Remaining': keyLimit.remaining
+    });
+  };
+
+  // Lookups are scoped too, so a key can't read other users' links
+  const getUrl = (req, res, { scoped, code, domain }) => {
+    const { status, urlData } = scoped.resolveShortcode(code, domain);
+
+    if (urlData && !scoped.canManage(urlData)) {
+      throw new URLError(ErrorCodes.NOT_FOUND, 'Short URL not found');
+    }
+    const error = scoped.errorForStatus(status);
+    if (error) throw error;
+    sendJson(res, 200, { data: toResource(urlData) });
+  };
+
+  const updateUrl = async (req, res, { scoped, code, domain }) => {
+    const {
+      originalUrl, minutes, expiresAt, activatesAt, extendMinutes, shortcode, disabled, password, maxClicks, redirectMode, forwardQuery,
+      rules, title, notes, tags, campaign, fallbackUrl
+    } = await readObjectBody(req);
+
+    assertBoolean('disabled', disabled);
+    assertBoolean('forwardQuery', forwardQuery);
+    // Validate up front so a bad extension doesn't leave the other changes half-applied
+    if (extendMinutes !== undefined) {
+      scoped.assertValidMinutes(extendMinutes);
+    }
+
+    let urlData = scoped.updateShortUrl(code, {
+      originalUrl, minutes, expiresAt, activatesAt, shortcode, password, maxClicks, redirectMode, forwardQuery, rules,
+      title, notes, tags, campaign, fallbackUrl
+    }, domain);
+    if (extendMinutes !== undefined) {
+      urlData = scoped.extendExpiry(urlData.shortcode, extendMinutes, domain);
+    }
+    if (disabled !== undefined) {
+      urlData = scoped.setDisabled(urlData.shortcode, disabled, domain);
+    }
+    sendJson(res, 200, { data: toResource(urlData) });
+  };
+
+  const deleteUrl = (req, res, { scoped, code, domain }) => {
+    scoped.deleteShortUrl(code, domain);
+    res.writeHead(204);
+    res.end();
+  };
+
+  const listCampaigns = (req, res, { scoped }) => {
+    const data = scoped.getCampaignSummary()
+      .filter(entry => entry.campaign)
+      .map(({ campaign, links, activeLinks, clicks }) => ({ ...campaign, links, activeLinks, clicks }));
+    sendJson(res, 200, { data });
+  };
+
+  const createCampaign = async (req, res, { scoped }) => {
+    const { name, description = '' } = await readObjectBody(req);
+    sendJson(res, 201, { data: scoped.createCampaign(name, description) });
+  };
+
+  const routes = {
+    urls: {
+      collection: { GET: listUrls, POST: createUrl },
+      item: { GET: getUrl, PATCH: updateUrl, DELETE: deleteUrl }
+    },
+    campaigns: {
+      collection: { GET: listCampaigns, POST: createCampaign }
+    }
+  };
+
+  return async (req, res, pathname, searchParams) => {
+    const match = pathname.match(API_PATH);
+    if (!match) {
+      throw new HttpError(404, ErrorCodes.NOT_FOUND, 'Unknown API endpoint');
+    }
+
+    const code = match[2];
+    const handlers = code ? routes[match[1]].item : routes[match[1]].collection;
+    if (!handlers) {
+      throw new HttpError(404, ErrorCodes.NOT_FOUND, 'Unknown API endpoint');
+    }
+    const handler = handlers[req.method];
+    if (!handler) {
+      throw new HttpError(405, 'METHOD_NOT_ALLOWED', 'Method not allowed');
+    }
+
+    const domain = searchParams.get('domain') || manager.resolveDomain(req.headers.host);
+    try {
+      const { apiKey, user } = authenticate(req);
+      await handler(req, res, { scoped: manager.forUser(user), apiKey, code, domain });
+    } catch (error) {
+      if (!(error instanceof URLError)) throw error;
+
+      if (error.code === ErrorCodes.RATE_LIMITED) {
+        sendError(res, 429, error.code, error.message, error.details, { 'Retry-After': error.details.retryAfter });
+        return;
+      }
+      const headers = error.code === ErrorCodes.UNAUTHORIZED ? { 'WWW-Authenticate': 'Bearer' } : {};
+      sendError(res, ERROR_STATUS[error.code] || 400, error.code, error.message, undefined, headers);
+    }
+  };
+}
@@ -0,0 +1,225 @@
+import { Logger } from '../src/lib/Logger.js';
+import { findStaticFile, sendFile, sendIndex } from './static.js';
+import { HttpError, isLoopbackRequest, readFormBody, readJsonBody, sendError, sendJson } from './http.js';
+import { sendPreviewPage, sendUnavailable, sendUnlockForm } from './pages.js';
+import { fetchPageTitle } from './pageTitle.js';
+import { parsePreviewPath } from '../src/lib/preview.js';
+import { createApiRouter } from './api.js';
+import { createAccountRouter } from './accountApi.js';
+import { SERVER_OWNED_KEYS } from '../src/lib/storage/index.js';
+
+const SHORTCODE_PATH = /^\/([a-zA-Z0-9]{1,10})$/;
+const STORAGE_PATH = /^\/api\/storage(?:\/([A-Za-z0-9_-]+))?$/;
+
+// What routing rules and click analytics know about a visitor
+const visitContext = (req) => ({ userAgent: req.headers['user-agent'], language: req.headers['accept-language'] });
+
+export function createRequestHandler({ manager, accounts, limiter, storage, distDir, redirectStatus = 302 }) {
+  const logger = new Logger('Server');
+  let requestCount = 0;
+  const handleApi = createApiRouter({ manager, accounts, limiter });
+  const handleAccounts = createAccountRouter({ accounts, storage });
+
+  // Browsers served by this process replicate their store through here (see RemoteStorage).
+  // The snapshot holds every destination, so only the machine running the server may sync.
+  // A write names the version of the key it replaces (If-Match, or If-None-Match: * for a new key);
+  // a stale one gets 409 with the current value and version, so the browser can merge and retry.
+  // Accounts, API keys and rate limit buckets belong to the server: the snapshot only carries what the
+  // app shows of them (no password or key hashes, no per-IP buckets) and they change through /api/account.
+  const handleStorageSync = async (req, res, key) => {
+    if (!isLoopbackRequest(req)) {
+      throw new HttpError(403, 'FORBIDDEN', 'Storage sync is only available locally');
+    }
+    if (!key && req.method === 'GET') {
+      const data = { ...storage.snapshot(), ...accounts.publicRecords(), rateLimitBuckets: limiter.keyBuckets() };
+      sendJson(res, 200, { data, versions: storage.versionsOf(Object.keys(data)) });
+      return;
+    }
+    if (!key || (req.method !== 'PUT' && req.method !== 'DELETE')) {
+      throw new HttpError(405, 'METHOD_NOT_ALLOWED', 'Method not allowed');
+    }
+    if (SERVER_OWNED_KEYS.includes(key)) {
+      throw new HttpError(403, 'FORBIDDEN', `"${key}" can only be changed by the server`);
+    }
+
+    const value = req.method === 'PUT' ? await readJsonBody(req) : null;
+    const expected = req.headers['if-match'];
+    if (!expected && req.headers['if-none-match'] !== '*') {
+      throw new HttpError(428, 'PRECONDITION_REQUIRED', 'Name the version being replaced with If-Match');
+    }
+
+    const current = storage.get(key);
+    const stale = expected ? expected !== storage.version(key) : current !== null;
+    if (stale) {
+      sendError(res, 409, 'VERSION_CONFLICT', `"${key}" changed on the server`, { value: current, version: storage.version(key) });
+      return;
+    }
+
+    if (req.method === 'PUT') {
+      storage.set(key, value);
+    } else {
+      storage.remove(key);
+    }
+    sendJson(res, 200, { data: { version: storage.version(key) } });
+  };
+
+  const redirect = (req, res, shortcode, urlData, statusCode) => {
+    const context = { referrer: req.headers.referer, ...visitContext(req) };
+    const { destination, branch } = manager.routeVisit(urlData, context);
+
+    // HEAD requests (link previews, uptime checks) don't count as visits, so they only learn where
+    // links without a click limit go; otherwise a one-time link could be resolved any number of times
+    if (req.method === 'HEAD' && manager.hasClickLimit(urlData)) {
+      res.writeHead(200, { 'Cache-Control': 'no-store' });
+      res.end();
+      return;
+    }
+    if (req.method !== 'HEAD') {
+      const counted = manager.incrementClicks(shortcode, { ...context, branch }, urlData.domain);
+      if (!counted) {
+        sendUnavailable(req, res, shortcode, 'exhausted', urlData);
+        return;
+      }
+    }
+    req.logger.info('Redirecting', { shortcode, status: statusCode, branch });
+
+    // Links expire, count clicks and may route each visit differently, so even a 301 must not be cached by the browser
+    const target = manager.getRedirectTarget(urlData, new URL(req.url, 'http://localhost').searchParams, destination);
+    res.writeHead(statusCode, { Location: target, 'Cache-Control': 'no-store' });
+    res.end();
+  };
+
+  // Links resolve within the domain the request arrived on
+  const handlePreview = async (req, res, shortcode, autoContinue) => {
+    const { status, urlData } = manager.resolveShortcode(shortcode, manager.resolveDomain(req.headers.host));
+
+    if (status !== 'active' && status !== 'protected') {
+      sendUnavailable(req, res, shortcode, status, urlData);
+      return;
+    }
+
+    // Don't reveal anything about a protected destination before the password is given, nor
+    // about a limited one before the visit that spends a click
+    const isProtected = status === 'protected';
+    const isLimited = manager.hasClickLimit(urlData);
+    const hidden = isProtected || isLimited;
+    // Show the destination this visitor's rules pick; a weighted split may still pick again on Continue
+    const { destination } = manager.routeVisit(urlData, visitContext(req));
+    const title = hidden || req.method === 'HEAD' ? null : await fetchPageTitle(destination, { allowPrivate: Boolean(manager.getSafetyOptions().allowPrivate) });
+    sendPreviewPage(req, res, { ...urlData, originalUrl: hidden ? '' : destination }, { title, autoContinue, isProtected, isLimited });
+  };
+
+  // skipPreview is set by the preview page's "Continue" (?go=1)
+  const handleRedirect = async (req, res, shortcode, skipPreview) => {
+    const domain = manager.resolveDomain(req.headers.host);
+    const { status, urlData } = manager.resolveShortcode(shortcode, domain);
+
+    if (status !== 'active' && status !== 'protected') {
+      sendUnavailable(req, res, shortcode, status, urlData);
+      return;
+    }
+
+    if (status === 'active') {
+      if (req.method === 'POST') throw new HttpError(405, 'METHOD_NOT_ALLOWED', 'Method not allowed');
+      if (urlData.redirectMode === 'preview' && !skipPreview) {
+        await handlePreview(req, res, shortcode, true);
+        return;
+      }
+      redirect(req, res, shortcode, urlData, redirectStatus);
+      return;
+    }
+
+    // Protected: GET shows the form, POST checks the password
+    if (req.method !== 'POST') {
+      sendUnlockForm(req, res, 200, shortcode);
+      return;
+    }
+
+    const form = await readFormBody(req);
+    try {
+      manager.unlockShortUrl(shortcode, form.get('password') || '', domain);
+    } catch (error) {
+      sendUnlockForm(req, res, 403, shortcode, error.message);
+      return;
+    }
+    // 303 so the browser follows with a GET instead of re-posting the password
+    redirect(req, res, shortcode, urlData, 303);
+  };
+
+  const route = async (req, res) => {
+    const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+
+    const storageMatch = pathname.match(STORAGE_PATH);
+    if (storageMatch) {
+      await handleStorageSync(req, res, storageMatch[1]);
+      return;
+    }
+
+    // The app's sign-in and account changes; local only, like the sync they go with
+    if (/^\/api\/account(\/|$)/.test(pathname)) {
+      if (!isLoopbackRequest(req)) {
+        throw new HttpError(403, 'FORBIDDEN', 'Accounts are only managed locally');
+      }
+      await handleAccounts(req, res, pathname);
+      return;
+    }
+
+    if (/^\/api\/(urls|campaigns)(\/|$)/.test(pathname)) {
+      await handleApi(req, res, pathname, searchParams);
+      return;
+    }
+
+    const previewCode = parsePreviewPath(pathname);
+    if (previewCode && (req.method === 'GET' || req.method === 'HEAD')) {
+      await handlePreview(req, res, previewCode, false);
+      return;
+    }
+
+    const shortcodeMatch = pathname.match(SHORTCODE_PATH);
+    const isLinkPath = shortcodeMatch && !findStaticFile(distDir, pathname) && !manager.isReservedCode(shortcodeMatch[1]);
+    const allowed = isLinkPath ? ['GET', 'HEAD', 'POST'] : ['GET', 'HEAD'];
+    if (!allowed.includes(req.method)) {
+      throw new HttpError(405, 'METHOD_NOT_ALLOWED', 'Method not allowed');
+    }
+
+    // Reserved codes are SPA routes (e.g. /statistics), never links
+    if (isLinkPath) {
+      await handleRedirect(req, res, shortcodeMatch[1], searchParams.has('go'));
+      return;
+    }
+
+    const filePath = findStaticFile(distDir, pathname);
+    if (filePath) {
+      sendFile(req, res, filePath);
+      return;
+    }
+
+    sendIndex(req, res, distDir);
+  };
+
+  return async (req, res) => {
+    // Query strings stay out of the context; they often carry tokens
+    req.logger = logger.child({ requestId: ++requestCount, method: req.method, path: req.url.split('?')[0] });
+    const started = Date.now();
+    res.on('finish', () => {
+      req.logger.info('Request handled', { status: res.statusCode, durationMs: Date.now() - started });
+    });
+
+    try {
+      await route(req, res);
+    } catch (error) {
+      if (!(error instanceof HttpError)) {
+        req.logger.error('Request failed', { error: error.message, stack: error.stack });
+      }
+      if (!res.headersSent) {
+        if (error instanceof HttpError) {
+          sendError(res, error.statusCode, error.code, error.message);
+        } else {
+          sendError(res, 500, 'INTERNAL_ERROR', 'Internal server error');
+        }
+      } else {
+        res.end();
+      }
+    }
+  };
+}
@@ -0,0 +1,176 @@
+import http from 'node:http';
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+import { createRequestHandler } from './app.js';
+import { URLManager } from '../src/lib/URLManager.js';
+import { AccountManager } from '../src/lib/AccountManager.js';
+import { RemoteAccountManager } from '../src/lib/RemoteAccountManager.js';
+import { RateLimiter } from '../src/lib/RateLimiter.js';
+import { configureLogging } from '../src/lib/Logger.js';
+import { MemoryStorage, RemoteStorage } from '../src/lib/storage/index.js';
+import { VersionedStorage } from './VersionedStorage.js';
+
+// End to end over HTTP: a link is created through the REST API and followed like a browser would
+let server;
+let handler;
+let storage;
+let base;
+let apiKey;
+
+beforeAll(async () => {
+  configureLogging({ level: 'silent' });
+  storage = new VersionedStorage(new MemoryStorage());
+  const accounts = new AccountManager(storage, new MemoryStorage());
+  accounts.register('alice', 'correct horse');
+  accounts.login('alice', 'correct horse');
+  apiKey = accounts.createApiKey('tests').key;
+
+  server = http.createServer((req, res) => handler(req, res));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+
+  // Links are issued on the listening port, so the handler is only created once it is known
+  const manager = new URLManager(storage, { domains: [base], shortcodes: { reserved: ['pricing'] } });
+  handler = createRequestHandler({ manager, accounts, limiter: new RateLimiter(storage), storage, distDir: '/nonexistent' });
+});
+
+afterAll(() => new Promise(resolve => server.close(resolve)));
+
+const api = (path, init = {}) => fetch(`${base}${path}`, {
+  ...init,
+  headers: { Authorization: `Bearer ${apiKey}`, 'Content-Type': 'application/json', ...init.headers }
+});
+
+describe('create and follow a short link', () => {
+  it('redirects to the destination and counts the visit', async () => {
+    const created = await api('/api/urls', {
+      method: 'POST',
+      body: JSON.stringify({ originalUrl: 'https://example.com/landing', shortcode: 'e2e', forwardQuery: true })
+    });
+    expect(created.status).toBe(201);
+    const { data } = await created.json();
+    expect(data.shortUrl).toBe(`${base}/e2e`);
+
+    const visit = await fetch(`${data.shortUrl}?ref=test`, { redirect: 'manual', headers: { 'User-Agent': 'Mozilla/5.0 (Windows NT 10.0)' } });
+    expect(visit.status).toBe(302);
+    expect(visit.headers.get('Location')).toBe('https://example.com/landing?ref=test');
+    expect(visit.headers.get('Cache-Control')).toBe('no-store');
+
+    const after = await (await api('/api/urls/e2e')).json();
+    expect(after.data.clicks).toBe(1);
+  });
+
+  it('answers 404 for unknown codes and 410 once a link is disabled', async () => {
+    expect((await fetch(`${base}/nothere`, { redirect: 'manual' })).status).toBe(404);
+
+    await api('/api/urls', { method: 'POST', body: JSON.stringify({ originalUrl: 'https://example.com', shortcode: 'gone' }) });
+    await api('/api/urls/gone', { method: 'PATCH', body: JSON.stringify({ disabled: true }) });
+    expect((await fetch(`${base}/gone`, { redirect: 'manual' })).status).toBe(410);
+  });
+
+  it('serves the app, not a link lookup, for configured reserved codes', async () => {
+    expect((await fetch(`${base}/pricing`, { redirect: 'manual' })).status).toBe(503);
+    expect((await fetch(`${base}/pricing`, { method: 'POST' })).status).toBe(405);
+  });
+
+  it('never reveals a one-time destination without spending its click', async () => {
+    await api('/api/urls', { method: 'POST', body: JSON.stringify({ originalUrl: 'https://example.com/secret-offer', shortcode: 'once', maxClicks: 1 }) });
+
+    const head = await fetch(`${base}/once`, { method: 'HEAD', redirect: 'manual' });
+    expect(head.status).toBe(200);
+    expect(head.headers.get('Location')).toBeNull();
+    expect(await (await fetch(`${base}/preview/once`)).text()).not.toContain('secret-offer');
+
+    expect((await fetch(`${base}/once`, { redirect: 'manual' })).headers.get('Location')).toBe('https://example.com/secret-offer');
+    expect((await fetch(`${base}/once`, { redirect: 'manual' })).status).toBe(410);
+  });
+
+  it('rejects requests without a valid API key', async () => {
+    const response = await fetch(`${base}/api/urls`, { headers: { Authorization: 'Bearer nope' } });
+    expect(response.status).toBe(401);
+    expect((await response.json()).error.code).toBe('UNAUTHORIZED');
+  });
+});
+
+describe('storage sync', () => {
+  const sync = (key, init) => fetch(`${base}/api/storage/${key}`, {
+    ...init,
+    headers: { 'Content-Type': 'application/json', ...init.headers }
+  });
+
+  it('rejects writes that name a stale version and returns the current copy', async () => {
+    const { versions } = await (await fetch(`${base}/api/storage`)).json();
+    const saved = await sync('notes', { method: 'PUT', headers: { 'If-None-Match': '*' }, body: JSON.stringify(['first']) });
+    const { version } = (await saved.json()).data;
+
+    expect((await sync('notes', { method: 'PUT', body: '[]' })).status).toBe(428);
+    expect((await sync('notes', { method: 'PUT', headers: { 'If-None-Match': '*' }, body: '[]' })).status).toBe(409);
+    const stale = await sync('urls', { method: 'PUT', headers: { 'If-Match': 'old' }, body: '[]' });
+    expect(stale.status).toBe(409);
+    expect((await stale.json()).error.details).toEqual({ value: storage.get('urls'), version: versions.urls });
+
+    expect((await sync('notes', { method: 'DELETE', headers: { 'If-Match': version } })).status).toBe(200);
+    expect(storage.get('notes')).toBeNull();
+  });
+
+  it('keeps clicks counted by the server when a browser saves an older copy', async () => {
+    await api('/api/urls', { method: 'POST', body: JSON.stringify({ originalUrl: 'https://example.com/sync', shortcode: 'sync' }) });
+    const browser = await RemoteStorage.connect(`${base}/api/storage`);
+
+    // The redirect is counted on the server after the browser took its snapshot
+    await fetch(`${base}/sync`, { redirect: 'manual' });
+    const urls = browser.get('urls');
+    urls.find(url => url.shortcode === 'sync').title = 'Edited in the browser';
+    browser.set('urls', urls);
+    await browser.idle();
+
+    const saved = storage.get('urls').find(url => url.shortcode === 'sync');
+    expect(saved).toMatchObject({ title: 'Edited in the browser', clicks: 1 });
+    expect(storage.get('urls').map(url => url.shortcode)).toEqual(expect.arrayContaining(['e2e', 'gone', 'sync']));
+    expect(browser.get('urls')).toEqual(storage.get('urls'));
+  });
+});
+
+describe('accounts', () => {
+  it('keeps password and key hashes out of the sync snapshot and refuses writes to them', async () => {
+    const { data, versions } = await (await fetch(`${base}/api/storage`)).json();
+
+    expect(data.users.map(user => user.username)).toEqual(['alice']);
+    expect(JSON.stringify([data.users, data.apiKeys])).not.toMatch(/passwordHash|keyHash/);
+    expect(Object.keys(storage.get('rateLimitBuckets')).some(bucketKey => bucketKey.startsWith('ip:'))).toBe(true);
+    expect(Object.keys(data.rateLimitBuckets).every(bucketKey => bucketKey.startsWith('key:'))).toBe(true);
+
+    const forged = [{ ...data.users[0], passwordHash: 'sha256$1$salt$hash' }];
+    for (const key of ['users', 'apiKeys', 'rateLimitBuckets']) {
+      const response = await fetch(`${base}/api/storage/${key}`, { method: 'PUT', headers: { 'If-Match': versions[key] }, body: JSON.stringify(forged) });
+      expect(response.status).toBe(403);
+    }
+    expect(storage.get('users')[0].passwordHash).not.toBe('sha256$1$salt$hash');
+  });
+
+  it('signs the app in on the server and issues keys there', async () => {
+    const browser = await RemoteStorage.connect(`${base}/api/storage`);
+    const remote = new RemoteAccountManager(browser, new MemoryStorage());
+
+    await expect(remote.login('alice', 'wrong password')).rejects.toMatchObject({ code: 'INVALID_CREDENTIALS' });
+    const alice = await remote.login('alice', 'correct horse');
+    expect(remote.getCurrentUser()).toEqual(alice);
+
+    const issued = await remote.createApiKey('from the app');
+    expect(remote.listApiKeys().map(apiKey => apiKey.name)).toContain('from the app');
+    const listUrls = () => fetch(`${base}/api/urls`, { headers: { Authorization: `Bearer ${issued.key}` } });
+    expect((await listUrls()).status).toBe(200);
+
+    await remote.revokeApiKey(issued.id);
+    expect((await listUrls()).status).toBe(401);
+
+    const bob = await remote.register('bob', 'battery staple');
+    expect(bob.role).toBe('user');
+    await expect(remote.setRole(alice.id, 'user')).rejects.toMatchObject({ code: 'FORBIDDEN' });
+    expect(browser.get('users').map(user => user.username)).toEqual(['alice', 'bob']);
+  });
+
+  it('refuses account changes without a session', async () => {
+    const response = await fetch(`${base}/api/account/keys`, { method: 'POST', body: JSON.stringify({ name: 'sneaky' }) });
+    expect(response.status).toBe(401);
+  });
+});
@@ -0,0 +1,67 @@
+import dns from 'node:dns';
+import http from 'node:http';
+import https from 'node:https';
+import { Readable } from 'node:stream';
+import { isPrivateAddress, isPrivateHost } from '../src/lib/urlSafety.js';
+
+const NO_BODY_STATUSES = [204, 205, 304];
+
+const privateAddressError = (hostname) => Object.assign(
+  new Error(`${hostname} points to a private address`),
+  { code: 'PRIVATE_ADDRESS' }
+);
+
+// dns.lookup that refuses names resolving to any private address. It is the socket's own lookup,
+// so the address checked here is the one connected to and a name can't be re-pointed in between.
+function vettedLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      callback(error);
+      return;
+    }
+    if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+      callback(privateAddressError(hostname));
+      return;
+    }
+    if (options.all) {
+      callback(null, addresses);
+    } else {
+      callback(null, addresses[0].address, addresses[0].family);
+    }
+  });
+}
+
+// fetch() for the server's requests to user-supplied destinations (page titles, link checks), which
+// must not reach this machine or its network unless allowPrivate is set. Redirects are never followed;
+// callers follow them hop by hop so each one is vetted again. Resolves to a standard Response and
+// rejects with an error whose code is PRIVATE_ADDRESS for a private target.
+export function guardedFetch(url, { method = 'GET', headers = {}, signal, allowPrivate = false } = {}) {
+  const target = new URL(url);
+  if (target.protocol !== 'http:' && target.protocol !== 'https:') {
+    return Promise.reject(new Error(`Unsupported protocol ${target.protocol}`));
+  }
+  if (!allowPrivate && isPrivateHost(target.hostname)) {
+    return Promise.reject(privateAddressError(target.hostname));
+  }
+
+  const client = target.protocol === 'https:' ? https : http;
+  return new Promise((resolve, reject) => {
+    const options = { method, headers, signal, ...(allowPrivate ? {} : { lookup: vettedLookup }) };
+    const req = client.request(target, options, (res) => {
+      try {
+        const responseHeaders = new Headers();
+        for (let i = 0; i < res.rawHeaders.length; i += 2) {
+          responseHeaders.append(res.rawHeaders[i], res.rawHeaders[i + 1]);
+        }
+        const hasBody = method !== 'HEAD' && !NO_BODY_STATUSES.includes(res.statusCode);
+        if (!hasBody) res.resume();
+        resolve(new Response(hasBody ? Readable.toWeb(res) : null, { status: res.statusCode, headers: responseHeaders }));
+      } catch (error) {
+        res.destroy();
+        reject(error);
+      }
+    });
+    req.on('error', reject);
+    req.end();
+  });
+}
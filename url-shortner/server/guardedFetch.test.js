@@ -0,0 +1,103 @@
+import dns from 'node:dns';
+import http from 'node:http';
+import { afterAll, afterEach, beforeAll, describe, expect, it, vi } from 'vitest';
+import { guardedFetch } from './guardedFetch.js';
+import { MAX_CACHED_TITLES, fetchPageTitle } from './pageTitle.js';
+import { isPrivateAddress } from '../src/lib/urlSafety.js';
+
+// A stub site on loopback; *.test names are pointed at it (or elsewhere) by stubbing dns.lookup
+const stub = http.createServer((req, res) => {
+  const routes = {
+    '/page': () => res.writeHead(200, { 'Content-Type': 'text/html' }).end('<html><head><title>Stub page</title></head></html>'),
+    '/to-internal': () => res.writeHead(302, { Location: 'http://internal.test/admin' }).end()
+  };
+  (routes[req.url] || (() => res.writeHead(404).end()))();
+});
+let port;
+
+const resolveTo = (addresses) => vi.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) => {
+  const address = addresses[hostname] || '203.0.113.1';
+  callback(null, [{ address, family: address.includes(':') ? 6 : 4 }]);
+});
+
+beforeAll(async () => {
+  await new Promise(resolve => stub.listen(0, '127.0.0.1', resolve));
+  port = stub.address().port;
+});
+
+afterAll(() => new Promise(resolve => stub.close(resolve)));
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe('guardedFetch', () => {
+  it.each(['10.1.2.3', '127.0.0.1', '::1', 'fd00::1', '::ffff:192.168.0.1'])('treats %s as private', (address) => {
+    expect(isPrivateAddress(address)).toBe(true);
+  });
+
+  it('refuses private host names without resolving them', async () => {
+    const lookup = vi.spyOn(dns, 'lookup');
+    await expect(guardedFetch(`http://127.0.0.1:${port}/page`)).rejects.toMatchObject({ code: 'PRIVATE_ADDRESS' });
+    await expect(guardedFetch('http://intranet/')).rejects.toMatchObject({ code: 'PRIVATE_ADDRESS' });
+    expect(lookup).not.toHaveBeenCalled();
+  });
+
+  it('refuses public-looking names that resolve to a private address', async () => {
+    resolveTo({ 'sneaky.test': '127.0.0.1' });
+    await expect(guardedFetch(`http://sneaky.test:${port}/page`)).rejects.toMatchObject({ code: 'PRIVATE_ADDRESS' });
+  });
+
+  it('connects when private targets are allowed', async () => {
+    const response = await guardedFetch(`http://127.0.0.1:${port}/page`, { allowPrivate: true });
+    expect(response.status).toBe(200);
+    expect(await response.text()).toContain('Stub page');
+  });
+});
+
+describe('fetchPageTitle', () => {
+  it('reads the title of an allowed destination', async () => {
+    expect(await fetchPageTitle(`http://127.0.0.1:${port}/page`, { allowPrivate: true })).toBe('Stub page');
+  });
+
+  it('refuses destinations that resolve to a private address', async () => {
+    resolveTo({ 'sneaky.test': '127.0.0.1' });
+    expect(await fetchPageTitle(`http://sneaky.test:${port}/page`)).toBeNull();
+  });
+
+  it('vets every redirect hop', async () => {
+    const lookup = resolveTo({ 'internal.test': '10.0.0.5' });
+    const hops = [];
+    // Only the stub itself is let through unguarded
+    const fetch = (url, init) => {
+      hops.push(url);
+      return guardedFetch(url, { ...init, allowPrivate: url.startsWith(`http://127.0.0.1:${port}/`) });
+    };
+
+    expect(await fetchPageTitle(`http://127.0.0.1:${port}/to-internal`, { fetch })).toBeNull();
+    expect(hops).toEqual([`http://127.0.0.1:${port}/to-internal`, 'http://internal.test/admin']);
+    expect(lookup).toHaveBeenCalledWith('internal.test', expect.anything(), expect.any(Function));
+  });
+
+  it('forgets the least recently used titles past its capacity', async () => {
+    const fetched = [];
+    const fetch = async (url) => {
+      fetched.push(url);
+      return new Response(`<title>${url}</title>`, { headers: { 'Content-Type': 'text/html' } });
+    };
+    const page = (i) => `https://cache.example/${i}`;
+
+    for (let i = 0; i <= MAX_CACHED_TITLES; i++) {
+      await fetchPageTitle(page(i), { fetch });
+      // Page 1 is read again all along, so it stays while page 0 is the one dropped
+      if (i > 1) await fetchPageTitle(page(1), { fetch });
+    }
+    fetched.length = 0;
+    expect(await fetchPageTitle(page(1), { fetch })).toBe(page(1));
+    expect(await fetchPageTitle(page(MAX_CACHED_TITLES), { fetch })).toBe(page(MAX_CACHED_TITLES));
+    expect(fetched).toEqual([]);
+
+    expect(await fetchPageTitle(page(0), { fetch })).toBe(page(0));
+    expect(fetched).toEqual([page(0)]);
+  });
+});
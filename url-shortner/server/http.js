@@ -0,0 +1,96 @@
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+export class HttpError extends Error {
+  constructor(statusCode, code, message) {
+    super(message);
+    this.statusCode = statusCode;
+    this.code = code;
+  }
+}
+
+export function sendJson(res, statusCode, body, headers = {}) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json; charset=utf-8', ...headers });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new HttpError(413, 'PAYLOAD_TOO_LARGE', 'Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+export async function readJsonBody(req) {
+  const raw = await readBody(req);
+  if (!raw) return null;
+
+  try {
+    return JSON.parse(raw);
+  } catch {
+    throw new HttpError(400, 'INVALID_JSON', 'Request body must be valid JSON');
+  }
+}
+
+// application/x-www-form-urlencoded bodies from the server-rendered forms
+export async function readFormBody(req) {
+  return new URLSearchParams(await readBody(req));
+}
+
+export function isLoopbackRequest(req) {
+  const address = req.socket.remoteAddress || '';
+  return address === '127.0.0.1' || address === '::1' || address === '::ffff:127.0.0.1';
+}
+
+export function sendError(res, statusCode, code, message, details, headers = {}) {
+  sendJson(res, statusCode, { error: { code, message, ...(details ? { details } : {}) } }, headers);
+}
+
+export function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Minimal standalone page for responses that never reach the SPA (expired, unknown and locked links).
+// extraHtml is inserted as-is below the message; escape anything user-controlled in it.
+export function sendMessagePage(req, res, statusCode, title, message, extraHtml = '') {
+  res.writeHead(statusCode, { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store' });
+
+  if (req.method === 'HEAD') {
+    res.end();
+    return;
+  }
+
+  res.end(`<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+    <title>${escapeHtml(title)}</title>
+  </head>
+  <body style="font-family: Arial, sans-serif; background: #f5f5f5; margin: 0;">
+    <div style="max-width: 600px; margin: 80px auto; background: white; border-radius: 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1); padding: 30px; text-align: center;">
+      <h2 style="font-size: 24px; margin-bottom: 20px; color: #333;">${escapeHtml(title)}</h2>
+      <p style="color: #666; margin-bottom: 20px;">${escapeHtml(message)}</p>
+      ${extraHtml}
+      <a href="/" style="color: #2563eb; text-decoration: none;">Create a new short URL</a>
+    </div>
+  </body>
+</html>`);
+}
@@ -0,0 +1,98 @@
+import http from 'node:http';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { Logger, configureLogging } from '../src/lib/Logger.js';
+import { ConsoleTransport } from '../src/lib/logging/transports.js';
+import { FileTransport } from './FileTransport.js';
+import { URLManager } from '../src/lib/URLManager.js';
+import { AccountManager } from '../src/lib/AccountManager.js';
+import { DEFAULT_RATE_LIMITS, RateLimiter, parseRateLimit } from '../src/lib/RateLimiter.js';
+import { DEFAULT_EXPIRY_POLICY, ExpirySweeper } from '../src/lib/expiry.js';
+import { DEFAULT_HEALTH_POLICY } from '../src/lib/health/LinkHealth.js';
+import { MemoryStorage } from '../src/lib/storage/index.js';
+import { FileStorage } from './FileStorage.js';
+import { VersionedStorage } from './VersionedStorage.js';
+import { createRequestHandler } from './app.js';
+import { LinkChecker } from './LinkChecker.js';
+
+const rootDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+const PORT = Number(process.env.PORT) || 3000;
+const DATA_FILE = process.env.DATA_FILE || path.join(rootDir, 'data', 'db.json');
+const DIST_DIR = process.env.DIST_DIR || path.join(rootDir, 'dist');
+const REDIRECT_STATUS = Number(process.env.REDIRECT_STATUS) === 301 ? 301 : 302;
+const SHORTCODES = {
+  strategy: process.env.SHORTCODE_STRATEGY || 'random',
+  length: Number(process.env.SHORTCODE_LENGTH) || 6,
+  alphabet: process.env.SHORTCODE_ALPHABET || 'base62',
+  reserved: (process.env.SHORTCODE_RESERVED || '').split(',').filter(Boolean),
+  blocked: (process.env.SHORTCODE_BLOCKED || '').split(',').filter(Boolean)
+};
+const listFromEnv = (name) => (process.env[name] || '').split(',').map(item => item.trim()).filter(Boolean);
+// Public base URLs links are issued on, the first being the default (Settings page changes override these)
+const DOMAINS = [process.env.BASE_URL || `http://localhost:${PORT}`, ...listFromEnv('BRANDED_DOMAINS')];
+const SAFETY = {
+  allowlist: listFromEnv('DOMAIN_ALLOWLIST'),
+  denylist: listFromEnv('DOMAIN_DENYLIST'),
+  shortenerHosts: [`localhost:${PORT}`, `127.0.0.1:${PORT}`, ...listFromEnv('SHORTENER_HOSTS')],
+  allowPrivate: process.env.ALLOW_PRIVATE_TARGETS === 'true'
+};
+
+// Unset means the default; 0 is a valid number of minutes here
+const minutesFromEnv = (name, fallback) => (process.env[name] ? Number(process.env[name]) : fallback);
+// What happens to expired links and when their codes may be reused (Settings page changes override these)
+const EXPIRY = {
+  mode: process.env.EXPIRY_MODE || DEFAULT_EXPIRY_POLICY.mode,
+  retentionMinutes: minutesFromEnv('EXPIRY_RETENTION_MINUTES', DEFAULT_EXPIRY_POLICY.retentionMinutes),
+  quarantineMinutes: minutesFromEnv('EXPIRY_QUARANTINE_MINUTES', DEFAULT_EXPIRY_POLICY.quarantineMinutes),
+  sweepIntervalMinutes: minutesFromEnv('EXPIRY_SWEEP_INTERVAL_MINUTES', DEFAULT_EXPIRY_POLICY.sweepIntervalMinutes)
+};
+
+// How often destinations are probed and when a link counts as broken; LINK_CHECKER=off turns checking off
+const LINK_CHECKER = process.env.LINK_CHECKER !== 'off';
+const HEALTH = {
+  intervalMinutes: minutesFromEnv('LINK_CHECK_INTERVAL_MINUTES', DEFAULT_HEALTH_POLICY.intervalMinutes),
+  timeoutMs: Number(process.env.LINK_CHECK_TIMEOUT_MS) || DEFAULT_HEALTH_POLICY.timeoutMs,
+  maxRedirects: Number(process.env.LINK_CHECK_MAX_REDIRECTS) || DEFAULT_HEALTH_POLICY.maxRedirects,
+  failureThreshold: Number(process.env.LINK_CHECK_FAILURES) || DEFAULT_HEALTH_POLICY.failureThreshold
+};
+
+// "count/seconds" token buckets for link creation through the API
+const RATE_LIMITS = {
+  perKey: parseRateLimit(process.env.RATE_LIMIT_PER_KEY, DEFAULT_RATE_LIMITS.perKey),
+  perIp: parseRateLimit(process.env.RATE_LIMIT_PER_IP, DEFAULT_RATE_LIMITS.perIp)
+};
+
+// Structured JSON on stdout by default; LOG_FILE adds a JSON Lines file
+configureLogging({
+  level: process.env.LOG_LEVEL || 'info',
+  transports: [
+    new ConsoleTransport({ format: process.env.LOG_FORMAT === 'pretty' ? 'pretty' : 'json' }),
+    ...(process.env.LOG_FILE ? [new FileTransport(process.env.LOG_FILE)] : [])
+  ]
+});
+
+const logger = new Logger('Server');
+const storage = new VersionedStorage(new FileStorage(DATA_FILE));
+const manager = new URLManager(storage, { shortcodes: SHORTCODES, safety: SAFETY, domains: DOMAINS, expiry: EXPIRY });
+const accounts = new AccountManager(storage, new MemoryStorage());
+const limiter = new RateLimiter(storage, RATE_LIMITS);
+// Published so the app can show the limits next to the API keys
+storage.set('rateLimits', RATE_LIMITS);
+// and so its creation form applies the same destination lists as the API
+storage.set('safety', { allowlist: SAFETY.allowlist, denylist: SAFETY.denylist, allowPrivate: SAFETY.allowPrivate });
+
+const server = http.createServer(createRequestHandler({
+  manager,
+  accounts,
+  limiter,
+  storage,
+  distDir: DIST_DIR,
+  redirectStatus: REDIRECT_STATUS
+}));
+
+server.listen(PORT, () => {
+  logger.info('Server listening', { url: `http://localhost:${PORT}`, dataFile: DATA_FILE });
+  new ExpirySweeper(manager).start();
+  if (LINK_CHECKER) new LinkChecker(manager, HEALTH).start();
+});
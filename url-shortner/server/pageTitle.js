@@ -0,0 +1,83 @@
+import { guardedFetch } from './guardedFetch.js';
+
+const TIMEOUT_MS = 3000;
+const MAX_REDIRECTS = 5;
+const MAX_BYTES = 64 * 1024;
+const CACHE_TTL_MS = 10 * 60 * 1000;
+export const MAX_CACHED_TITLES = 500;
+
+// url -> { title, fetched }, least recently used first; bounded since every previewed destination adds one
+const cache = new Map();
+
+const readCache = (url) => {
+  const cached = cache.get(url);
+  if (!cached) return undefined;
+
+  cache.delete(url);
+  if (Date.now() - cached.fetched >= CACHE_TTL_MS) return undefined;
+  cache.set(url, cached);
+  return cached.title;
+};
+
+const writeCache = (url, title) => {
+  cache.delete(url);
+  cache.set(url, { title, fetched: Date.now() });
+  while (cache.size > MAX_CACHED_TITLES) {
+    cache.delete(cache.keys().next().value);
+  }
+};
+
+const decodeEntities = (text) => text
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;/g, "'")
+  .replace(/&amp;/g, '&');
+
+const isRedirect = (response) => response.status >= 300 && response.status < 400 && response.headers.has('Location');
+
+// Best-effort <title> of a destination for the preview page; resolves to null on any failure.
+// Redirects are followed one hop at a time through guardedFetch, so no hop reaches a private address
+// unless allowPrivate is set (the manager's safety setting); options.fetch replaces guardedFetch.
+export async function fetchPageTitle(url, { allowPrivate = false, fetch = guardedFetch } = {}) {
+  const cached = readCache(url);
+  if (cached !== undefined) {
+    return cached;
+  }
+
+  let title = null;
+  try {
+    const init = { signal: AbortSignal.timeout(TIMEOUT_MS), headers: { Accept: 'text/html' }, allowPrivate };
+    let current = url;
+    let response = await fetch(current, init);
+    for (let hops = 0; isRedirect(response) && hops < MAX_REDIRECTS; hops++) {
+      if (response.body) response.body.cancel().catch(() => {});
+      current = new URL(response.headers.get('Location'), current).href;
+      response = await fetch(current, init);
+    }
+
+    if (response.ok && (response.headers.get('Content-Type') || '').includes('text/html')) {
+      // Titles live in <head>; stop reading after the first chunk of the document
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let html = '';
+      while (html.length < MAX_BYTES) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        html += decoder.decode(value, { stream: true });
+        if (/<\/title>/i.test(html)) break;
+      }
+      reader.cancel().catch(() => {});
+
+      const match = html.match(/<title[^>]*>([^<]*)<\/title>/i);
+      title = match ? decodeEntities(match[1].trim()).slice(0, 200) || null : null;
+    } else if (response.body) {
+      response.body.cancel().catch(() => {});
+    }
+  } catch {
+    title = null;
+  }
+
+  writeCache(url, title);
+  return title;
+}
@@ -0,0 +1,77 @@
+import { escapeHtml, sendMessagePage } from './http.js';
+import { PREVIEW_COUNTDOWN_SECONDS, getDomain } from '../src/lib/preview.js';
+import { forwardableQuery } from '../src/lib/utm.js';
+
+// Visitor-facing pages rendered by the server, for people who don't have the SPA's data
+
+// Path back to /:shortcode that keeps the visitor's query parameters, for links that forward them
+function linkPath(req, shortcode, extra = {}) {
+  const params = new URLSearchParams(forwardableQuery(new URL(req.url, 'http://localhost').searchParams));
+  Object.entries(extra).forEach(([key, value]) => params.set(key, value));
+  const query = params.toString();
+  return `/${encodeURIComponent(shortcode)}${query ? `?${query}` : ''}`;
+}
+
+const buttonStyle = 'display: inline-block; padding: 10px 24px; background: #2563eb; color: white; border: none; border-radius: 4px; cursor: pointer; font-size: 14px; text-decoration: none;';
+
+export function sendUnlockForm(req, res, statusCode, shortcode, error = '') {
+  sendMessagePage(req, res, statusCode, 'Password required', 'This short URL is password protected.', `
+      <form method="POST" action="${escapeHtml(linkPath(req, shortcode))}">
+        <input type="password" name="password" placeholder="Password" autofocus required
+          style="padding: 10px; border: 1px solid #ccc; border-radius: 4px; font-size: 14px;" />
+        <button type="submit" style="${buttonStyle}">Unlock</button>
+        ${error ? `<div style="color: #dc2626; font-size: 12px; margin-top: 10px;">${escapeHtml(error)}</div>` : ''}
+      </form>
+      <br />`);
+}
+
+export function sendUnavailable(req, res, shortcode, status, urlData) {
+  if (status === 'missing') {
+    sendMessagePage(req, res, 404, 'Link not found', `No short URL exists for "${shortcode}".`);
+  } else if (status === 'expired') {
+    sendMessagePage(req, res, 410, 'Link expired', `This short URL expired on ${new Date(urlData.expires).toUTCString()}.`);
+  } else if (status === 'disabled') {
+    sendMessagePage(req, res, 410, 'Link disabled', 'This short URL has been deactivated by its owner.');
+  } else if (status === 'scheduled') {
+    sendMessagePage(req, res, 403, 'Link not active yet', `This short URL becomes active on ${new Date(urlData.activates).toUTCString()}.`);
+  } else {
+    sendMessagePage(req, res, 410, 'Link no longer available', 'This short URL has reached its click limit.');
+  }
+}
+
+// Interstitial showing where a link goes. With autoContinue the page counts down and follows the
+// link itself; either way "Continue" goes back through /:shortcode?go=1 so the click is recorded.
+// Protected and click-limited links keep their destination hidden until it is visited.
+export function sendPreviewPage(req, res, urlData, { title = null, autoContinue = false, isProtected = false, isLimited = false } = {}) {
+  const hidden = isProtected || isLimited;
+  const domain = isProtected ? 'a protected destination' : isLimited ? 'a limited-use destination' : getDomain(urlData.originalUrl);
+  const continueUrl = linkPath(req, urlData.shortcode, { go: '1' });
+
+  sendMessagePage(req, res, 200, autoContinue ? 'You are leaving this site' : 'Link preview', 'This short URL will take you to:', `
+      <div style="font-size: 22px; font-weight: bold; color: #333; margin-bottom: 10px;">${escapeHtml(domain)}</div>
+      ${title ? `<div style="font-size: 16px; color: #333; margin-bottom: 10px;">${escapeHtml(title)}</div>` : ''}
+      ${hidden ? '' : `<div style="font-size: 13px; font-family: monospace; color: #2563eb; word-break: break-all; margin-bottom: 15px;">${escapeHtml(urlData.originalUrl)}</div>`}
+      <div style="font-size: 13px; color: #666; margin-bottom: 20px;">
+        Created ${escapeHtml(new Date(urlData.created).toUTCString())}<br />
+        Expires <span style="color: #dc2626;">${urlData.expires === null ? 'never' : escapeHtml(new Date(urlData.expires).toUTCString())}</span>
+      </div>
+      ${isProtected ? '<div style="font-size: 13px; color: #b45309; margin-bottom: 15px;">You will be asked for a password.</div>' : ''}
+      ${isLimited && !isProtected ? '<div style="font-size: 13px; color: #b45309; margin-bottom: 15px;">This link can only be used a limited number of times; continuing uses one.</div>' : ''}
+      <a href="${escapeHtml(continueUrl)}" style="${buttonStyle}">Continue to ${escapeHtml(domain)}</a>
+      ${autoContinue ? `
+      <p style="font-size: 13px; color: #666; margin-top: 15px;">Continuing in <span id="countdown">${PREVIEW_COUNTDOWN_SECONDS}</span> seconds…</p>
+      <script>
+        (function () {
+          var remaining = ${PREVIEW_COUNTDOWN_SECONDS};
+          var timer = setInterval(function () {
+            remaining -= 1;
+            document.getElementById('countdown').textContent = remaining;
+            if (remaining <= 0) {
+              clearInterval(timer);
+              window.location.href = ${JSON.stringify(continueUrl)};
+            }
+          }, 1000);
+        })();
+      </script>` : ''}
+      <br /><br />`);
+}
@@ -0,0 +1,62 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.ico': 'image/x-icon',
+  '.txt': 'text/plain; charset=utf-8'
+};
+
+// Resolve a request path to a file inside distDir, or null if there is none
+export function findStaticFile(distDir, pathname) {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(pathname);
+  } catch {
+    return null;
+  }
+
+  const root = path.resolve(distDir);
+  const filePath = path.join(root, decoded);
+  if (!filePath.startsWith(root + path.sep)) return null;
+
+  try {
+    return fs.statSync(filePath).isFile() ? filePath : null;
+  } catch {
+    return null;
+  }
+}
+
+export function sendFile(req, res, filePath, statusCode = 200) {
+  const type = MIME_TYPES[path.extname(filePath)] || 'application/octet-stream';
+  const isAsset = filePath.includes(`${path.sep}assets${path.sep}`);
+
+  res.writeHead(statusCode, {
+    'Content-Type': type,
+    // Vite fingerprints everything under assets/, the rest must be revalidated
+    'Cache-Control': isAsset ? 'public, max-age=31536000, immutable' : 'no-cache'
+  });
+
+  if (req.method === 'HEAD') {
+    res.end();
+    return;
+  }
+  fs.createReadStream(filePath).pipe(res);
+}
+
+// Serve the built SPA entry point for client-side routes
+export function sendIndex(req, res, distDir, statusCode = 200) {
+  const indexPath = path.join(distDir, 'index.html');
+
+  if (!fs.existsSync(indexPath)) {
+    res.writeHead(503, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end('App not built. Run `npm run build` first.');
+    return;
+  }
+  sendFile(req, res, indexPath, statusCode);
+}
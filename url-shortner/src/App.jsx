@@ -1,225 +1,168 @@
-import React, { useState, useEffect } from 'react';
-
-// Required Logger Class
-class Logger {
-  constructor(name) {
-    this.name = name;
-  }
-  
-  info(msg, data) { 
-    const timestamp = new Date().toISOString();
-    console.log(`[${timestamp}] [${this.name}] INFO: ${msg}`, data || ''); 
-  }
-  
-  error(msg, data) { 
-    const timestamp = new Date().toISOString();
-    console.log(`[${timestamp}] [${this.name}] ERROR: ${msg}`, data || ''); 
-  }
-  
-  warn(msg, data) { 
-    const timestamp = new Date().toISOString();
-    console.log(`[${timestamp}] [${this.name}] WARN: ${msg}`, data || ''); 
-  }
-}
-
-// URL Manager Class
-class URLManager {
-  constructor() {
-    this.logger = new Logger('URLManager');
-    
-    if (!window.urlDatabase) {
-      window.urlDatabase = [];
-      this.logger.info('URL database initialized');
-    }
-  }
-
-  generateShortcode() {
-    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-    let code = '';
-    for (let i = 0; i < 6; i++) {
-      code += chars.charAt(Math.floor(Math.random() * chars.length));
-    }
-    return code;
-  }
-
-  isValidUrl(url) {
-    return url.startsWith('http://') || url.startsWith('https://');
-  }
-
-  isValidShortcode(code) {
-    return /^[a-zA-Z0-9]{1,10}$/.test(code);
-  }
-
-  isExpired(urlData) {
-    return Date.now() > urlData.expires;
-  }
-
-  isShortcodeUnique(code) {
-    return !window.urlDatabase.some(url => url.code === code && !this.isExpired(url));
-  }
-
-  createShortUrl(originalUrl, minutes = 30, customCode = null) {
-    this.logger.info('Creating short URL', { originalUrl, minutes, customCode });
-
-    // Validation
-    if (!this.isValidUrl(originalUrl)) {
-      this.logger.error('Invalid URL format', { originalUrl });
-      throw new Error('URL must start with http:// or https://');
-    }
-
-    if (!Number.isInteger(minutes) || minutes <= 0) {
-      this.logger.error('Invalid validity period', { minutes });
-      throw new Error('Validity must be a positive integer');
-    }
-
-    let shortcode = customCode;
-    
-    if (customCode) {
-      if (!this.isValidShortcode(customCode)) {
-        this.logger.error('Invalid custom shortcode', { customCode });
-        throw new Error('Shortcode must be alphanumeric and 1-10 characters');
-      }
-      
-      if (!this.isShortcodeUnique(customCode)) {
-        this.logger.error('Shortcode collision', { customCode });
-        throw new Error('Shortcode already exists');
-      }
-    } else {
-      do {
-        shortcode = this.generateShortcode();
-      } while (!this.isShortcodeUnique(shortcode));
-    }
-
-    const urlData = {
-      id: Date.now() + Math.random(),
-      originalUrl,
-      shortcode,
-      created: Date.now(),
-      expires: Date.now() + (minutes * 60000),
-      clicks: 0
-    };
-
-    window.urlDatabase.push(urlData);
-    this.logger.info('Short URL created successfully', urlData);
-    return urlData;
-  }
-
-  getUrlByShortcode(code) {
-    const urlData = window.urlDatabase.find(url => url.shortcode === code);
-    
-    if (!urlData) {
-      this.logger.warn('Shortcode not found', { code });
-      return null;
-    }
-
-    if (this.isExpired(urlData)) {
-      this.logger.warn('URL expired', { code });
-      return null;
-    }
-
-    return urlData;
-  }
-
-  incrementClicks(code) {
-    const urlData = window.urlDatabase.find(url => url.shortcode === code);
-    if (urlData) {
-      urlData.clicks++;
-      this.logger.info('Click recorded', { code, clicks: urlData.clicks });
-    }
-  }
-
-  getAllActiveUrls() {
-    return window.urlDatabase.filter(url => !this.isExpired(url));
-  }
-}
-
-// Router Hook
-function useSimpleRouter() {
-  const [currentPath, setCurrentPath] = useState(window.location.pathname);
+import React, { useState, useEffect, useMemo } from 'react';
+import { Logger } from './lib/Logger.js';
+import { URLManager } from './lib/URLManager.js';
+import { ExpirySweeper } from './lib/expiry.js';
+import { createAccountManager } from './lib/RemoteAccountManager.js';
+import { getBrowserClickContext } from './lib/analytics/ClickAnalytics.js';
+import BulkImport from './components/BulkImport.jsx';
+import UnlockPage from './components/UnlockPage.jsx';
+import PreviewPage from './components/PreviewPage.jsx';
+import LinkUnavailablePage from './components/LinkUnavailablePage.jsx';
+import QrCodePanel from './components/QrCodePanel.jsx';
+import ExpiryPicker from './components/ExpiryPicker.jsx';
+import SettingsPage from './components/SettingsPage.jsx';
+import LoginPage from './components/LoginPage.jsx';
+import ApiKeysPage from './components/ApiKeysPage.jsx';
+import LogsPage from './components/LogsPage.jsx';
+import AuditPage from './components/AuditPage.jsx';
+import LinkDetailsPage from './components/LinkDetailsPage.jsx';
+import StatisticsPage from './components/StatisticsPage.jsx';
+import NotFoundPage from './components/NotFoundPage.jsx';
+import { getDomain } from './lib/preview.js';
+import { createRouter, parseQuery } from './lib/router.js';
+import { exportLinks } from './lib/bulk.js';
+import { downloadFile } from './lib/download.js';
+import { hostOf } from './lib/domains.js';
+import { DEFAULT_EXPIRY_CHOICE, formatExpiry, pickerToExpiry } from './lib/durations.js';
+import { EMPTY_UTM, UTM_FIELDS, applyUtm, hasUtm } from './lib/utm.js';
+import { parseTagList } from './lib/campaigns.js';
+import { planPreview, planVisit } from './lib/visit.js';
+
+// Pages and their paths, see lib/router.js
+const router = createRouter();
+
+const currentLocation = () => ({ pathname: window.location.pathname, search: window.location.search });
+
+// Router Hook: the current location, the route it matches (null for a 404) and its query parameters
+function useRouter() {
+  const [location, setLocation] = useState(currentLocation);
 
   useEffect(() => {
     const handlePopState = () => {
-      setCurrentPath(window.location.pathname);
+      setLocation(currentLocation());
     };
 
     window.addEventListener('popstate', handlePopState);
     return () => window.removeEventListener('popstate', handlePopState);
   }, []);
 
-  const navigate = (path) => {
-    window.history.pushState({}, '', path);
-    setCurrentPath(path);
+  // to is a path with an optional query string; replace swaps the current history entry instead of adding one
+  const navigate = (to, { replace = false } = {}) => {
+    const url = new URL(to, window.location.origin);
+    window.history[replace ? 'replaceState' : 'pushState']({}, '', `${url.pathname}${url.search}`);
+    setLocation({ pathname: url.pathname, search: url.search });
   };
 
-  return { currentPath, navigate };
+  return { location, navigate, match: router.match(location.pathname), query: parseQuery(location.search) };
 }
 
+const createEmptyRow = () => ({
+  url: '', expiry: { ...DEFAULT_EXPIRY_CHOICE }, activatesAt: '', code: '', password: '', maxClicks: '', preview: false,
+  utm: { ...EMPTY_UTM }, showUtm: false, forwardQuery: false, title: '', tags: ''
+});
+
+// Campaign select value for creating a new campaign along with the batch
+const NEW_CAMPAIGN = 'new';
+
+const UTM_PLACEHOLDERS = { source: 'newsletter', medium: 'email', campaign: 'spring_sale', term: 'running shoes', content: 'header_link' };
+
+// What the form will store as the destination: the typed URL with any UTM fields applied
+const composeDestination = (row) => (hasUtm(row.utm) ? applyUtm(row.url.trim(), row.utm) : row.url.trim());
+
 function App() {
   const [page, setPage] = useState('home');
-  const [urls, setUrls] = useState([{ url: '', minutes: 30, code: '' }]);
+  const [urls, setUrls] = useState([createEmptyRow()]);
   const [results, setResults] = useState([]);
   const [errors, setErrors] = useState([]);
   const [loading, setLoading] = useState(false);
+  // QR panel under a freshly created link, keyed by id
+  const [qrId, setQrId] = useState(null);
+  // Domain new links are issued on; null means the configured default
+  const [domain, setDomain] = useState(null);
+  // Campaign the batch goes into: '' for none, a campaign id, or NEW_CAMPAIGN with its name in campaignName
+  const [campaign, setCampaign] = useState('');
+  const [campaignName, setCampaignName] = useState('');
+  const [campaignError, setCampaignError] = useState('');
+  // The link behind the unlock / preview / unavailable / redirecting pages
+  const [link, setLink] = useState(null);
+  const [, setStorageRevision] = useState(0);
   
-  const { currentPath, navigate } = useSimpleRouter();
-  const manager = new URLManager();
+  const { location, navigate, match, query } = useRouter();
+  // Built once rather than on every keystroke, since a new URLManager re-runs the storage migrations;
+  // the manager is only rebuilt when a different user (or role) is signed in
+  const accounts = useMemo(() => createAccountManager(), []);
+  const currentUser = accounts.getCurrentUser();
+  const signedIn = JSON.stringify(currentUser);
+  const manager = useMemo(() => new URLManager(undefined, { user: JSON.parse(signedIn) }), [signedIn]);
   const logger = new Logger('App');
 
+  // Re-render when another tab changes the stored links
+  useEffect(() => {
+    const handleStorage = () => setStorageRevision(revision => revision + 1);
+    window.addEventListener('storage', handleStorage);
+    return () => window.removeEventListener('storage', handleStorage);
+  }, []);
+
+  // Archive / purge expired links on the configured schedule; the sweep covers every user's links
+  useEffect(() => {
+    const sweeper = new ExpirySweeper(new URLManager(), {
+      onSwept: () => setStorageRevision(revision => revision + 1)
+    });
+    sweeper.start();
+    return () => sweeper.stop();
+  }, []);
+
   // Handle URL routing and redirection
   useEffect(() => {
     logger.info('App initialized');
     
-    const path = currentPath;
-    
-    if (path === '/statistics') {
-      setPage('statistics');
-    } else if (path !== '/' && path.length > 1) {
-      // Extract shortcode from URL path
-      const shortcode = path.substring(1);
-      logger.info('Attempting redirect for shortcode', { shortcode, path, allUrls: window.urlDatabase });
-      
-      const urlData = manager.getUrlByShortcode(shortcode);
+    const path = location.pathname;
+
+    // Short links resolve within the domain this page is served from
+    const host = manager.resolveDomain(window.location.host);
+
+    if (!match) {
+      logger.warn('No route for path', { path });
+      setPage('notFound');
+    } else if (match.name === 'preview' || match.name === 'previewShortcode') {
+      const visit = planPreview(manager, match.params.code, host);
+      if (visit.page === 'unavailable') {
+        logger.warn('Shortcode cannot be previewed', { shortcode: match.params.code, status: visit.link.status });
+      }
+      setLink(visit.link);
+      setPage(visit.page);
+    } else if (match.name === 'shortcode') {
+      const shortcode = match.params.code;
+      logger.debug('Attempting redirect for shortcode', { shortcode, path });
       
-      if (urlData) {
-        manager.incrementClicks(shortcode);
-        logger.info('Redirecting to original URL', { shortcode, originalUrl: urlData.originalUrl });
-        
-        // Show redirect message briefly, then redirect
-        alert(`Redirecting to: ${urlData.originalUrl}`);
-        setTimeout(() => {
-          window.location.href = urlData.originalUrl;
-        }, 1000);
-      } else {
-        logger.warn('Shortcode not found or expired', { 
-          shortcode, 
-          allCodes: window.urlDatabase.map(u => u.shortcode),
-          totalUrls: window.urlDatabase.length 
-        });
-        alert(`Link not found or expired. Shortcode: ${shortcode}`);
-        navigate('/');
-        setPage('home');
+      const visit = planVisit(manager, shortcode, host, getBrowserClickContext(), window.location.search);
+      if (visit.page === 'redirecting') {
+        logger.info('Redirecting to original URL', { shortcode, destination: visit.link.destination, branch: visit.link.branch });
+      } else if (visit.page === 'unavailable') {
+        logger.warn('Shortcode cannot be followed', { shortcode, status: visit.link.status });
       }
+      setLink(visit.link);
+      setPage(visit.page);
+      if (visit.redirectTo) window.location.replace(visit.redirectTo);
     } else {
-      setPage('home');
+      setPage(match.name);
     }
-  }, [currentPath]);
+  }, [location.pathname]);
 
-  // Navigation handler
-  const handleNavigation = (targetPage) => {
-    logger.info('Navigation triggered', { from: page, to: targetPage });
+  // Navigation handler: targetPage is a route name, params fill its path and search becomes the query string
+  const handleNavigation = (targetPage, params = {}, search = {}, options = {}) => {
+    logger.debug('Navigation triggered', { from: page, to: targetPage });
     setPage(targetPage);
-    
-    if (targetPage === 'home') {
-      navigate('/');
-    } else if (targetPage === 'statistics') {
-      navigate('/statistics');
-    }
+    navigate(router.href(targetPage, params, search), options);
   };
 
+  // The link pages address links on other domains with ?domain=
+  const navigateToLink = (targetPage, params, options) => handleNavigation(targetPage, params, { domain: query.domain }, options);
+
   // Add URL field (max 5)
   const addUrlField = () => {
     if (urls.length < 5) {
-      const newUrls = [...urls, { url: '', minutes: 30, code: '' }];
+      const newUrls = [...urls, createEmptyRow()];
       setUrls(newUrls);
       logger.info('URL field added', { totalFields: newUrls.length });
     }
@@ -237,11 +180,7 @@ function App() {
   // Update URL field
   const updateUrlField = (index, field, value) => {
     const newUrls = [...urls];
-    if (field === 'minutes') {
-      newUrls[index][field] = parseInt(value) || 30;
-    } else {
-      newUrls[index][field] = value;
-    }
+    newUrls[index][field] = value;
     setUrls(newUrls);
   };
 
@@ -252,16 +191,45 @@ function App() {
     const createdUrls = [];
     const validationErrors = [];
 
+    setCampaignError('');
     logger.info('Starting URL creation process', { urlCount: urls.length });
 
+    // A new campaign is created first so the whole batch can join it
+    let campaignId = campaign || null;
+    if (campaign === NEW_CAMPAIGN && urls.some(urlInput => urlInput.url.trim())) {
+      try {
+        campaignId = manager.createCampaign(campaignName).id;
+        setCampaign(campaignId);
+        setCampaignName('');
+      } catch (error) {
+        logger.error('Campaign creation failed', { error: error.message });
+        setCampaignError(error.message);
+        setLoading(false);
+        return;
+      }
+    }
+
     urls.forEach((urlInput, index) => {
       if (!urlInput.url.trim()) return; // Skip empty URLs
       
       try {
+        const { minutes, expiresAt } = pickerToExpiry(urlInput.expiry);
         const result = manager.createShortUrl(
-          urlInput.url.trim(),
-          urlInput.minutes,
-          urlInput.code.trim() || null
+          composeDestination(urlInput),
+          minutes,
+          urlInput.code.trim() || null,
+          {
+            password: urlInput.password || null,
+            maxClicks: urlInput.maxClicks === '' ? null : Number(urlInput.maxClicks),
+            redirectMode: urlInput.preview ? 'preview' : 'direct',
+            domain,
+            expiresAt,
+            activatesAt: urlInput.activatesAt || null,
+            forwardQuery: urlInput.forwardQuery,
+            title: urlInput.title,
+            tags: parseTagList(urlInput.tags),
+            campaign: campaignId
+          }
         );
         createdUrls.push(result);
       } catch (error) {
@@ -276,7 +244,7 @@ function App() {
     if (createdUrls.length > 0) {
       logger.info('URLs created successfully', { count: createdUrls.length });
       // Reset form for successful creations
-      setUrls([{ url: '', minutes: 30, code: '' }]);
+      setUrls([createEmptyRow()]);
       
       // Clear errors if all succeeded
       if (validationErrors.length === 0) {
@@ -298,111 +266,185 @@ function App() {
     });
   };
 
-  // Handle short URL click (for testing)
-  const handleShortUrlClick = (shortcode, originalUrl) => {
-    logger.info('Short URL clicked', { shortcode });
-    manager.incrementClicks(shortcode);
-    
-    // Update results to reflect new click count
-    setResults(prevResults => 
-      prevResults.map(result => 
-        result.shortcode === shortcode 
-          ? { ...result, clicks: result.clicks + 1 }
-          : result
-      )
-    );
-    
-    // For demo purposes - simulate the redirect that would happen
-    const confirmRedirect = window.confirm(`This will redirect to:\n${originalUrl}\n\nClick OK to continue or Cancel to stay here.`);
-    if (confirmRedirect) {
-      window.open(originalUrl, '_blank');
+  // Open the preview page for a link, from which it can be followed (and counted)
+  const openPreview = (url) => {
+    logger.info('Short URL preview opened', { shortcode: url.shortcode, domain: url.domain });
+    setLink({ shortcode: url.shortcode, domain: url.domain, autoContinue: false });
+    setPage('preview');
+    navigate(router.href('preview', { code: url.shortcode }));
+  };
+
+  const handleLinkSaved = () => {
+    setStorageRevision(revision => revision + 1);
+  };
+
+  const handleToggleDisabled = (url) => {
+    manager.setDisabled(url.shortcode, !url.disabled, url.domain);
+    setStorageRevision(revision => revision + 1);
+  };
+
+  const handleDeleteLink = (url) => {
+    if (!window.confirm(`Delete ${url.shortcode}? Its click history will be removed too.`)) {
+      return;
     }
+    manager.deleteShortUrl(url.shortcode, url.domain);
+    setResults(prevResults => prevResults.filter(result => result.id !== url.id));
+    if (qrId === url.id) setQrId(null);
+    setStorageRevision(revision => revision + 1);
   };
 
+  const handleExport = (format) => {
+    const records = manager.getExportRecords();
+    const stamp = new Date().toISOString().slice(0, 10);
+    downloadFile(
+      `short-urls-${stamp}.${format}`,
+      exportLinks(records, format),
+      format === 'json' ? 'application/json' : 'text/csv'
+    );
+    logger.info('Links exported', { format, count: records.length });
+  };
+
+  const handleSignOut = () => {
+    accounts.logout();
+    setResults([]);
+    setCampaign('');
+    setQrId(null);
+    setStorageRevision(revision => revision + 1);
+    handleNavigation('home');
+  };
+
+  const usernames = new Map(accounts.getUsers().map(user => [user.id, user.username]));
+  // Nav button to highlight; link pages belong to Statistics
+  const section = match ? match.section : page;
+
   // Render current page content
   const renderPageContent = () => {
-    if (page === 'statistics') {
+    if (page === 'unlock') {
       return (
-        <div style={{ maxWidth: '1000px', margin: '0 auto', padding: '20px' }}>
-          <div style={{ background: 'white', borderRadius: '8px', boxShadow: '0 2px 4px rgba(0,0,0,0.1)', padding: '30px' }}>
-            <h2 style={{ fontSize: '24px', marginBottom: '20px', color: '#333' }}>URL Statistics</h2>
-            
-            {manager.getAllActiveUrls().length === 0 ? (
-              <div style={{ textAlign: 'center', padding: '40px', color: '#666' }}>
-                <p style={{ marginBottom: '10px' }}>No active URLs found.</p>
-                <p style={{ fontSize: '14px' }}>Create some URLs first to see statistics here.</p>
-              </div>
-            ) : (
-              <div style={{ overflowX: 'auto' }}>
-                <table style={{ width: '100%', borderCollapse: 'collapse' }}>
-                  <thead>
-                    <tr style={{ background: '#f9f9f9' }}>
-                      <th style={{ border: '1px solid #ddd', padding: '12px', textAlign: 'left' }}>Shortcode</th>
-                      <th style={{ border: '1px solid #ddd', padding: '12px', textAlign: 'left' }}>Original URL</th>
-                      <th style={{ border: '1px solid #ddd', padding: '12px', textAlign: 'left' }}>Short URL</th>
-                      <th style={{ border: '1px solid #ddd', padding: '12px', textAlign: 'left' }}>Created</th>
-                      <th style={{ border: '1px solid #ddd', padding: '12px', textAlign: 'left' }}>Expires</th>
-                      <th style={{ border: '1px solid #ddd', padding: '12px', textAlign: 'left' }}>Clicks</th>
-                      <th style={{ border: '1px solid #ddd', padding: '12px', textAlign: 'left' }}>Action</th>
-                    </tr>
-                  </thead>
-                  <tbody>
-                    {manager.getAllActiveUrls().map((url) => (
-                      <tr key={url.id} style={{ ':hover': { background: '#f5f5f5' } }}>
-                        <td style={{ border: '1px solid #ddd', padding: '12px', fontFamily: 'monospace', background: '#f3f4f6' }}>{url.shortcode}</td>
-                        <td style={{ border: '1px solid #ddd', padding: '12px', maxWidth: '250px', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
-                          <a href={url.originalUrl} target="_blank" rel="noopener noreferrer" style={{ color: '#2563eb', textDecoration: 'none' }}>
-                            {url.originalUrl}
-                          </a>
-                        </td>
-                        <td style={{ border: '1px solid #ddd', padding: '12px' }}>
-                          <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
-                            <span style={{ fontFamily: 'monospace', color: '#10b981' }}>
-                              localhost:3000/{url.shortcode}
-                            </span>
-                            <button
-                              onClick={() => copyToClipboard(`http://localhost:3000/${url.shortcode}`)}
-                              style={{ padding: '4px 8px', background: '#2563eb', color: 'white', border: 'none', borderRadius: '3px', cursor: 'pointer', fontSize: '12px' }}
-                            >
-                              Copy
-                            </button>
-                          </div>
-                        </td>
-                        <td style={{ border: '1px solid #ddd', padding: '12px', fontSize: '14px' }}>
-                          {new Date(url.created).toLocaleString()}
-                        </td>
-                        <td style={{ border: '1px solid #ddd', padding: '12px', fontSize: '14px', color: '#dc2626' }}>
-                          {new Date(url.expires).toLocaleString()}
-                        </td>
-                        <td style={{ border: '1px solid #ddd', padding: '12px', fontWeight: 'bold' }}>
-                          {url.clicks}
-                        </td>
-                        <td style={{ border: '1px solid #ddd', padding: '12px' }}>
-                          <button
-                            onClick={() => handleShortUrlClick(url.shortcode, url.originalUrl)}
-                            style={{ color: '#2563eb', background: 'none', border: 'none', cursor: 'pointer', textDecoration: 'underline' }}
-                          >
-                            Visit
-                          </button>
-                        </td>
-                      </tr>
-                    ))}
-                  </tbody>
-                </table>
-                
-                <div style={{ textAlign: 'center', marginTop: '20px', padding: '15px', background: '#f9f9f9', borderRadius: '6px' }}>
-                  <p style={{ fontSize: '14px', color: '#666' }}>
-                    Total URLs: {manager.getAllActiveUrls().length} | 
-                    Total Clicks: {manager.getAllActiveUrls().reduce((sum, url) => sum + url.clicks, 0)}
-                  </p>
-                </div>
-              </div>
-            )}
-          </div>
+        <UnlockPage
+          key={link.shortcode}
+          manager={manager}
+          shortcode={link.shortcode}
+          domain={link.domain}
+          onCancel={() => handleNavigation('home')}
+        />
+      );
+    }
+
+    if (page === 'preview') {
+      return (
+        <PreviewPage
+          key={link.shortcode}
+          manager={manager}
+          shortcode={link.shortcode}
+          domain={link.domain}
+          autoContinue={link.autoContinue}
+          onCancel={() => handleNavigation('home')}
+          onLocked={(shortcode) => {
+            setLink({ shortcode, domain: link.domain });
+            setPage('unlock');
+          }}
+        />
+      );
+    }
+
+    if (page === 'unavailable') {
+      return (
+        <LinkUnavailablePage
+          shortcode={link.shortcode}
+          status={link.status}
+          urlData={link.urlData}
+          onHome={() => handleNavigation('home')}
+        />
+      );
+    }
+
+    if (page === 'redirecting') {
+      return (
+        <div style={{ maxWidth: '600px', margin: '0 auto', padding: '20px', textAlign: 'center', color: '#666' }}>
+          Redirecting to {getDomain(link.destination)}…
         </div>
       );
     }
 
+    if (page === 'notFound') {
+      return <NotFoundPage path={location.pathname} onHome={() => handleNavigation('home')} />;
+    }
+
+    // Everything past this point manages links, which needs an account
+    if (!currentUser) {
+      return <LoginPage accounts={accounts} onSignedIn={() => setStorageRevision(revision => revision + 1)} />;
+    }
+
+    if (page === 'apiKeys') {
+      return (
+        <ApiKeysPage
+          accounts={accounts}
+          currentUser={currentUser}
+          onChanged={() => setStorageRevision(revision => revision + 1)}
+        />
+      );
+    }
+
+    if (page === 'settings' && currentUser.role === 'admin') {
+      return (
+        <SettingsPage
+          manager={manager}
+          accounts={accounts}
+          onSaved={() => {
+            setDomain(null);
+            setStorageRevision(revision => revision + 1);
+          }}
+        />
+      );
+    }
+
+    if (page === 'audit' && currentUser.role === 'admin') {
+      return <AuditPage manager={manager} />;
+    }
+
+    if (page === 'logs' && currentUser.role === 'admin') {
+      return <LogsPage />;
+    }
+
+    if (page === 'link' || page === 'linkEdit' || page === 'linkQr' || page === 'linkHealth') {
+      return (
+        <LinkDetailsPage
+          manager={manager}
+          shortcode={match.params.code}
+          domain={query.domain || null}
+          tab={page}
+          onNavigate={navigateToLink}
+          onBack={() => handleNavigation('statistics')}
+          onSaved={handleLinkSaved}
+        />
+      );
+    }
+
+    if (page === 'statistics') {
+      return (
+        <StatisticsPage
+          manager={manager}
+          currentUser={currentUser}
+          usernames={usernames}
+          query={query}
+          onQueryChange={(search, options) => navigate(router.href('statistics', {}, search), options)}
+          onCampaignsChange={() => setStorageRevision(revision => revision + 1)}
+          onVisit={openPreview}
+          onOpenLink={(targetPage, url) => handleNavigation(targetPage, { code: url.shortcode }, { domain: url.domain })}
+          onToggleDisabled={handleToggleDisabled}
+          onDelete={handleDeleteLink}
+          onCopy={copyToClipboard}
+          onExport={handleExport}
+        />
+      );
+    }
+
+    // Admin pages are hidden from everyone else
+    if (page !== 'home') {
+      return <NotFoundPage path={location.pathname} onHome={() => handleNavigation('home')} />;
+    }
+
     // Home page
     return (
       <div style={{ maxWidth: '800px', margin: '0 auto', padding: '20px' }}>
@@ -410,15 +452,15 @@ function App() {
         <div style={{ background: '#fff3cd', border: '1px solid #ffeaa7', borderRadius: '6px', padding: '15px', marginBottom: '20px' }}>
           <h4 style={{ color: '#856404', marginBottom: '10px' }}>🐛 Debug Info (Check this if URLs don't work):</h4>
           <div style={{ fontSize: '14px', color: '#856404' }}>
-            <p><strong>Current Path:</strong> {currentPath}</p>
+            <p><strong>Current Path:</strong> {location.pathname}</p>
             <p><strong>Current Page:</strong> {page}</p>
-            <p><strong>Total URLs in Database:</strong> {window.urlDatabase ? window.urlDatabase.length : 0}</p>
+            <p><strong>Total URLs in Database:</strong> {manager.getAllUrls().length}</p>
             <p><strong>Active URLs:</strong> {manager.getAllActiveUrls().length}</p>
-            {window.urlDatabase && window.urlDatabase.length > 0 && (
+            {manager.getAllUrls().length > 0 && (
               <div>
                 <p><strong>All Shortcodes:</strong></p>
                 <ul style={{ marginLeft: '20px' }}>
-                  {window.urlDatabase.map((url, i) => (
+                  {manager.getAllUrls().map((url, i) => (
                     <li key={i}>
                       <code>{url.shortcode}</code> → {url.originalUrl} 
                       {manager.isExpired(url) ? ' (EXPIRED)' : ' (ACTIVE)'}
@@ -436,6 +478,48 @@ function App() {
         {/* URL Creation Form */}
         <div style={{ background: 'white', borderRadius: '8px', boxShadow: '0 2px 4px rgba(0,0,0,0.1)', padding: '30px', marginBottom: '20px' }}>
           <h2 style={{ fontSize: '24px', marginBottom: '20px', color: '#333' }}>Create Short URLs (Up to 5)</h2>
+
+          {manager.getDomains().length > 1 && (
+            <label style={{ display: 'flex', alignItems: 'center', gap: '10px', fontSize: '14px', color: '#666', marginBottom: '15px' }}>
+              <strong>Domain:</strong>
+              <select
+                value={domain || manager.getDefaultDomain()}
+                onChange={(e) => setDomain(e.target.value)}
+                style={{ padding: '8px', border: '1px solid #ccc', borderRadius: '4px', fontSize: '14px' }}
+              >
+                {manager.getDomains().map(baseUrl => (
+                  <option key={baseUrl} value={hostOf(baseUrl)}>{baseUrl}</option>
+                ))}
+              </select>
+            </label>
+          )}
+
+          <div style={{ display: 'flex', alignItems: 'center', gap: '10px', fontSize: '14px', color: '#666', marginBottom: '15px' }}>
+            <label style={{ display: 'flex', alignItems: 'center', gap: '10px' }}>
+              <strong>Campaign:</strong>
+              <select
+                value={campaign}
+                onChange={(e) => setCampaign(e.target.value)}
+                style={{ padding: '8px', border: '1px solid #ccc', borderRadius: '4px', fontSize: '14px' }}
+              >
+                <option value="">None</option>
+                {manager.getCampaigns().map(entry => (
+                  <option key={entry.id} value={entry.id}>{entry.name}</option>
+                ))}
+                <option value={NEW_CAMPAIGN}>New campaign…</option>
+              </select>
+            </label>
+            {campaign === NEW_CAMPAIGN && (
+              <input
+                type="text"
+                placeholder="Campaign name"
+                value={campaignName}
+                onChange={(e) => setCampaignName(e.target.value)}
+                style={{ padding: '8px', border: '1px solid #ccc', borderRadius: '4px', fontSize: '14px' }}
+              />
+            )}
+            {campaignError && <span style={{ color: '#dc2626', fontSize: '12px' }}>{campaignError}</span>}
+          </div>
           
           {urls.map((urlData, index) => (
             <div key={index} style={{ border: '1px solid #ddd', borderRadius: '6px', padding: '15px', marginBottom: '15px', background: '#f9f9f9' }}>
@@ -451,7 +535,7 @@ function App() {
                 )}
               </div>
               
-              <div style={{ display: 'grid', gridTemplateColumns: '2fr 1fr 1fr', gap: '12px', marginBottom: '10px' }}>
+              <div style={{ display: 'grid', gridTemplateColumns: '2fr 1fr 1fr', gap: '12px', alignItems: 'start', marginBottom: '10px' }}>
                 <input
                   type="text"
                   placeholder="https://example.com"
@@ -459,23 +543,106 @@ function App() {
                   onChange={(e) => updateUrlField(index, 'url', e.target.value)}
                   style={{ padding: '10px', border: '1px solid #ccc', borderRadius: '4px', fontSize: '14px' }}
                 />
+                <ExpiryPicker value={urlData.expiry} onChange={(value) => updateUrlField(index, 'expiry', value)} />
+                <input
+                  type="text"
+                  placeholder="custom-code"
+                  value={urlData.code}
+                  onChange={(e) => updateUrlField(index, 'code', e.target.value)}
+                  maxLength="10"
+                  style={{ padding: '10px', border: '1px solid #ccc', borderRadius: '4px', fontSize: '14px' }}
+                />
+              </div>
+
+              <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr', gap: '12px', marginBottom: '10px' }}>
+                <input
+                  type="password"
+                  placeholder="Password (optional)"
+                  value={urlData.password}
+                  onChange={(e) => updateUrlField(index, 'password', e.target.value)}
+                  autoComplete="new-password"
+                  style={{ padding: '10px', border: '1px solid #ccc', borderRadius: '4px', fontSize: '14px' }}
+                />
                 <input
                   type="number"
-                  placeholder="30"
-                  value={urlData.minutes}
-                  onChange={(e) => updateUrlField(index, 'minutes', e.target.value)}
+                  placeholder="Max clicks (1 = one-time)"
+                  value={urlData.maxClicks}
+                  onChange={(e) => updateUrlField(index, 'maxClicks', e.target.value)}
                   min="1"
                   style={{ padding: '10px', border: '1px solid #ccc', borderRadius: '4px', fontSize: '14px' }}
                 />
+                <input
+                  type="datetime-local"
+                  title="Activate at (optional): the link doesn't redirect before this time"
+                  aria-label="Activate at"
+                  value={urlData.activatesAt}
+                  onChange={(e) => updateUrlField(index, 'activatesAt', e.target.value)}
+                  style={{ padding: '10px', border: '1px solid #ccc', borderRadius: '4px', fontSize: '14px', color: urlData.activatesAt ? '#333' : '#999' }}
+                />
+              </div>
+
+              <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '12px', marginBottom: '10px' }}>
                 <input
                   type="text"
-                  placeholder="custom-code"
-                  value={urlData.code}
-                  onChange={(e) => updateUrlField(index, 'code', e.target.value)}
-                  maxLength="10"
+                  placeholder="Title (optional)"
+                  value={urlData.title}
+                  onChange={(e) => updateUrlField(index, 'title', e.target.value)}
+                  style={{ padding: '10px', border: '1px solid #ccc', borderRadius: '4px', fontSize: '14px' }}
+                />
+                <input
+                  type="text"
+                  placeholder="Tags, comma separated"
+                  value={urlData.tags}
+                  onChange={(e) => updateUrlField(index, 'tags', e.target.value)}
                   style={{ padding: '10px', border: '1px solid #ccc', borderRadius: '4px', fontSize: '14px' }}
                 />
               </div>
+
+              <label style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '14px', color: '#666' }}>
+                <input
+                  type="checkbox"
+                  checked={urlData.preview}
+                  onChange={(e) => updateUrlField(index, 'preview', e.target.checked)}
+                />
+                Always show a preview page before redirecting
+              </label>
+              <label style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '14px', color: '#666', marginTop: '6px' }}>
+                <input
+                  type="checkbox"
+                  checked={urlData.forwardQuery}
+                  onChange={(e) => updateUrlField(index, 'forwardQuery', e.target.checked)}
+                />
+                Pass query parameters on the short URL (e.g. <code>?ref=x</code>) through to the destination
+              </label>
+
+              <button
+                onClick={() => updateUrlField(index, 'showUtm', !urlData.showUtm)}
+                style={{ marginTop: '10px', color: '#2563eb', background: 'none', border: 'none', cursor: 'pointer', fontSize: '14px', padding: 0 }}
+              >
+                {urlData.showUtm ? '▾' : '▸'} UTM parameters{hasUtm(urlData.utm) ? ' (set)' : ''}
+              </button>
+              {urlData.showUtm && (
+                <div style={{ marginTop: '10px' }}>
+                  <div style={{ display: 'grid', gridTemplateColumns: 'repeat(5, 1fr)', gap: '8px' }}>
+                    {UTM_FIELDS.map(field => (
+                      <input
+                        key={field}
+                        type="text"
+                        placeholder={`utm_${field} (${UTM_PLACEHOLDERS[field]})`}
+                        title={`utm_${field}`}
+                        value={urlData.utm[field]}
+                        onChange={(e) => updateUrlField(index, 'utm', { ...urlData.utm, [field]: e.target.value })}
+                        style={{ padding: '8px', border: '1px solid #ccc', borderRadius: '4px', fontSize: '12px', minWidth: 0 }}
+                      />
+                    ))}
+                  </div>
+                  {urlData.url.trim() && hasUtm(urlData.utm) && (
+                    <div style={{ fontSize: '12px', color: '#666', marginTop: '6px', wordBreak: 'break-all' }}>
+                      Destination: <span style={{ fontFamily: 'monospace', color: '#2563eb' }}>{composeDestination(urlData)}</span>
+                    </div>
+                  )}
+                </div>
+              )}
               
               {errors[index] && (
                 <div style={{ color: '#dc2626', fontSize: '12px', marginTop: '5px' }}>
@@ -534,42 +701,36 @@ function App() {
                     <div style={{ fontWeight: 'bold', color: '#666', fontSize: '14px', marginBottom: '5px' }}>Short URL:</div>
                     <div style={{ display: 'flex', alignItems: 'center', gap: '10px' }}>
                       <button
-                        onClick={() => {
-                          logger.info('Short URL button clicked', { shortcode: result.shortcode });
-                          const fullUrl = `http://localhost:3000/${result.shortcode}`;
-                          
-                          // For demo - show what would happen
-                          const action = window.confirm(
-                            `Short URL: ${fullUrl}\n\n` +
-                            `This would redirect to: ${result.originalUrl}\n\n` +
-                            `Click OK to open in new tab, Cancel to copy URL instead`
-                          );
-                          
-                          if (action) {
-                            manager.incrementClicks(result.shortcode);
-                            window.open(result.originalUrl, '_blank');
-                          } else {
-                            copyToClipboard(fullUrl);
-                          }
-                        }}
+                        onClick={() => openPreview(result)}
                         style={{ fontSize: '14px', fontFamily: 'monospace', color: '#10b981', background: 'none', border: 'none', cursor: 'pointer', textDecoration: 'underline' }}
                       >
-                        http://localhost:3000/{result.shortcode}
+                        {manager.getShortUrl(result)}
                       </button>
                       <button
-                        onClick={() => copyToClipboard(`http://localhost:3000/${result.shortcode}`)}
+                        onClick={() => copyToClipboard(manager.getShortUrl(result))}
                         style={{ padding: '6px 12px', background: '#2563eb', color: 'white', border: 'none', borderRadius: '4px', cursor: 'pointer', fontSize: '12px' }}
                       >
                         Copy
                       </button>
+                      <button
+                        onClick={() => setQrId(qrId === result.id ? null : result.id)}
+                        style={{ padding: '6px 12px', background: '#6b7280', color: 'white', border: 'none', borderRadius: '4px', cursor: 'pointer', fontSize: '12px' }}
+                      >
+                        QR code
+                      </button>
                     </div>
                   </div>
                   
                   <div>
                     <div style={{ fontWeight: 'bold', color: '#666', fontSize: '14px', marginBottom: '5px' }}>Expires:</div>
                     <div style={{ fontSize: '14px', color: '#dc2626' }}>
-                      {new Date(result.expires).toLocaleString()}
+                      {formatExpiry(result.expires)}
                     </div>
+                    {result.activates && (
+                      <div style={{ fontSize: '12px', color: '#b45309', marginTop: '4px' }}>
+                        Active from {new Date(result.activates).toLocaleString()}
+                      </div>
+                    )}
                   </div>
                   
                   <div>
@@ -577,12 +738,29 @@ function App() {
                     <span style={{ fontSize: '14px', fontFamily: 'monospace', background: '#e5e7eb', padding: '4px 8px', borderRadius: '4px' }}>
                       {result.shortcode}
                     </span>
+                    {result.passwordHash && <span style={{ fontSize: '12px', color: '#b45309', marginLeft: '8px' }}>Password protected</span>}
+                    {result.maxClicks && <span style={{ fontSize: '12px', color: '#b45309', marginLeft: '8px' }}>Max {result.maxClicks} click(s)</span>}
                   </div>
                 </div>
+
+                {qrId === result.id && (
+                  <QrCodePanel
+                    shortUrl={manager.getShortUrl(result)}
+                    shortcode={result.shortcode}
+                    onClose={() => setQrId(null)}
+                  />
+                )}
               </div>
             ))}
           </div>
         )}
+
+        {/* Bulk Import */}
+        <BulkImport
+          manager={manager}
+          domain={domain}
+          onImported={(created) => setResults(created)}
+        />
       </div>
     );
   };
@@ -597,7 +775,7 @@ function App() {
             <button
               onClick={() => handleNavigation('home')}
               style={{
-                background: page === 'home' ? 'rgba(255,255,255,0.2)' : 'transparent',
+                background: section === 'home' ? 'rgba(255,255,255,0.2)' : 'transparent',
                 color: 'white',
                 border: '1px solid transparent',
                 padding: '8px 16px',
@@ -610,7 +788,7 @@ function App() {
             <button
               onClick={() => handleNavigation('statistics')}
               style={{
-                background: page === 'statistics' ? 'rgba(255,255,255,0.2)' : 'transparent',
+                background: section === 'statistics' ? 'rgba(255,255,255,0.2)' : 'transparent',
                 color: 'white',
                 border: '1px solid transparent',
                 padding: '8px 16px',
@@ -620,6 +798,77 @@ function App() {
             >
               Statistics
             </button>
+            {currentUser && currentUser.role === 'admin' && (
+              <button
+                onClick={() => handleNavigation('audit')}
+                style={{
+                  background: section === 'audit' ? 'rgba(255,255,255,0.2)' : 'transparent',
+                  color: 'white',
+                  border: '1px solid transparent',
+                  padding: '8px 16px',
+                  borderRadius: '4px',
+                  cursor: 'pointer'
+                }}
+              >
+                Audit
+              </button>
+            )}
+            {currentUser && (
+              <button
+                onClick={() => handleNavigation('apiKeys')}
+                style={{
+                  background: section === 'apiKeys' ? 'rgba(255,255,255,0.2)' : 'transparent',
+                  color: 'white',
+                  border: '1px solid transparent',
+                  padding: '8px 16px',
+                  borderRadius: '4px',
+                  cursor: 'pointer'
+                }}
+              >
+                API Keys
+              </button>
+            )}
+            {currentUser && currentUser.role === 'admin' && (
+              <button
+                onClick={() => handleNavigation('settings')}
+                style={{
+                  background: section === 'settings' ? 'rgba(255,255,255,0.2)' : 'transparent',
+                  color: 'white',
+                  border: '1px solid transparent',
+                  padding: '8px 16px',
+                  borderRadius: '4px',
+                  cursor: 'pointer'
+                }}
+              >
+                Settings
+              </button>
+            )}
+            {currentUser && currentUser.role === 'admin' && (
+              <button
+                onClick={() => handleNavigation('logs')}
+                style={{
+                  background: section === 'logs' ? 'rgba(255,255,255,0.2)' : 'transparent',
+                  color: 'white',
+                  border: '1px solid transparent',
+                  padding: '8px 16px',
+                  borderRadius: '4px',
+                  cursor: 'pointer'
+                }}
+              >
+                Logs
+              </button>
+            )}
+            {currentUser && (
+              <div style={{ display: 'flex', alignItems: 'center', gap: '10px', marginLeft: '10px', fontSize: '14px' }}>
+                <span>{currentUser.username}{currentUser.role === 'admin' ? ' (admin)' : ''}</span>
+                <button
+                  onClick={handleSignOut}
+                  style={{ background: 'transparent', color: 'white', border: '1px solid rgba(255,255,255,0.6)', padding: '6px 12px', borderRadius: '4px', cursor: 'pointer' }}
+                >
+                  Sign out
+                </button>
+              </div>
+            )}
           </div>
         </div>
       </nav>
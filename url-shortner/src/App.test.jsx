@@ -0,0 +1,85 @@
+// @vitest-environment jsdom
+import React from 'react';
+import { afterEach, beforeAll, beforeEach, describe, expect, it } from 'vitest';
+import { cleanup, fireEvent, render, screen } from '@testing-library/react';
+import App from './App.jsx';
+import { AccountManager } from './lib/AccountManager.js';
+import { URLManager } from './lib/URLManager.js';
+import { configureLogging } from './lib/Logger.js';
+import { MemoryStorage, getDefaultStorage, setDefaultStorage } from './lib/storage/index.js';
+
+beforeAll(() => {
+  configureLogging({ level: 'silent' });
+});
+
+// Every test starts signed in on the home page with no links
+beforeEach(() => {
+  localStorage.clear();
+  window.history.replaceState(null, '', '/');
+  setDefaultStorage(new MemoryStorage());
+  const accounts = new AccountManager();
+  accounts.register('alice', 'correct horse');
+  accounts.login('alice', 'correct horse');
+});
+
+afterEach(cleanup);
+
+const fillRow = (index, fields) => {
+  for (const [placeholder, value] of Object.entries(fields)) {
+    fireEvent.change(screen.getAllByPlaceholderText(placeholder)[index], { target: { value } });
+  }
+};
+
+describe('creation form', () => {
+  it('shows each error under the row that caused it', () => {
+    render(<App />);
+    fireEvent.click(screen.getByRole('button', { name: 'Add URL (1/5)' }));
+    fillRow(0, { 'https://example.com': 'https://example.com', 'custom-code': 'statistics' });
+    fillRow(1, { 'https://example.com': 'not a url' });
+
+    fireEvent.click(screen.getByRole('button', { name: 'Create Short URLs' }));
+
+    const [first, second] = screen.getAllByPlaceholderText('https://example.com').map(input => input.closest('div').parentElement);
+    expect(first.textContent).toMatch(/reserved/i);
+    expect(first.textContent).not.toContain('URL must start with http:// or https://');
+    expect(second.textContent).toContain('URL must start with http:// or https://');
+    expect(screen.queryByText('Created Short URLs')).toBeNull();
+  });
+
+  it('creates every filled-in row and lists the short links', () => {
+    render(<App />);
+    fireEvent.click(screen.getByRole('button', { name: 'Add URL (1/5)' }));
+    fillRow(0, { 'https://example.com': 'https://example.com/one', 'custom-code': 'one' });
+    fillRow(1, { 'https://example.com': 'https://example.com/two' });
+
+    fireEvent.click(screen.getByRole('button', { name: 'Create Short URLs' }));
+
+    expect(screen.getByText('Created Short URLs')).toBeTruthy();
+    expect(screen.getByText('https://example.com/one')).toBeTruthy();
+    expect(screen.getByText('https://example.com/two')).toBeTruthy();
+    expect(new URLManager().getAllUrls().map(url => url.shortcode)).toContain('one');
+    expect(screen.getAllByPlaceholderText('https://example.com')).toHaveLength(1);
+  });
+
+  it('refuses destinations on the domain lists the server publishes', () => {
+    getDefaultStorage().set('safety', { allowlist: [], denylist: ['evil.example'], allowPrivate: false });
+    render(<App />);
+    fillRow(0, { 'https://example.com': 'https://evil.example/x' });
+
+    fireEvent.click(screen.getByRole('button', { name: 'Create Short URLs' }));
+
+    expect(screen.getByText('Links to evil.example are not allowed')).toBeTruthy();
+    expect(screen.queryByText('Created Short URLs')).toBeNull();
+    expect(new URLManager().getAllUrls()).toHaveLength(0);
+  });
+});
+
+describe('preview route', () => {
+  it('shows the unavailable page for codes that cannot be followed', () => {
+    window.history.replaceState(null, '', '/preview/nothere');
+    render(<App />);
+
+    expect(screen.getByText('Link not found')).toBeTruthy();
+    expect(screen.getByText('No short URL exists for "nothere".')).toBeTruthy();
+  });
+});
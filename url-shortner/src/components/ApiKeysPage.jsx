@@ -0,0 +1,147 @@
+import React, { useState } from 'react';
+import { Logger } from '../lib/Logger.js';
+import { DEFAULT_RATE_LIMITS, RateLimiter, describeRateLimit } from '../lib/RateLimiter.js';
+
+const inputStyle = { padding: '10px', border: '1px solid #ccc', borderRadius: '4px', fontSize: '14px' };
+const cellStyle = { border: '1px solid #ddd', padding: '8px', textAlign: 'left' };
+
+// Issue and revoke REST API keys, and show the creation rate limits that apply to them
+function ApiKeysPage({ accounts, currentUser, onChanged }) {
+  const [name, setName] = useState('');
+  const [issued, setIssued] = useState(null);
+  const [error, setError] = useState('');
+  const logger = new Logger('ApiKeysPage');
+
+  // The server publishes its configured limits; before it has, show the defaults
+  const limits = accounts.storage.get('rateLimits') || DEFAULT_RATE_LIMITS;
+  const limiter = new RateLimiter(accounts.storage, limits);
+  const usernames = new Map(accounts.getUsers().map(user => [user.id, user.username]));
+  const keys = accounts.listApiKeys();
+
+  // Key changes go through the server when the app syncs through one, so actions may be async
+  const run = async (action) => {
+    setError('');
+    try {
+      await action();
+      onChanged();
+    } catch (err) {
+      logger.error('API key action failed', { error: err.message });
+      setError(err.message);
+    }
+  };
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    run(async () => {
+      setIssued(await accounts.createApiKey(name));
+      setName('');
+    });
+  };
+
+  const handleRevoke = (apiKey) => {
+    if (!window.confirm(`Revoke "${apiKey.name}"? Scripts using it will stop working.`)) {
+      return;
+    }
+    run(async () => {
+      await accounts.revokeApiKey(apiKey.id);
+      if (issued && issued.id === apiKey.id) setIssued(null);
+    });
+  };
+
+  return (
+    <div style={{ maxWidth: '900px', margin: '0 auto', padding: '20px' }}>
+      <div style={{ background: 'white', borderRadius: '8px', boxShadow: '0 2px 4px rgba(0,0,0,0.1)', padding: '30px' }}>
+        <h2 style={{ fontSize: '24px', marginBottom: '10px', color: '#333' }}>API Keys</h2>
+        <p style={{ fontSize: '14px', color: '#666', marginBottom: '15px' }}>
+          Send a key as <code>Authorization: Bearer &lt;key&gt;</code> to the <code>/api/urls</code> endpoints.
+          Requests act as the key's owner.
+        </p>
+
+        <div style={{ background: '#f9f9f9', border: '1px solid #ddd', borderRadius: '6px', padding: '15px', marginBottom: '20px', fontSize: '14px', color: '#666' }}>
+          <strong>Link creation limits:</strong> {describeRateLimit(limits.perKey)} per key,
+          {' '}{describeRateLimit(limits.perIp)} per client IP. Requests over the limit get
+          {' '}<code>429</code> with a <code>Retry-After</code> header.
+        </div>
+
+        <form onSubmit={handleCreate} style={{ display: 'flex', gap: '10px', marginBottom: '20px' }}>
+          <input
+            type="text"
+            placeholder="Key name, e.g. deploy script"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            maxLength="60"
+            style={{ ...inputStyle, flex: 1 }}
+          />
+          <button
+            type="submit"
+            style={{ padding: '10px 20px', background: '#2563eb', color: 'white', border: 'none', borderRadius: '4px', cursor: 'pointer' }}
+          >
+            Create key
+          </button>
+        </form>
+
+        {issued && (
+          <div style={{ border: '1px solid #10b981', background: '#f0fdf4', borderRadius: '6px', padding: '15px', marginBottom: '20px' }}>
+            <div style={{ fontWeight: 'bold', color: '#333', marginBottom: '5px' }}>New key "{issued.name}"</div>
+            <div style={{ fontFamily: 'monospace', fontSize: '14px', wordBreak: 'break-all', marginBottom: '5px' }}>{issued.key}</div>
+            <div style={{ fontSize: '12px', color: '#b45309' }}>Copy it now, it won't be shown again.</div>
+          </div>
+        )}
+
+        {error && <div style={{ color: '#dc2626', fontSize: '14px', marginBottom: '15px' }}>{error}</div>}
+
+        {keys.length === 0 ? (
+          <p style={{ fontSize: '14px', color: '#666' }}>No API keys yet.</p>
+        ) : (
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '14px' }}>
+            <thead>
+              <tr style={{ background: '#f8f9fa' }}>
+                <th style={cellStyle}>Name</th>
+                <th style={cellStyle}>Key</th>
+                {currentUser.role === 'admin' && <th style={cellStyle}>Owner</th>}
+                <th style={cellStyle}>Created</th>
+                <th style={cellStyle}>Last used</th>
+                <th style={cellStyle}>Creations left</th>
+                <th style={cellStyle}>Action</th>
+              </tr>
+            </thead>
+            <tbody>
+              {keys.map(apiKey => {
+                const usage = limiter.peek(`key:${apiKey.id}`, 'perKey');
+                return (
+                  <tr key={apiKey.id} style={{ opacity: apiKey.active ? 1 : 0.6 }}>
+                    <td style={cellStyle}>{apiKey.name}</td>
+                    <td style={{ ...cellStyle, fontFamily: 'monospace' }}>{apiKey.prefix}…</td>
+                    {currentUser.role === 'admin' && <td style={cellStyle}>{usernames.get(apiKey.userId) || 'unknown'}</td>}
+                    <td style={cellStyle}>{new Date(apiKey.created).toLocaleString()}</td>
+                    <td style={cellStyle}>{apiKey.lastUsed ? new Date(apiKey.lastUsed).toLocaleString() : 'Never'}</td>
+                    <td style={cellStyle}>
+                      {apiKey.active ? `${usage.remaining} / ${usage.limit}` : '—'}
+                      {apiKey.active && usage.retryAfter > 0 && (
+                        <div style={{ fontSize: '12px', color: '#dc2626' }}>Limited, retry in {usage.retryAfter}s</div>
+                      )}
+                    </td>
+                    <td style={cellStyle}>
+                      {apiKey.active ? (
+                        <button
+                          onClick={() => handleRevoke(apiKey)}
+                          style={{ color: '#dc2626', background: 'none', border: 'none', cursor: 'pointer', textDecoration: 'underline' }}
+                        >
+                          Revoke
+                        </button>
+                      ) : (
+                        <span style={{ color: '#6b7280' }}>Revoked {new Date(apiKey.revoked).toLocaleDateString()}</span>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default ApiKeysPage;
@@ -0,0 +1,175 @@
+import React, { useState } from 'react';
+import { Logger } from '../lib/Logger.js';
+import { AUDIT_ACTIONS, actorName, exportAuditEvents } from '../lib/audit/AuditLog.js';
+import { downloadFile } from '../lib/download.js';
+
+const PAGE_SIZE = 100;
+const ACTION_COLORS = {
+  created: '#10b981',
+  updated: '#2563eb',
+  extended: '#2563eb',
+  enabled: '#10b981',
+  disabled: '#b45309',
+  expired: '#6b7280',
+  archived: '#6b7280',
+  purged: '#dc2626',
+  deleted: '#dc2626',
+  lookupFailed: '#b45309',
+  collision: '#dc2626'
+};
+const cellStyle = { border: '1px solid #ddd', padding: '6px 8px', textAlign: 'left', verticalAlign: 'top' };
+const inputStyle = { padding: '8px', border: '1px solid #ccc', borderRadius: '4px', fontSize: '14px' };
+const buttonStyle = { padding: '6px 12px', background: '#6b7280', color: 'white', border: 'none', borderRadius: '4px', cursor: 'pointer', fontSize: '12px' };
+
+const formatValue = (key, value) => {
+  if (value === null || value === undefined) return '—';
+  if ((key === 'created' || key === 'expires') && typeof value === 'number') return new Date(value).toLocaleString();
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+// "field: before → after" lines; creations and deletions show the whole record on one side
+function Changes({ event }) {
+  const before = event.before || {};
+  const after = event.after || {};
+  const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+  const details = event.details ? Object.entries(event.details) : [];
+
+  return (
+    <div style={{ fontSize: '12px', wordBreak: 'break-all' }}>
+      {keys.map(key => (
+        <div key={key}>
+          <strong>{key}:</strong>{' '}
+          {event.before && <span style={{ color: '#dc2626' }}>{formatValue(key, before[key])}</span>}
+          {event.before && event.after && ' → '}
+          {event.after && <span style={{ color: '#10b981' }}>{formatValue(key, after[key])}</span>}
+        </div>
+      ))}
+      {details.map(([key, value]) => (
+        <div key={key} style={{ color: '#666' }}>{key}: {formatValue(key, value)}</div>
+      ))}
+    </div>
+  );
+}
+
+// Link lifecycle history for admins: who created, edited, extended, disabled or deleted what, plus expiries,
+// failed lookups and shortcode collisions
+function AuditPage({ manager }) {
+  const [action, setAction] = useState('');
+  const [actor, setActor] = useState('');
+  const [search, setSearch] = useState('');
+  const [since, setSince] = useState('');
+  const [until, setUntil] = useState('');
+  const [visibleCount, setVisibleCount] = useState(PAGE_SIZE);
+  const logger = new Logger('AuditPage');
+
+  const allEvents = manager.getAuditEvents();
+  const actors = new Map(allEvents.map(event => [event.actor ? event.actor.id : 'system', actorName(event)]));
+
+  // Date inputs are local days; "until" includes the whole day
+  const events = manager.getAuditEvents({
+    action,
+    actor,
+    search,
+    since: since ? new Date(`${since}T00:00`).getTime() : null,
+    until: until ? new Date(`${until}T00:00`).getTime() + 24 * 60 * 60 * 1000 : null
+  });
+
+  const updateFilter = (setter) => (e) => {
+    setter(e.target.value);
+    setVisibleCount(PAGE_SIZE);
+  };
+
+  const handleExport = (format) => {
+    const stamp = new Date().toISOString().slice(0, 10);
+    downloadFile(
+      `audit-${stamp}.${format}`,
+      exportAuditEvents(events, format),
+      format === 'json' ? 'application/json' : 'text/csv'
+    );
+    logger.info('Audit log exported', { format, count: events.length });
+  };
+
+  return (
+    <div style={{ maxWidth: '1000px', margin: '0 auto', padding: '20px' }}>
+      <div style={{ background: 'white', borderRadius: '8px', boxShadow: '0 2px 4px rgba(0,0,0,0.1)', padding: '30px' }}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '10px' }}>
+          <h2 style={{ fontSize: '24px', color: '#333' }}>Audit Log</h2>
+          {events.length > 0 && (
+            <div style={{ display: 'flex', gap: '8px' }}>
+              <button onClick={() => handleExport('csv')} style={buttonStyle}>Export CSV</button>
+              <button onClick={() => handleExport('json')} style={buttonStyle}>Export JSON</button>
+            </div>
+          )}
+        </div>
+        <p style={{ fontSize: '14px', color: '#666', marginBottom: '20px' }}>
+          Every change to every link, newest first. "system" is the redirect server or an anonymous visitor.
+        </p>
+
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '10px', alignItems: 'center', marginBottom: '20px', fontSize: '14px', color: '#666' }}>
+          <select value={action} onChange={updateFilter(setAction)} style={inputStyle}>
+            <option value="">All actions</option>
+            {Object.entries(AUDIT_ACTIONS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+          </select>
+          <select value={actor} onChange={updateFilter(setActor)} style={inputStyle}>
+            <option value="">Everyone</option>
+            {[...actors.entries()].map(([id, name]) => <option key={id} value={id}>{name}</option>)}
+          </select>
+          <input
+            type="text"
+            placeholder="Search shortcode, URL, domain"
+            value={search}
+            onChange={updateFilter(setSearch)}
+            style={{ ...inputStyle, flex: 1, minWidth: '180px' }}
+          />
+          <label>From <input type="date" value={since} onChange={updateFilter(setSince)} style={inputStyle} /></label>
+          <label>To <input type="date" value={until} onChange={updateFilter(setUntil)} style={inputStyle} /></label>
+        </div>
+
+        {events.length === 0 ? (
+          <p style={{ fontSize: '14px', color: '#666', textAlign: 'center', padding: '20px' }}>
+            {allEvents.length === 0 ? 'Nothing has happened yet.' : 'No events match these filters.'}
+          </p>
+        ) : (
+          <div style={{ overflowX: 'auto' }}>
+            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '13px' }}>
+              <thead>
+                <tr style={{ background: '#f8f9fa' }}>
+                  <th style={cellStyle}>Time</th>
+                  <th style={cellStyle}>Action</th>
+                  <th style={cellStyle}>Actor</th>
+                  <th style={cellStyle}>Link</th>
+                  <th style={cellStyle}>Changes</th>
+                </tr>
+              </thead>
+              <tbody>
+                {events.slice(0, visibleCount).map(event => (
+                  <tr key={event.id}>
+                    <td style={{ ...cellStyle, whiteSpace: 'nowrap' }}>{new Date(event.timestamp).toLocaleString()}</td>
+                    <td style={{ ...cellStyle, color: ACTION_COLORS[event.action], fontWeight: 'bold' }}>
+                      {AUDIT_ACTIONS[event.action] || event.action}
+                    </td>
+                    <td style={cellStyle}>{actorName(event)}</td>
+                    <td style={cellStyle}>
+                      <div style={{ fontFamily: 'monospace' }}>{event.shortcode || '—'}</div>
+                      <div style={{ fontSize: '12px', color: '#666' }}>{event.domain}</div>
+                    </td>
+                    <td style={cellStyle}><Changes event={event} /></td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {events.length > visibleCount && (
+              <div style={{ textAlign: 'center', marginTop: '15px' }}>
+                <button onClick={() => setVisibleCount(count => count + PAGE_SIZE)} style={{ ...buttonStyle, background: '#2563eb' }}>
+                  Show more ({events.length - visibleCount} left)
+                </button>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default AuditPage;
@@ -0,0 +1,121 @@
+import React, { useState } from 'react';
+import { Logger } from '../lib/Logger.js';
+import { detectFormat, MAX_IMPORT_ROWS, parseImport } from '../lib/bulk.js';
+
+const CSV_EXAMPLE = 'url,minutes,code\nhttps://example.com/spring,1440,spring\nhttps://example.com/summer,60,';
+
+// Bulk creation from pasted or uploaded CSV / JSON, beyond the five-field form
+function BulkImport({ manager, domain, onImported }) {
+  const [text, setText] = useState('');
+  const [fileName, setFileName] = useState('');
+  const [summary, setSummary] = useState(null);
+  const [error, setError] = useState('');
+  const logger = new Logger('BulkImport');
+
+  const handleFile = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    file.text().then((content) => {
+      setText(content);
+      setFileName(file.name);
+      setSummary(null);
+      setError('');
+    });
+  };
+
+  const handleImport = () => {
+    setError('');
+    setSummary(null);
+
+    try {
+      const rows = parseImport(text, detectFormat(text, fileName));
+      const result = manager.importUrls(rows, { domain });
+      setSummary(result);
+      onImported(result.created);
+    } catch (err) {
+      logger.error('Import failed', { error: err.message });
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div style={{ background: 'white', borderRadius: '8px', boxShadow: '0 2px 4px rgba(0,0,0,0.1)', padding: '30px', marginBottom: '20px' }}>
+      <h2 style={{ fontSize: '24px', marginBottom: '10px', color: '#333' }}>Bulk Import</h2>
+      <p style={{ fontSize: '14px', color: '#666', marginBottom: '15px' }}>
+        Paste or upload CSV (columns <code>url, minutes, code</code>, header optional) or a JSON array of
+        {' '}<code>{'{ "url", "minutes", "code" }'}</code> objects. An <code>expires</code> date instead of minutes keeps
+        an exported link's expiry. Up to {MAX_IMPORT_ROWS} links per import.
+      </p>
+
+      <textarea
+        value={text}
+        onChange={(e) => { setText(e.target.value); setFileName(''); }}
+        placeholder={CSV_EXAMPLE}
+        rows={6}
+        style={{ width: '100%', padding: '10px', border: '1px solid #ccc', borderRadius: '4px', fontSize: '14px', fontFamily: 'monospace', marginBottom: '10px' }}
+      />
+
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <input type="file" accept=".csv,.json,text/csv,application/json" onChange={handleFile} style={{ fontSize: '14px' }} />
+        <button
+          onClick={handleImport}
+          disabled={!text.trim()}
+          style={{
+            padding: '10px 24px',
+            background: text.trim() ? '#2563eb' : '#9ca3af',
+            color: 'white',
+            border: 'none',
+            borderRadius: '4px',
+            cursor: text.trim() ? 'pointer' : 'not-allowed',
+            fontSize: '14px'
+          }}
+        >
+          Import Links
+        </button>
+      </div>
+
+      {error && (
+        <div style={{ color: '#dc2626', fontSize: '12px', marginTop: '10px' }}>
+          {error}
+        </div>
+      )}
+
+      {summary && (
+        <div style={{ marginTop: '20px' }}>
+          <p style={{ fontSize: '14px', color: '#333', marginBottom: '10px' }}>
+            <strong style={{ color: '#10b981' }}>{summary.created.length} created</strong>
+            {summary.errors.length > 0 && <>, <strong style={{ color: '#dc2626' }}>{summary.errors.length} failed</strong></>}
+          </p>
+
+          {summary.errors.length > 0 && (
+            <div style={{ overflowX: 'auto', maxHeight: '300px', overflowY: 'auto' }}>
+              <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '14px' }}>
+                <thead>
+                  <tr style={{ background: '#f9f9f9' }}>
+                    <th style={{ border: '1px solid #ddd', padding: '8px', textAlign: 'left' }}>Row</th>
+                    <th style={{ border: '1px solid #ddd', padding: '8px', textAlign: 'left' }}>URL</th>
+                    <th style={{ border: '1px solid #ddd', padding: '8px', textAlign: 'left' }}>Error</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {summary.errors.map((rowError) => (
+                    <tr key={rowError.row}>
+                      <td style={{ border: '1px solid #ddd', padding: '8px' }}>{rowError.row}</td>
+                      <td style={{ border: '1px solid #ddd', padding: '8px', maxWidth: '250px', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                        {rowError.url || <em>(empty)</em>}
+                      </td>
+                      <td style={{ border: '1px solid #ddd', padding: '8px', color: '#dc2626' }}>{rowError.message}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default BulkImport;
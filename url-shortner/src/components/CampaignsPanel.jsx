@@ -0,0 +1,97 @@
+import React, { useState } from 'react';
+import { NO_CAMPAIGN } from '../lib/campaigns.js';
+
+const cellStyle = { borderBottom: '1px solid #eee', padding: '8px', textAlign: 'left' };
+const inputStyle = { padding: '8px', border: '1px solid #ccc', borderRadius: '4px', fontSize: '14px' };
+const linkButtonStyle = { color: '#2563eb', background: 'none', border: 'none', cursor: 'pointer', textDecoration: 'underline', padding: 0, font: 'inherit' };
+
+// Campaigns with their link counts and click totals. Picking one filters the Statistics table to its links
+// (selected is the current campaign filter); onChange is called after a campaign is created or deleted.
+function CampaignsPanel({ manager, selected, onSelect, onChange }) {
+  const [name, setName] = useState('');
+  const [error, setError] = useState('');
+  const summary = manager.getCampaignSummary();
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    try {
+      manager.createCampaign(name);
+      setName('');
+      setError('');
+      onChange();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleDelete = (campaign) => {
+    if (!window.confirm(`Delete the campaign "${campaign.name}"? Its links are kept, outside any campaign.`)) {
+      return;
+    }
+    manager.deleteCampaign(campaign.id);
+    if (selected === campaign.id) onSelect('');
+    onChange();
+  };
+
+  return (
+    <div style={{ marginBottom: '20px', padding: '15px', background: '#f9f9f9', borderRadius: '6px' }}>
+      <h3 style={{ fontSize: '16px', color: '#333', marginBottom: '10px' }}>Campaigns</h3>
+      {summary.length > 1 && (
+        <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '14px', marginBottom: '10px' }}>
+          <thead>
+            <tr>
+              <th style={cellStyle}>Campaign</th>
+              <th style={cellStyle}>Links</th>
+              <th style={cellStyle}>Active</th>
+              <th style={cellStyle}>Clicks</th>
+              <th style={cellStyle}></th>
+            </tr>
+          </thead>
+          <tbody>
+            {summary.map(({ campaign, links, activeLinks, clicks }) => {
+              const id = campaign ? campaign.id : NO_CAMPAIGN;
+              return (
+                <tr key={id} style={{ background: selected === id ? '#e0ecff' : 'transparent' }}>
+                  <td style={cellStyle}>
+                    <button onClick={() => onSelect(selected === id ? '' : id)} style={linkButtonStyle}>
+                      {campaign ? campaign.name : 'Ungrouped'}
+                    </button>
+                  </td>
+                  <td style={cellStyle}>{links}</td>
+                  <td style={cellStyle}>{activeLinks}</td>
+                  <td style={{ ...cellStyle, fontWeight: 'bold' }}>{clicks}</td>
+                  <td style={cellStyle}>
+                    {campaign && (
+                      <button onClick={() => handleDelete(campaign)} style={{ ...linkButtonStyle, color: '#dc2626' }}>
+                        Delete
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+      <form onSubmit={handleCreate} style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+        <input
+          type="text"
+          placeholder="New campaign name"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          style={{ ...inputStyle, flex: 1 }}
+        />
+        <button
+          type="submit"
+          disabled={!name.trim()}
+          style={{ padding: '8px 12px', background: name.trim() ? '#2563eb' : '#9ca3af', color: 'white', border: 'none', borderRadius: '4px', cursor: 'pointer', fontSize: '14px' }}
+        >
+          Add campaign
+        </button>
+      </form>
+      {error && <p style={{ color: '#dc2626', fontSize: '14px', marginTop: '5px' }}>{error}</p>}
+    </div>
+  );
+}
+
+export default CampaignsPanel;
@@ -0,0 +1,55 @@
+import React from 'react';
+import { DURATION_PRESETS, DURATION_UNITS, describeDuration, pickerToExpiry } from '../lib/durations.js';
+
+const inputStyle = { padding: '10px', border: '1px solid #ccc', borderRadius: '4px', fontSize: '14px' };
+
+// How long a link lives: a preset, a custom amount of minutes / hours / days / weeks, a fixed date or never.
+// value / onChange use the DEFAULT_EXPIRY_CHOICE shape; pickerToExpiry turns it into URLManager arguments.
+function ExpiryPicker({ value, onChange }) {
+  const update = (field, fieldValue) => onChange({ ...value, [field]: fieldValue });
+  const { minutes } = pickerToExpiry(value);
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: '6px' }}>
+      <select value={value.choice} onChange={(e) => update('choice', e.target.value)} style={inputStyle} aria-label="Expires after">
+        {DURATION_PRESETS.map(preset => (
+          <option key={preset.minutes} value={String(preset.minutes)}>Expires in {preset.label}</option>
+        ))}
+        <option value="custom">Custom duration…</option>
+        <option value="date">Until a date…</option>
+        <option value="never">Never expires</option>
+      </select>
+
+      {value.choice === 'custom' && (
+        <div style={{ display: 'flex', gap: '6px' }}>
+          <input
+            type="number"
+            min="1"
+            value={value.amount}
+            onChange={(e) => update('amount', e.target.value)}
+            style={{ ...inputStyle, width: '70px' }}
+            aria-label="Duration"
+          />
+          <select value={value.unit} onChange={(e) => update('unit', e.target.value)} style={{ ...inputStyle, flex: 1 }} aria-label="Unit">
+            {Object.keys(DURATION_UNITS).map(unit => <option key={unit} value={unit}>{unit}</option>)}
+          </select>
+        </div>
+      )}
+      {value.choice === 'custom' && Number.isInteger(minutes) && minutes > 0 && (
+        <div style={{ fontSize: '12px', color: '#666' }}>{describeDuration(minutes)}</div>
+      )}
+
+      {value.choice === 'date' && (
+        <input
+          type="datetime-local"
+          value={value.date}
+          onChange={(e) => update('date', e.target.value)}
+          style={inputStyle}
+          aria-label="Expiry date"
+        />
+      )}
+    </div>
+  );
+}
+
+export default ExpiryPicker;
@@ -0,0 +1,136 @@
+import React from 'react';
+import { DEFAULT_BRANCH } from '../lib/routing/rules.js';
+
+const sectionTitle = { fontSize: '16px', marginBottom: '10px', color: '#333' };
+const panel = { border: '1px solid #ddd', borderRadius: '6px', padding: '15px', background: '#f9f9f9' };
+
+// Horizontal bar list used for referrers, devices, browsers, languages and routing branches
+function Breakdown({ title, items, total }) {
+  return (
+    <div style={panel}>
+      <h4 style={sectionTitle}>{title}</h4>
+      {items.length === 0 ? (
+        <p style={{ fontSize: '14px', color: '#666' }}>No data yet.</p>
+      ) : (
+        items.slice(0, 5).map((item) => (
+          <div key={item.name} style={{ marginBottom: '8px' }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '14px', color: '#333' }}>
+              <span>{item.name}</span>
+              <span>{item.count} ({Math.round((item.count / total) * 100)}%)</span>
+            </div>
+            <div style={{ height: '6px', background: '#e5e7eb', borderRadius: '3px', marginTop: '3px' }}>
+              <div style={{ width: `${(item.count / total) * 100}%`, height: '100%', background: '#2563eb', borderRadius: '3px' }} />
+            </div>
+          </div>
+        ))
+      )}
+    </div>
+  );
+}
+
+// Per-link detail view on the Statistics page
+function LinkAnalytics({ manager, urlData, onClose }) {
+  const stats = manager.getClickStats(urlData.shortcode, urlData.domain);
+
+  if (!stats) {
+    return null;
+  }
+
+  const peak = Math.max(1, ...stats.timeline.map(day => day.count));
+  // Which routing rule each click went through; only interesting once the link has (or had) rules
+  const showBranches = (urlData.rules || []).length > 0 || stats.recent.some(event => event.branch);
+
+  return (
+    <div style={{ border: '1px solid #2563eb', borderRadius: '8px', padding: '20px', marginTop: '20px' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '20px' }}>
+        <h3 style={{ fontSize: '20px', color: '#333' }}>
+          Analytics for <span style={{ fontFamily: 'monospace' }}>{urlData.shortcode}</span>
+        </h3>
+        <button
+          onClick={onClose}
+          style={{ padding: '6px 12px', background: '#6b7280', color: 'white', border: 'none', borderRadius: '4px', cursor: 'pointer', fontSize: '12px' }}
+        >
+          Close
+        </button>
+      </div>
+
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '20px', marginBottom: '20px', fontSize: '14px' }}>
+        <div>
+          <div style={{ fontWeight: 'bold', color: '#666', marginBottom: '5px' }}>Total clicks:</div>
+          <div style={{ fontSize: '24px', fontWeight: 'bold', color: '#333' }}>{Math.max(urlData.clicks, stats.total)}</div>
+        </div>
+        <div>
+          <div style={{ fontWeight: 'bold', color: '#666', marginBottom: '5px' }}>Last click:</div>
+          <div>{stats.lastClick ? new Date(stats.lastClick).toLocaleString() : 'Never'}</div>
+        </div>
+      </div>
+
+      <div style={{ ...panel, marginBottom: '20px' }}>
+        <h4 style={sectionTitle}>Clicks over the last {stats.timeline.length} days</h4>
+        <div style={{ display: 'flex', alignItems: 'flex-end', gap: '4px', height: '120px' }}>
+          {stats.timeline.map((day) => (
+            <div
+              key={day.date}
+              title={`${new Date(day.date).toLocaleDateString()}: ${day.count} click(s)`}
+              style={{ flex: 1, display: 'flex', flexDirection: 'column', justifyContent: 'flex-end', height: '100%' }}
+            >
+              <div style={{ height: `${(day.count / peak) * 100}%`, minHeight: day.count > 0 ? '2px' : 0, background: '#10b981', borderRadius: '2px 2px 0 0' }} />
+            </div>
+          ))}
+        </div>
+        <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '12px', color: '#666', marginTop: '5px' }}>
+          <span>{new Date(stats.timeline[0].date).toLocaleDateString()}</span>
+          <span>Today</span>
+        </div>
+      </div>
+
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '15px', marginBottom: '20px' }}>
+        <Breakdown title="Top referrers" items={stats.referrers} total={stats.total} />
+        <Breakdown title="Devices" items={stats.devices} total={stats.total} />
+        <Breakdown title="Browsers" items={stats.browsers} total={stats.total} />
+        <Breakdown title="Languages" items={stats.languages} total={stats.total} />
+        {showBranches && <Breakdown title="Routing branches" items={stats.branches} total={stats.total} />}
+      </div>
+      {/* Only the newest visits are kept in detail, see lib/analytics/ClickAnalytics.js */}
+      {stats.total < urlData.clicks && (
+        <p style={{ fontSize: '12px', color: '#666', marginTop: '-10px', marginBottom: '20px' }}>
+          The chart and breakdowns cover the latest {stats.total} clicks.
+        </p>
+      )}
+
+      {stats.recent.length > 0 && (
+        <div style={{ overflowX: 'auto' }}>
+          <h4 style={sectionTitle}>Recent clicks</h4>
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '14px' }}>
+            <thead>
+              <tr style={{ background: '#f9f9f9' }}>
+                <th style={{ border: '1px solid #ddd', padding: '8px', textAlign: 'left' }}>Time</th>
+                <th style={{ border: '1px solid #ddd', padding: '8px', textAlign: 'left' }}>Referrer</th>
+                <th style={{ border: '1px solid #ddd', padding: '8px', textAlign: 'left' }}>Device</th>
+                <th style={{ border: '1px solid #ddd', padding: '8px', textAlign: 'left' }}>Browser / OS</th>
+                <th style={{ border: '1px solid #ddd', padding: '8px', textAlign: 'left' }}>Language</th>
+                {showBranches && <th style={{ border: '1px solid #ddd', padding: '8px', textAlign: 'left' }}>Branch</th>}
+              </tr>
+            </thead>
+            <tbody>
+              {stats.recent.map((event) => (
+                <tr key={event.id}>
+                  <td style={{ border: '1px solid #ddd', padding: '8px' }}>{new Date(event.timestamp).toLocaleString()}</td>
+                  <td style={{ border: '1px solid #ddd', padding: '8px', maxWidth: '200px', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                    {event.referrer || 'Direct'}
+                  </td>
+                  <td style={{ border: '1px solid #ddd', padding: '8px' }}>{event.device}</td>
+                  <td style={{ border: '1px solid #ddd', padding: '8px' }}>{event.browser} / {event.os}</td>
+                  <td style={{ border: '1px solid #ddd', padding: '8px' }}>{event.language}</td>
+                  {showBranches && <td style={{ border: '1px solid #ddd', padding: '8px' }}>{event.branch || DEFAULT_BRANCH}</td>}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default LinkAnalytics;
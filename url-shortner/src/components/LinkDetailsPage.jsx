@@ -0,0 +1,83 @@
+import React from 'react';
+import LinkAnalytics from './LinkAnalytics.jsx';
+import LinkEditor from './LinkEditor.jsx';
+import QrCodePanel from './QrCodePanel.jsx';
+import LinkHealthPanel from './LinkHealthPanel.jsx';
+import NotFoundPage from './NotFoundPage.jsx';
+
+// Sub-pages of /links/:code, by route name
+const TABS = [
+  ['link', 'Analytics'],
+  ['linkEdit', 'Edit'],
+  ['linkQr', 'QR code'],
+  ['linkHealth', 'Health']
+];
+
+// One link's analytics, editor, QR code and destination health under /links/:code, /links/:code/edit,
+// /links/:code/qr and /links/:code/health.
+// domain picks the link when the same code exists on several domains (null is the default domain).
+function LinkDetailsPage({ manager, shortcode, domain, tab, onNavigate, onBack, onSaved }) {
+  const urlData = manager.getAllUrls().find(url => url.shortcode === shortcode && manager.isInDomain(url, domain));
+
+  if (!urlData) {
+    return <NotFoundPage message={`You have no link with the shortcode "${shortcode}".`} onHome={onBack} homeLabel="Back to Statistics" />;
+  }
+
+  // A renamed link moves to its new address
+  const handleSaved = (updated) => {
+    onSaved();
+    if (updated.shortcode !== shortcode) {
+      onNavigate(tab, { code: updated.shortcode }, { replace: true });
+    }
+  };
+
+  return (
+    <div style={{ maxWidth: '1000px', margin: '0 auto', padding: '20px' }}>
+      <div style={{ background: 'white', borderRadius: '8px', boxShadow: '0 2px 4px rgba(0,0,0,0.1)', padding: '30px' }}>
+        <button
+          onClick={onBack}
+          style={{ color: '#2563eb', background: 'none', border: 'none', cursor: 'pointer', textDecoration: 'underline', fontSize: '14px', padding: 0, marginBottom: '10px' }}
+        >
+          ← Statistics
+        </button>
+        <h2 style={{ fontSize: '24px', color: '#333', marginBottom: '5px' }}>
+          <span style={{ fontFamily: 'monospace' }}>{urlData.shortcode}</span>
+        </h2>
+        <div style={{ fontSize: '14px', color: '#666', marginBottom: '20px', wordBreak: 'break-all' }}>
+          {manager.getShortUrl(urlData)} → {urlData.originalUrl}
+        </div>
+
+        <div style={{ display: 'flex', gap: '8px', borderBottom: '1px solid #ddd' }}>
+          {TABS.map(([name, label]) => (
+            <button
+              key={name}
+              onClick={() => onNavigate(name, { code: urlData.shortcode })}
+              style={{
+                padding: '8px 16px',
+                background: 'none',
+                border: 'none',
+                borderBottom: tab === name ? '2px solid #2563eb' : '2px solid transparent',
+                color: tab === name ? '#2563eb' : '#666',
+                cursor: 'pointer',
+                fontSize: '14px'
+              }}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+
+        {tab === 'link' && <LinkAnalytics manager={manager} urlData={urlData} onClose={onBack} />}
+        {tab === 'linkEdit' && (
+          <LinkEditor key={urlData.id} manager={manager} urlData={urlData} onSaved={handleSaved} onClose={onBack} />
+        )}
+        {tab === 'linkQr' && (
+          <QrCodePanel shortUrl={manager.getShortUrl(urlData)} shortcode={urlData.shortcode} onClose={onBack} />
+        )}
+        {tab === 'linkHealth' && <LinkHealthPanel manager={manager} urlData={urlData} />}
+      </div>
+    </div>
+  );
+}
+
+export default LinkDetailsPage;
@@ -0,0 +1,196 @@
+import React, { useState } from 'react';
+import { Logger } from '../lib/Logger.js';
+import { DEFAULT_EXPIRY_CHOICE, formatExpiry, pickerToExpiry, toDateTimeLocal } from '../lib/durations.js';
+import { parseTagList } from '../lib/campaigns.js';
+import ExpiryPicker from './ExpiryPicker.jsx';
+import RulesEditor from './RulesEditor.jsx';
+
+const inputStyle = { padding: '10px', border: '1px solid #ccc', borderRadius: '4px', fontSize: '14px' };
+const labelStyle = { fontWeight: 'bold', color: '#666', fontSize: '14px', marginBottom: '5px' };
+const buttonStyle = { padding: '10px 20px', color: 'white', border: 'none', borderRadius: '4px', cursor: 'pointer' };
+
+// Edit / extend / reschedule / details / routing panel for one link on the Statistics page
+function LinkEditor({ manager, urlData, onSaved, onClose }) {
+  const [originalUrl, setOriginalUrl] = useState(urlData.originalUrl);
+  const [shortcode, setShortcode] = useState(urlData.shortcode);
+  const [redirectMode, setRedirectMode] = useState(urlData.redirectMode || 'direct');
+  const [forwardQuery, setForwardQuery] = useState(Boolean(urlData.forwardQuery));
+  const [extendMinutes, setExtendMinutes] = useState(30);
+  const [expiry, setExpiry] = useState(() => (urlData.expires === null ? { ...DEFAULT_EXPIRY_CHOICE, choice: 'never' } : DEFAULT_EXPIRY_CHOICE));
+  const [activatesAt, setActivatesAt] = useState(urlData.activates ? toDateTimeLocal(urlData.activates) : '');
+  const [title, setTitle] = useState(urlData.title || '');
+  const [tags, setTags] = useState((urlData.tags || []).join(', '));
+  const [campaign, setCampaign] = useState(urlData.campaign || '');
+  const [notes, setNotes] = useState(urlData.notes || '');
+  const [fallbackUrl, setFallbackUrl] = useState(urlData.fallbackUrl || '');
+  const [error, setError] = useState('');
+  const logger = new Logger('LinkEditor');
+
+  const run = (action) => {
+    setError('');
+    try {
+      const updated = action();
+      onSaved(updated);
+    } catch (err) {
+      logger.error('Link change failed', { shortcode: urlData.shortcode, error: err.message });
+      setError(err.message);
+    }
+  };
+
+  const handleSave = () => run(() => manager.updateShortUrl(urlData.shortcode, {
+    originalUrl: originalUrl.trim(),
+    shortcode: shortcode.trim(),
+    redirectMode,
+    forwardQuery
+  }, urlData.domain));
+
+  const handleExtend = () => run(() => manager.extendExpiry(urlData.shortcode, extendMinutes, urlData.domain));
+
+  const handleSchedule = () => run(() => manager.updateShortUrl(urlData.shortcode, {
+    ...pickerToExpiry(expiry),
+    activatesAt: activatesAt || null
+  }, urlData.domain));
+
+  const handleSaveDetails = () => run(() => manager.updateShortUrl(urlData.shortcode, {
+    title,
+    notes,
+    tags: parseTagList(tags),
+    campaign: campaign || null,
+    fallbackUrl: fallbackUrl.trim() || null
+  }, urlData.domain));
+
+  const handleSaveRules = (rules) => run(() => manager.updateShortUrl(urlData.shortcode, { rules }, urlData.domain));
+
+  return (
+    <div style={{ border: '1px solid #2563eb', borderRadius: '8px', padding: '20px', marginTop: '20px' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '20px' }}>
+        <h3 style={{ fontSize: '20px', color: '#333' }}>
+          Edit <span style={{ fontFamily: 'monospace' }}>{urlData.shortcode}</span>
+        </h3>
+        <button
+          onClick={onClose}
+          style={{ padding: '6px 12px', background: '#6b7280', color: 'white', border: 'none', borderRadius: '4px', cursor: 'pointer', fontSize: '12px' }}
+        >
+          Close
+        </button>
+      </div>
+
+      <div style={{ display: 'grid', gridTemplateColumns: '2fr 1fr 1fr auto', gap: '12px', alignItems: 'end', marginBottom: '20px' }}>
+        <div style={{ display: 'flex', flexDirection: 'column' }}>
+          <label style={labelStyle}>Original URL:</label>
+          <input type="text" value={originalUrl} onChange={(e) => setOriginalUrl(e.target.value)} style={inputStyle} />
+        </div>
+        <div style={{ display: 'flex', flexDirection: 'column' }}>
+          <label style={labelStyle}>Shortcode:</label>
+          <input type="text" value={shortcode} onChange={(e) => setShortcode(e.target.value)} maxLength="10" style={inputStyle} />
+        </div>
+        <div style={{ display: 'flex', flexDirection: 'column' }}>
+          <label style={labelStyle}>When visited:</label>
+          <select value={redirectMode} onChange={(e) => setRedirectMode(e.target.value)} style={inputStyle}>
+            <option value="direct">Redirect directly</option>
+            <option value="preview">Show preview</option>
+          </select>
+        </div>
+        <button onClick={handleSave} style={{ ...buttonStyle, background: '#2563eb' }}>
+          Save
+        </button>
+      </div>
+      <label style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '14px', color: '#666', marginTop: '-10px', marginBottom: '20px' }}>
+        <input type="checkbox" checked={forwardQuery} onChange={(e) => setForwardQuery(e.target.checked)} />
+        Pass query parameters on the short URL through to the destination (applies on Save)
+      </label>
+
+      <div style={{ display: 'grid', gridTemplateColumns: '2fr 1fr auto', gap: '12px', alignItems: 'end', marginBottom: '20px' }}>
+        <div style={{ fontSize: '14px', color: '#666' }}>
+          Currently expires <span style={{ color: '#dc2626' }}>{formatExpiry(urlData.expires)}</span>
+          {urlData.activates && (
+            <div style={{ marginTop: '4px' }}>
+              Active from <span style={{ color: '#b45309' }}>{new Date(urlData.activates).toLocaleString()}</span>
+            </div>
+          )}
+        </div>
+        <div style={{ display: 'flex', flexDirection: 'column' }}>
+          <label style={labelStyle}>Extend by (minutes):</label>
+          <input
+            type="number"
+            min="1"
+            value={extendMinutes}
+            onChange={(e) => setExtendMinutes(parseInt(e.target.value) || 30)}
+            style={inputStyle}
+          />
+        </div>
+        <button onClick={handleExtend} disabled={urlData.expires === null} style={{ ...buttonStyle, background: urlData.expires === null ? '#9ca3af' : '#10b981' }}>
+          Extend
+        </button>
+      </div>
+
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr auto', gap: '12px', alignItems: 'end' }}>
+        <div style={{ display: 'flex', flexDirection: 'column' }}>
+          <label style={labelStyle}>New expiry (from now):</label>
+          <ExpiryPicker value={expiry} onChange={setExpiry} />
+        </div>
+        <div style={{ display: 'flex', flexDirection: 'column' }}>
+          <label style={labelStyle}>Active from (optional):</label>
+          <input type="datetime-local" value={activatesAt} onChange={(e) => setActivatesAt(e.target.value)} style={inputStyle} />
+        </div>
+        <button onClick={handleSchedule} style={{ ...buttonStyle, background: '#2563eb' }}>
+          Set schedule
+        </button>
+      </div>
+
+      <h4 style={{ fontSize: '16px', color: '#333', margin: '20px 0 10px' }}>Details</h4>
+      <div style={{ display: 'grid', gridTemplateColumns: '2fr 2fr 1fr', gap: '12px', marginBottom: '12px' }}>
+        <div style={{ display: 'flex', flexDirection: 'column' }}>
+          <label style={labelStyle}>Title:</label>
+          <input type="text" value={title} onChange={(e) => setTitle(e.target.value)} style={inputStyle} />
+        </div>
+        <div style={{ display: 'flex', flexDirection: 'column' }}>
+          <label style={labelStyle}>Tags (comma separated):</label>
+          <input type="text" value={tags} onChange={(e) => setTags(e.target.value)} style={inputStyle} />
+        </div>
+        <div style={{ display: 'flex', flexDirection: 'column' }}>
+          <label style={labelStyle}>Campaign:</label>
+          <select value={campaign} onChange={(e) => setCampaign(e.target.value)} style={inputStyle}>
+            <option value="">None</option>
+            {manager.getCampaigns().map(entry => <option key={entry.id} value={entry.id}>{entry.name}</option>)}
+          </select>
+        </div>
+      </div>
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr auto', gap: '12px', alignItems: 'end' }}>
+        <div style={{ display: 'flex', flexDirection: 'column' }}>
+          <label style={labelStyle}>Fallback URL (used while the destination is broken):</label>
+          <input
+            type="text"
+            placeholder="https://example.com/fallback"
+            value={fallbackUrl}
+            onChange={(e) => setFallbackUrl(e.target.value)}
+            style={inputStyle}
+          />
+        </div>
+        <div style={{ display: 'flex', flexDirection: 'column' }}>
+          <label style={labelStyle}>Notes:</label>
+          <textarea value={notes} onChange={(e) => setNotes(e.target.value)} rows="3" style={{ ...inputStyle, fontFamily: 'inherit', resize: 'vertical' }} />
+        </div>
+        <button onClick={handleSaveDetails} style={{ ...buttonStyle, background: '#2563eb' }}>
+          Save details
+        </button>
+      </div>
+
+      <h4 style={{ fontSize: '16px', color: '#333', margin: '20px 0 10px' }}>Routing rules</h4>
+      {/* Remounted after a save so the drafts pick up the ids and normalized values the manager stored */}
+      <RulesEditor
+        key={(urlData.rules || []).map(rule => rule.id).join()}
+        rules={urlData.rules || []}
+        onSave={handleSaveRules}
+      />
+
+      {error && (
+        <div style={{ color: '#dc2626', fontSize: '12px', marginTop: '10px' }}>
+          {error}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default LinkEditor;
@@ -0,0 +1,71 @@
+import React from 'react';
+import { describeCheck } from '../lib/health/LinkHealth.js';
+
+const cellStyle = { border: '1px solid #ddd', padding: '8px', textAlign: 'left' };
+
+const STATE_LABELS = {
+  healthy: ['Healthy', '#10b981'],
+  broken: ['Broken', '#dc2626'],
+  unchecked: ['Not checked yet', '#6b7280']
+};
+
+// Destination health of one link: the link checker's verdict and its recent checks, newest first
+function LinkHealthPanel({ manager, urlData }) {
+  const health = manager.getLinkHealth(urlData);
+  const [label, color] = STATE_LABELS[health ? health.state : 'unchecked'];
+  const checks = health ? [...health.checks].reverse() : [];
+
+  return (
+    <div style={{ border: '1px solid #2563eb', borderRadius: '8px', padding: '20px', marginTop: '20px' }}>
+      <h3 style={{ fontSize: '20px', color: '#333', marginBottom: '20px' }}>
+        Destination health: <span style={{ color }}>{label}</span>
+      </h3>
+
+      <div style={{ fontSize: '14px', color: '#666', marginBottom: '20px' }}>
+        <p>
+          The server checks <span style={{ wordBreak: 'break-all' }}>{urlData.originalUrl}</span> periodically.
+          {health && health.failures > 0 && ` The last ${health.failures === 1 ? 'check' : `${health.failures} checks`} failed.`}
+        </p>
+        {urlData.fallbackUrl ? (
+          <p style={{ marginTop: '6px' }}>
+            {urlData.fallbackActive ? 'Visits currently go to the fallback URL ' : 'While the destination is broken, visits go to '}
+            <span style={{ wordBreak: 'break-all' }}>{urlData.fallbackUrl}</span>.
+          </p>
+        ) : (
+          <p style={{ marginTop: '6px' }}>Set a fallback URL on the Edit tab to keep the link working while the destination is down.</p>
+        )}
+      </div>
+
+      {checks.length > 0 && (
+        <div style={{ overflowX: 'auto' }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '14px' }}>
+            <thead>
+              <tr style={{ background: '#f9f9f9' }}>
+                <th style={cellStyle}>Checked</th>
+                <th style={cellStyle}>Result</th>
+                <th style={cellStyle}>Latency</th>
+                <th style={cellStyle}>Redirects</th>
+              </tr>
+            </thead>
+            <tbody>
+              {checks.map((check) => (
+                <tr key={check.checkedAt}>
+                  <td style={cellStyle}>{new Date(check.checkedAt).toLocaleString()}</td>
+                  <td style={{ ...cellStyle, color: check.ok ? '#10b981' : '#dc2626', fontWeight: 'bold' }}>{describeCheck(check)}</td>
+                  <td style={cellStyle}>{check.latencyMs} ms</td>
+                  <td style={{ ...cellStyle, fontSize: '12px', wordBreak: 'break-all' }}>
+                    {check.chain.length > 1
+                      ? check.chain.map(hop => `${hop.statusCode} ${hop.url}`).join(' → ')
+                      : 'None'}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default LinkHealthPanel;
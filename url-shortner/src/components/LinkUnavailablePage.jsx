@@ -0,0 +1,31 @@
+import React from 'react';
+
+const MESSAGES = {
+  missing: ['Link not found', (shortcode) => `No short URL exists for "${shortcode}".`],
+  expired: ['Link expired', (shortcode, urlData) => `This short URL expired on ${new Date(urlData.expires).toLocaleString()}.`],
+  disabled: ['Link disabled', () => 'This short URL has been deactivated by its owner.'],
+  scheduled: ['Link not active yet', (shortcode, urlData) => `This short URL becomes active on ${new Date(urlData.activates).toLocaleString()}.`],
+  exhausted: ['Link no longer available', () => 'This short URL has reached its click limit.']
+};
+
+// Shown instead of an alert when /:shortcode can't be followed
+function LinkUnavailablePage({ shortcode, status, urlData, onHome }) {
+  const [title, describe] = MESSAGES[status] || MESSAGES.missing;
+
+  return (
+    <div style={{ maxWidth: '600px', margin: '0 auto', padding: '20px' }}>
+      <div style={{ background: 'white', borderRadius: '8px', boxShadow: '0 2px 4px rgba(0,0,0,0.1)', padding: '30px', textAlign: 'center' }}>
+        <h2 style={{ fontSize: '24px', marginBottom: '20px', color: '#333' }}>{title}</h2>
+        <p style={{ color: '#666', marginBottom: '20px' }}>{describe(shortcode, urlData)}</p>
+        <button
+          onClick={onHome}
+          style={{ color: '#2563eb', background: 'none', border: 'none', cursor: 'pointer', textDecoration: 'underline' }}
+        >
+          Create a new short URL
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default LinkUnavailablePage;
@@ -0,0 +1,84 @@
+import React, { useState } from 'react';
+import { Logger } from '../lib/Logger.js';
+
+const inputStyle = { padding: '10px', border: '1px solid #ccc', borderRadius: '4px', fontSize: '14px' };
+
+// Sign in / register form shown in place of the app pages until someone is signed in
+function LoginPage({ accounts, onSignedIn }) {
+  const [mode, setMode] = useState(() => (accounts.getUsers().length === 0 ? 'register' : 'login'));
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+  const logger = new Logger('LoginPage');
+
+  const isRegister = mode === 'register';
+
+  // Signing in checks the password on the server when the app syncs through one, hence the await
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    try {
+      const user = await (isRegister ? accounts.register(username, password) : accounts.login(username, password));
+      onSignedIn(user);
+    } catch (err) {
+      logger.error(isRegister ? 'Registration failed' : 'Sign-in failed', { username, error: err.message });
+      setError(err.message);
+    }
+  };
+
+  const switchMode = () => {
+    setMode(isRegister ? 'login' : 'register');
+    setError('');
+  };
+
+  return (
+    <div style={{ maxWidth: '400px', margin: '0 auto', padding: '20px' }}>
+      <div style={{ background: 'white', borderRadius: '8px', boxShadow: '0 2px 4px rgba(0,0,0,0.1)', padding: '30px' }}>
+        <h2 style={{ fontSize: '24px', marginBottom: '10px', color: '#333' }}>{isRegister ? 'Create an account' : 'Sign in'}</h2>
+        {isRegister && accounts.getUsers().length === 0 && (
+          <p style={{ fontSize: '14px', color: '#666', marginBottom: '15px' }}>
+            This is the first account, so it will be the admin.
+          </p>
+        )}
+
+        <form onSubmit={handleSubmit} style={{ display: 'flex', flexDirection: 'column', gap: '12px' }}>
+          <input
+            type="text"
+            placeholder="Username"
+            value={username}
+            onChange={(e) => setUsername(e.target.value)}
+            autoComplete="username"
+            autoFocus
+            style={inputStyle}
+          />
+          <input
+            type="password"
+            placeholder="Password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            autoComplete={isRegister ? 'new-password' : 'current-password'}
+            style={inputStyle}
+          />
+          <button
+            type="submit"
+            style={{ padding: '10px 20px', background: '#2563eb', color: 'white', border: 'none', borderRadius: '4px', cursor: 'pointer' }}
+          >
+            {isRegister ? 'Register' : 'Sign in'}
+          </button>
+        </form>
+
+        {error && <div style={{ color: '#dc2626', fontSize: '14px', marginTop: '15px' }}>{error}</div>}
+
+        <button
+          onClick={switchMode}
+          style={{ marginTop: '15px', color: '#2563eb', background: 'none', border: 'none', cursor: 'pointer', textDecoration: 'underline', fontSize: '14px' }}
+        >
+          {isRegister ? 'Already have an account? Sign in' : 'No account yet? Register'}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default LoginPage;
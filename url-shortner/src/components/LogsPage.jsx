@@ -0,0 +1,116 @@
+import React, { useEffect, useState } from 'react';
+import { LOG_LEVELS, configureLogging, getLogLevel, logBuffer } from '../lib/Logger.js';
+import { downloadFile } from '../lib/download.js';
+
+const LEVEL_COLORS = { debug: '#6b7280', info: '#2563eb', warn: '#b45309', error: '#dc2626' };
+const VISIBLE_LEVELS = ['debug', 'info', 'warn', 'error'];
+const cellStyle = { border: '1px solid #ddd', padding: '6px 8px', textAlign: 'left', verticalAlign: 'top' };
+const inputStyle = { padding: '8px', border: '1px solid #ccc', borderRadius: '4px', fontSize: '14px' };
+
+// Recent log entries from this browser session (the in-memory ring buffer), newest first
+function LogsPage() {
+  const [entries, setEntries] = useState(() => logBuffer.getEntries());
+  const [minLevel, setMinLevel] = useState('debug');
+  const [search, setSearch] = useState('');
+  const [threshold, setThreshold] = useState(getLogLevel());
+
+  useEffect(() => logBuffer.subscribe(() => setEntries(logBuffer.getEntries())), []);
+
+  const query = search.trim().toLowerCase();
+  const visible = entries
+    .filter(entry => LOG_LEVELS[entry.level] >= LOG_LEVELS[minLevel])
+    .filter(entry => !query || JSON.stringify(entry).toLowerCase().includes(query))
+    .reverse();
+
+  const handleThresholdChange = (level) => {
+    configureLogging({ level });
+    setThreshold(level);
+  };
+
+  const handleDownload = () => {
+    const stamp = new Date().toISOString().slice(0, 10);
+    downloadFile(`logs-${stamp}.json`, visible.map(entry => JSON.stringify(entry)).join('\n'), 'application/x-ndjson');
+  };
+
+  return (
+    <div style={{ maxWidth: '1000px', margin: '0 auto', padding: '20px' }}>
+      <div style={{ background: 'white', borderRadius: '8px', boxShadow: '0 2px 4px rgba(0,0,0,0.1)', padding: '30px' }}>
+        <h2 style={{ fontSize: '24px', marginBottom: '10px', color: '#333' }}>Logs</h2>
+        <p style={{ fontSize: '14px', color: '#666', marginBottom: '20px' }}>
+          The last {logBuffer.capacity} entries logged in this browser. Passwords, keys and query strings are redacted.
+        </p>
+
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '12px', alignItems: 'center', marginBottom: '20px', fontSize: '14px', color: '#666' }}>
+          <label>
+            Show from{' '}
+            <select value={minLevel} onChange={(e) => setMinLevel(e.target.value)} style={inputStyle}>
+              {VISIBLE_LEVELS.map(level => <option key={level} value={level}>{level}</option>)}
+            </select>
+          </label>
+          <input
+            type="text"
+            placeholder="Search"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            style={{ ...inputStyle, flex: 1, minWidth: '150px' }}
+          />
+          <label>
+            Record from{' '}
+            <select value={threshold} onChange={(e) => handleThresholdChange(e.target.value)} style={inputStyle}>
+              {Object.keys(LOG_LEVELS).map(level => <option key={level} value={level}>{level}</option>)}
+            </select>
+          </label>
+          <button
+            onClick={handleDownload}
+            style={{ padding: '8px 12px', background: '#6b7280', color: 'white', border: 'none', borderRadius: '4px', cursor: 'pointer', fontSize: '12px' }}
+          >
+            Download
+          </button>
+          <button
+            onClick={() => logBuffer.clear()}
+            style={{ padding: '8px 12px', background: '#dc2626', color: 'white', border: 'none', borderRadius: '4px', cursor: 'pointer', fontSize: '12px' }}
+          >
+            Clear
+          </button>
+        </div>
+
+        {visible.length === 0 ? (
+          <p style={{ fontSize: '14px', color: '#666', textAlign: 'center', padding: '20px' }}>No log entries match.</p>
+        ) : (
+          <div style={{ overflowX: 'auto' }}>
+            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '13px' }}>
+              <thead>
+                <tr style={{ background: '#f8f9fa' }}>
+                  <th style={cellStyle}>Time</th>
+                  <th style={cellStyle}>Level</th>
+                  <th style={cellStyle}>Logger</th>
+                  <th style={cellStyle}>Message</th>
+                  <th style={cellStyle}>Data</th>
+                </tr>
+              </thead>
+              <tbody>
+                {visible.map((entry, index) => (
+                  <tr key={`${entry.timestamp}-${index}`}>
+                    <td style={{ ...cellStyle, whiteSpace: 'nowrap' }}>{new Date(entry.timestamp).toLocaleTimeString()}</td>
+                    <td style={{ ...cellStyle, color: LEVEL_COLORS[entry.level], fontWeight: 'bold' }}>{entry.level.toUpperCase()}</td>
+                    <td style={cellStyle}>{entry.logger}</td>
+                    <td style={cellStyle}>{entry.message}</td>
+                    <td style={cellStyle}>
+                      {(entry.context || entry.data !== undefined) && (
+                        <pre style={{ margin: 0, fontSize: '12px', whiteSpace: 'pre-wrap', wordBreak: 'break-all', maxWidth: '400px' }}>
+                          {JSON.stringify({ ...entry.context, ...(entry.data !== undefined ? { data: entry.data } : {}) }, null, 2)}
+                        </pre>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default LogsPage;
@@ -0,0 +1,25 @@
+import React from 'react';
+
+// Shown for paths no route matches, pages the user may not see and links that don't exist
+function NotFoundPage({ path, message, onHome, homeLabel = 'Go to the home page' }) {
+  return (
+    <div style={{ maxWidth: '600px', margin: '0 auto', padding: '20px' }}>
+      <div style={{ background: 'white', borderRadius: '8px', boxShadow: '0 2px 4px rgba(0,0,0,0.1)', padding: '30px', textAlign: 'center' }}>
+        <h2 style={{ fontSize: '24px', marginBottom: '20px', color: '#333' }}>Page not found</h2>
+        <p style={{ color: '#666', marginBottom: '20px' }}>
+          {message || (
+            <>There is nothing at <code style={{ wordBreak: 'break-all' }}>{path}</code>.</>
+          )}
+        </p>
+        <button
+          onClick={onHome}
+          style={{ color: '#2563eb', background: 'none', border: 'none', cursor: 'pointer', textDecoration: 'underline' }}
+        >
+          {homeLabel}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default NotFoundPage;
@@ -0,0 +1,113 @@
+import React, { useEffect, useState } from 'react';
+import { Logger } from '../lib/Logger.js';
+import { getBrowserClickContext } from '../lib/analytics/ClickAnalytics.js';
+import { PREVIEW_COUNTDOWN_SECONDS, getDomain } from '../lib/preview.js';
+import { formatExpiry } from '../lib/durations.js';
+
+// Interstitial for /preview/:shortcode, /:shortcode+ and links set to always preview.
+// autoContinue counts down and follows the link; otherwise the visitor must click Continue.
+function PreviewPage({ manager, shortcode, domain, autoContinue, onCancel, onLocked }) {
+  const [link] = useState(() => manager.resolveShortcode(shortcode, domain));
+  // Chosen once, so the page names the destination Continue actually goes to
+  const [route] = useState(() => (link.urlData ? manager.routeVisit(link.urlData, getBrowserClickContext()) : null));
+  const [remaining, setRemaining] = useState(PREVIEW_COUNTDOWN_SECONDS);
+  const [error, setError] = useState('');
+  const logger = new Logger('PreviewPage');
+
+  const { status, urlData } = link;
+  const isProtected = status === 'protected';
+  const canContinue = status === 'active' || isProtected;
+  // Like a password, a click limit keeps the destination hidden until the visit that counts
+  const isLimited = canContinue && manager.hasClickLimit(urlData);
+  const hidden = isProtected || isLimited;
+
+  const handleContinue = () => {
+    if (isProtected) {
+      onLocked(shortcode);
+      return;
+    }
+    if (!manager.incrementClicks(shortcode, { ...getBrowserClickContext(), branch: route.branch }, domain)) {
+      setError('This link has reached its click limit.');
+      return;
+    }
+    logger.info('Continuing from preview', { shortcode, branch: route.branch });
+    window.location.href = manager.getRedirectTarget(urlData, window.location.search, route.destination);
+  };
+
+  useEffect(() => {
+    if (!autoContinue || !canContinue || error) return undefined;
+    if (remaining <= 0) {
+      handleContinue();
+      return undefined;
+    }
+    const timer = setTimeout(() => setRemaining(remaining - 1), 1000);
+    return () => clearTimeout(timer);
+  });
+
+  if (!canContinue) {
+    return null;
+  }
+
+  const destination = isProtected ? 'a protected destination' : isLimited ? 'a limited-use destination' : getDomain(route.destination);
+
+  return (
+    <div style={{ maxWidth: '600px', margin: '0 auto', padding: '20px' }}>
+      <div style={{ background: 'white', borderRadius: '8px', boxShadow: '0 2px 4px rgba(0,0,0,0.1)', padding: '30px', textAlign: 'center' }}>
+        <h2 style={{ fontSize: '24px', marginBottom: '20px', color: '#333' }}>
+          {autoContinue ? 'You are leaving this site' : 'Link preview'}
+        </h2>
+        <p style={{ color: '#666', marginBottom: '10px' }}>This short URL will take you to:</p>
+        <div style={{ fontSize: '22px', fontWeight: 'bold', color: '#333', marginBottom: '10px' }}>{destination}</div>
+        {urlData.title && !hidden && (
+          <div style={{ fontSize: '16px', color: '#333', marginBottom: '10px' }}>{urlData.title}</div>
+        )}
+        {!hidden && (
+          <div style={{ fontSize: '13px', fontFamily: 'monospace', color: '#2563eb', wordBreak: 'break-all', marginBottom: '15px' }}>
+            {route.destination}
+          </div>
+        )}
+        <div style={{ fontSize: '13px', color: '#666', marginBottom: '20px' }}>
+          Created {new Date(urlData.created).toLocaleString()}<br />
+          Expires <span style={{ color: '#dc2626' }}>{formatExpiry(urlData.expires)}</span>
+        </div>
+        {isProtected && (
+          <div style={{ fontSize: '13px', color: '#b45309', marginBottom: '15px' }}>You will be asked for a password.</div>
+        )}
+        {isLimited && !isProtected && (
+          <div style={{ fontSize: '13px', color: '#b45309', marginBottom: '15px' }}>
+            This link can only be used a limited number of times; continuing uses one.
+          </div>
+        )}
+
+        <div style={{ display: 'flex', justifyContent: 'center', gap: '10px' }}>
+          <button
+            onClick={onCancel}
+            style={{ padding: '10px 20px', background: '#6b7280', color: 'white', border: 'none', borderRadius: '4px', cursor: 'pointer' }}
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleContinue}
+            style={{ padding: '10px 24px', background: '#2563eb', color: 'white', border: 'none', borderRadius: '4px', cursor: 'pointer', fontSize: '14px' }}
+          >
+            Continue to {destination}
+          </button>
+        </div>
+
+        {autoContinue && !error && (
+          <p style={{ fontSize: '13px', color: '#666', marginTop: '15px' }}>
+            Continuing in {remaining} seconds…
+          </p>
+        )}
+
+        {error && (
+          <div style={{ color: '#dc2626', fontSize: '12px', marginTop: '10px' }}>
+            {error}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default PreviewPage;
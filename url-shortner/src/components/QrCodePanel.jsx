@@ -0,0 +1,129 @@
+import React, { useState } from 'react';
+import { Logger } from '../lib/Logger.js';
+import { ERROR_CORRECTION_LEVELS } from '../lib/qr/QrCode.js';
+import { QR_SIZES, resolveQrOptions, toPngBlob, toSvg, toSvgDataUrl } from '../lib/qr/render.js';
+import { downloadFile } from '../lib/download.js';
+
+const inputStyle = { padding: '8px', border: '1px solid #ccc', borderRadius: '4px', fontSize: '14px' };
+const labelStyle = { fontWeight: 'bold', color: '#666', fontSize: '14px', marginBottom: '5px' };
+const buttonStyle = { padding: '8px 16px', color: 'white', border: 'none', borderRadius: '4px', cursor: 'pointer', fontSize: '14px' };
+
+// QR code preview and download for one short URL, generated entirely in the browser
+function QrCodePanel({ shortUrl, shortcode, onClose }) {
+  const [size, setSize] = useState(256);
+  const [errorCorrection, setErrorCorrection] = useState('M');
+  const [logo, setLogo] = useState(null);
+  const [error, setError] = useState('');
+  const logger = new Logger('QrCodePanel');
+
+  const options = resolveQrOptions({ size, errorCorrection, logo });
+
+  const handleLogoChange = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => setLogo(reader.result);
+    reader.onerror = () => setError('Could not read the logo file');
+    reader.readAsDataURL(file);
+    event.target.value = '';
+  };
+
+  const handleDownloadSvg = () => {
+    downloadFile(`qr-${shortcode}.svg`, toSvg(shortUrl, options), 'image/svg+xml');
+    logger.info('QR code downloaded', { shortcode, format: 'svg', size, errorCorrection: options.errorCorrection });
+  };
+
+  const handleDownloadPng = async () => {
+    setError('');
+    try {
+      downloadFile(`qr-${shortcode}.png`, await toPngBlob(shortUrl, options));
+      logger.info('QR code downloaded', { shortcode, format: 'png', size, errorCorrection: options.errorCorrection });
+    } catch (err) {
+      logger.error('QR code PNG export failed', { shortcode, error: err.message });
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div style={{ border: '1px solid #2563eb', borderRadius: '8px', padding: '20px', marginTop: '20px', background: 'white' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '20px' }}>
+        <h3 style={{ fontSize: '20px', color: '#333' }}>
+          QR code for <span style={{ fontFamily: 'monospace' }}>{shortcode}</span>
+        </h3>
+        <button
+          onClick={onClose}
+          style={{ padding: '6px 12px', background: '#6b7280', color: 'white', border: 'none', borderRadius: '4px', cursor: 'pointer', fontSize: '12px' }}
+        >
+          Close
+        </button>
+      </div>
+
+      <div style={{ display: 'grid', gridTemplateColumns: 'auto 1fr', gap: '20px', alignItems: 'start' }}>
+        <img
+          src={toSvgDataUrl(shortUrl, { ...options, size: 200 })}
+          alt={`QR code for ${shortUrl}`}
+          width="200"
+          height="200"
+          style={{ border: '1px solid #e5e7eb' }}
+        />
+
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '12px' }}>
+          <div style={{ fontSize: '14px', fontFamily: 'monospace', color: '#10b981', wordBreak: 'break-all' }}>{shortUrl}</div>
+
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '12px' }}>
+            <div style={{ display: 'flex', flexDirection: 'column' }}>
+              <label style={labelStyle}>Size (px):</label>
+              <select value={size} onChange={(e) => setSize(Number(e.target.value))} style={inputStyle}>
+                {QR_SIZES.map(option => <option key={option} value={option}>{option} × {option}</option>)}
+              </select>
+            </div>
+            <div style={{ display: 'flex', flexDirection: 'column' }}>
+              <label style={labelStyle}>Error correction:</label>
+              <select
+                value={options.errorCorrection}
+                onChange={(e) => setErrorCorrection(e.target.value)}
+                disabled={Boolean(logo)}
+                style={inputStyle}
+              >
+                {Object.entries(ERROR_CORRECTION_LEVELS).map(([level, { label }]) => (
+                  <option key={level} value={level}>{label}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <div style={{ display: 'flex', flexDirection: 'column' }}>
+            <label style={labelStyle}>Centered logo (optional):</label>
+            <div style={{ display: 'flex', alignItems: 'center', gap: '10px' }}>
+              <input type="file" accept="image/*" onChange={handleLogoChange} style={{ fontSize: '14px' }} />
+              {logo && (
+                <button onClick={() => setLogo(null)} style={{ ...buttonStyle, background: '#6b7280', padding: '4px 10px', fontSize: '12px' }}>
+                  Remove logo
+                </button>
+              )}
+            </div>
+            {logo && (
+              <div style={{ fontSize: '12px', color: '#666', marginTop: '5px' }}>
+                High error correction is used so the code still scans under the logo.
+              </div>
+            )}
+          </div>
+
+          <div style={{ display: 'flex', gap: '10px' }}>
+            <button onClick={handleDownloadSvg} style={{ ...buttonStyle, background: '#2563eb' }}>
+              Download SVG
+            </button>
+            <button onClick={handleDownloadPng} style={{ ...buttonStyle, background: '#10b981' }}>
+              Download PNG
+            </button>
+          </div>
+
+          {error && <div style={{ color: '#dc2626', fontSize: '14px' }}>{error}</div>}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default QrCodePanel;
@@ -0,0 +1,174 @@
+import React, { useState } from 'react';
+import { RULE_DEVICES, RULE_OS, WEEKDAYS, draftToRule, emptyRuleDraft, ruleToDraft } from '../lib/routing/rules.js';
+
+const inputStyle = { padding: '8px', border: '1px solid #ccc', borderRadius: '4px', fontSize: '14px' };
+const labelStyle = { fontWeight: 'bold', color: '#666', fontSize: '13px', marginBottom: '4px' };
+const smallButton = { padding: '4px 10px', background: '#6b7280', color: 'white', border: 'none', borderRadius: '4px', cursor: 'pointer', fontSize: '12px' };
+const checkboxRow = { display: 'flex', flexWrap: 'wrap', gap: '10px', fontSize: '13px', color: '#333' };
+
+const browserTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+// Checkbox per option, toggling its value in and out of `selected`
+function CheckboxList({ options, selected, onChange, labelOf = (option) => option }) {
+  const toggle = (option) => onChange(selected.includes(option) ? selected.filter(item => item !== option) : [...selected, option]);
+  return (
+    <div style={checkboxRow}>
+      {options.map(option => (
+        <label key={option} style={{ display: 'flex', alignItems: 'center', gap: '4px' }}>
+          <input type="checkbox" checked={selected.includes(option)} onChange={() => toggle(option)} />
+          {labelOf(option)}
+        </label>
+      ))}
+    </div>
+  );
+}
+
+// Routing rules of one link: checked top to bottom at redirect time, the first match picks the destination.
+// onSave receives rules in the shape URLManager.updateShortUrl expects; it throws on invalid input.
+function RulesEditor({ rules, onSave }) {
+  const [drafts, setDrafts] = useState(() => rules.map(ruleToDraft));
+
+  const update = (index, field, value) => setDrafts(drafts.map((draft, i) => (i === index ? { ...draft, [field]: value } : draft)));
+
+  const updateDestination = (index, position, field, value) => update(
+    index,
+    'destinations',
+    drafts[index].destinations.map((destination, i) => (i === position ? { ...destination, [field]: value } : destination))
+  );
+
+  const move = (index, offset) => {
+    const next = [...drafts];
+    [next[index], next[index + offset]] = [next[index + offset], next[index]];
+    setDrafts(next);
+  };
+
+  return (
+    <div>
+      <p style={{ fontSize: '13px', color: '#666', marginBottom: '10px' }}>
+        Rules are checked top to bottom and the first one whose conditions all match picks the destination.
+        Leave a condition empty to match everyone. Visits no rule matches go to the original URL above.
+      </p>
+
+      {drafts.map((draft, index) => (
+        <div key={draft.id || `new-${index}`} style={{ border: '1px solid #ddd', borderRadius: '6px', padding: '12px', marginBottom: '10px', background: '#f9f9f9' }}>
+          <div style={{ display: 'flex', gap: '8px', alignItems: 'center', marginBottom: '10px' }}>
+            <input
+              type="text"
+              placeholder={`Rule ${index + 1}`}
+              value={draft.label}
+              onChange={(e) => update(index, 'label', e.target.value)}
+              maxLength="60"
+              style={{ ...inputStyle, flex: 1 }}
+              aria-label="Rule name"
+            />
+            <button onClick={() => move(index, -1)} disabled={index === 0} style={smallButton}>↑</button>
+            <button onClick={() => move(index, 1)} disabled={index === drafts.length - 1} style={smallButton}>↓</button>
+            <button onClick={() => setDrafts(drafts.filter((_, i) => i !== index))} style={{ ...smallButton, background: '#dc2626' }}>Remove</button>
+          </div>
+
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '10px', marginBottom: '10px' }}>
+            <div>
+              <div style={labelStyle}>Platforms:</div>
+              <CheckboxList options={RULE_OS} selected={draft.os} onChange={(value) => update(index, 'os', value)} />
+            </div>
+            <div>
+              <div style={labelStyle}>Devices:</div>
+              <CheckboxList options={RULE_DEVICES} selected={draft.devices} onChange={(value) => update(index, 'devices', value)} />
+            </div>
+            <div>
+              <div style={labelStyle}>Days:</div>
+              <CheckboxList
+                options={WEEKDAYS.map((_, day) => day)}
+                selected={draft.days}
+                onChange={(value) => update(index, 'days', value)}
+                labelOf={(day) => WEEKDAYS[day]}
+              />
+            </div>
+            <div style={{ display: 'flex', flexDirection: 'column' }}>
+              <label style={labelStyle}>Browser languages (e.g. de, pt-BR):</label>
+              <input type="text" value={draft.languages} onChange={(e) => update(index, 'languages', e.target.value)} style={inputStyle} />
+            </div>
+            <div style={{ display: 'flex', flexDirection: 'column' }}>
+              <label style={labelStyle}>Time of day:</label>
+              <div style={{ display: 'flex', gap: '6px', alignItems: 'center', fontSize: '13px', color: '#666' }}>
+                <input type="time" value={draft.timeFrom} onChange={(e) => update(index, 'timeFrom', e.target.value)} style={inputStyle} aria-label="From time" />
+                to
+                <input type="time" value={draft.timeTo} onChange={(e) => update(index, 'timeTo', e.target.value)} style={inputStyle} aria-label="To time" />
+                <input
+                  type="text"
+                  value={draft.timeZone}
+                  onChange={(e) => update(index, 'timeZone', e.target.value)}
+                  style={{ ...inputStyle, flex: 1, minWidth: 0 }}
+                  aria-label="Time zone"
+                  title="Time zone the days and time of day are read in"
+                />
+              </div>
+            </div>
+            <div style={{ display: 'flex', flexDirection: 'column' }}>
+              <label style={labelStyle}>Between dates:</label>
+              <div style={{ display: 'flex', gap: '6px', alignItems: 'center', fontSize: '13px', color: '#666' }}>
+                <input type="datetime-local" value={draft.startsAt} onChange={(e) => update(index, 'startsAt', e.target.value)} style={{ ...inputStyle, flex: 1, minWidth: 0 }} aria-label="Start date" />
+                and
+                <input type="datetime-local" value={draft.endsAt} onChange={(e) => update(index, 'endsAt', e.target.value)} style={{ ...inputStyle, flex: 1, minWidth: 0 }} aria-label="End date" />
+              </div>
+            </div>
+          </div>
+
+          <div style={labelStyle}>
+            {draft.destinations.length > 1 ? 'Split traffic between (weight decides the share):' : 'Send to:'}
+          </div>
+          {draft.destinations.map((destination, position) => (
+            <div key={position} style={{ display: 'flex', gap: '6px', alignItems: 'center', marginBottom: '6px' }}>
+              {draft.destinations.length > 1 && (
+                <span style={{ fontSize: '13px', color: '#666', width: '16px' }}>{String.fromCharCode(65 + position)}</span>
+              )}
+              <input
+                type="text"
+                placeholder="https://example.com"
+                value={destination.url}
+                onChange={(e) => updateDestination(index, position, 'url', e.target.value)}
+                style={{ ...inputStyle, flex: 1 }}
+                aria-label="Destination URL"
+              />
+              {draft.destinations.length > 1 && (
+                <>
+                  <input
+                    type="number"
+                    min="1"
+                    value={destination.weight}
+                    onChange={(e) => updateDestination(index, position, 'weight', e.target.value)}
+                    style={{ ...inputStyle, width: '70px' }}
+                    aria-label="Weight"
+                  />
+                  <button
+                    onClick={() => update(index, 'destinations', draft.destinations.filter((_, i) => i !== position))}
+                    style={{ ...smallButton, background: '#dc2626' }}
+                  >
+                    ✕
+                  </button>
+                </>
+              )}
+            </div>
+          ))}
+          <button onClick={() => update(index, 'destinations', [...draft.destinations, { url: '', weight: '1' }])} style={smallButton}>
+            Add A/B variant
+          </button>
+        </div>
+      ))}
+
+      <div style={{ display: 'flex', gap: '10px' }}>
+        <button onClick={() => setDrafts([...drafts, emptyRuleDraft(browserTimeZone())])} style={{ ...smallButton, padding: '10px 20px', fontSize: '14px' }}>
+          Add rule
+        </button>
+        <button
+          onClick={() => onSave(drafts.map(draftToRule))}
+          style={{ padding: '10px 20px', background: '#2563eb', color: 'white', border: 'none', borderRadius: '4px', cursor: 'pointer' }}
+        >
+          Save rules
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default RulesEditor;
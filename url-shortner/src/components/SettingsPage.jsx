@@ -0,0 +1,205 @@
+import React, { useState } from 'react';
+import { Logger } from '../lib/Logger.js';
+import { EXPIRY_MODES } from '../lib/expiry.js';
+
+const inputStyle = { padding: '10px', border: '1px solid #ccc', borderRadius: '4px', fontSize: '14px' };
+const buttonStyle = { padding: '10px 20px', color: 'white', border: 'none', borderRadius: '4px', cursor: 'pointer' };
+const EXPIRY_FIELDS = [
+  ['retentionMinutes', 'Keep expired links listed for (minutes)'],
+  ['quarantineMinutes', 'Block reuse of an expired code for (minutes)'],
+  ['sweepIntervalMinutes', 'Sweep every (minutes)']
+];
+const smallButtonStyle = { padding: '6px 12px', color: 'white', border: 'none', borderRadius: '4px', cursor: 'pointer', fontSize: '12px' };
+
+// Runtime configuration of the public base URLs short links are issued on, the expiry policy and user roles (admins only)
+function SettingsPage({ manager, accounts, onSaved }) {
+  const [domains, setDomains] = useState(() => manager.getDomains());
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [expiry, setExpiry] = useState(() => manager.getExpiryPolicy());
+  const logger = new Logger('SettingsPage');
+
+  const update = (next) => {
+    setDomains(next);
+    setMessage('');
+  };
+
+  const run = (action, successMessage) => {
+    setError('');
+    try {
+      setDomains(action());
+      setMessage(successMessage);
+      onSaved();
+    } catch (err) {
+      logger.error('Saving domains failed', { error: err.message });
+      setError(err.message);
+    }
+  };
+
+  const handleSave = () => run(() => manager.saveDomains(domains.filter(domain => domain.trim())), 'Settings saved.');
+  const handleReset = () => run(() => manager.resetDomains(), 'Restored the default domains.');
+
+  const runExpiry = (action, successMessage) => {
+    setError('');
+    try {
+      setExpiry(action());
+      setMessage(successMessage);
+      onSaved();
+    } catch (err) {
+      logger.error('Saving expiry policy failed', { error: err.message });
+      setError(err.message);
+    }
+  };
+
+  const updateExpiry = (field, value) => {
+    setExpiry({ ...expiry, [field]: value });
+    setMessage('');
+  };
+
+  const handleSaveExpiry = () => runExpiry(() => manager.saveExpiryPolicy({
+    mode: expiry.mode,
+    ...Object.fromEntries(EXPIRY_FIELDS.map(([field]) => [field, Number(expiry[field])]))
+  }), 'Expiry policy saved.');
+  const handleResetExpiry = () => runExpiry(() => manager.resetExpiryPolicy(), 'Restored the default expiry policy.');
+
+  const handleSweep = () => {
+    const { archived, purged, released } = manager.sweepExpired();
+    setMessage(`Swept expired links: ${archived} archived, ${purged} purged, ${released} codes released.`);
+    onSaved();
+  };
+
+  const handleRoleChange = async (user, role) => {
+    setError('');
+    try {
+      await accounts.setRole(user.id, role);
+      setMessage(`${user.username} is now ${role === 'admin' ? 'an admin' : 'a regular user'}.`);
+      onSaved();
+    } catch (err) {
+      logger.error('Changing role failed', { username: user.username, error: err.message });
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div style={{ maxWidth: '800px', margin: '0 auto', padding: '20px' }}>
+      <div style={{ background: 'white', borderRadius: '8px', boxShadow: '0 2px 4px rgba(0,0,0,0.1)', padding: '30px' }}>
+        <h2 style={{ fontSize: '24px', marginBottom: '10px', color: '#333' }}>Settings</h2>
+        <p style={{ fontSize: '14px', color: '#666', marginBottom: '20px' }}>
+          Base URLs short links are issued on. The first one is the default; add more for branded domains.
+          Each link keeps the domain it was created on, and shortcodes only need to be unique within a domain.
+        </p>
+
+        {domains.map((domain, index) => (
+          <div key={index} style={{ display: 'flex', gap: '10px', alignItems: 'center', marginBottom: '10px' }}>
+            <input
+              type="text"
+              placeholder="https://go.example.com"
+              value={domain}
+              onChange={(e) => update(domains.map((value, i) => (i === index ? e.target.value : value)))}
+              style={{ ...inputStyle, flex: 1 }}
+            />
+            {index === 0 ? (
+              <span style={{ fontSize: '12px', color: '#10b981', fontWeight: 'bold', width: '90px' }}>Default</span>
+            ) : (
+              <button
+                onClick={() => update([domain, ...domains.filter((_, i) => i !== index)])}
+                style={{ ...smallButtonStyle, background: '#2563eb', width: '90px' }}
+              >
+                Make default
+              </button>
+            )}
+            {domains.length > 1 && (
+              <button
+                onClick={() => update(domains.filter((_, i) => i !== index))}
+                style={{ ...smallButtonStyle, background: '#dc2626' }}
+              >
+                Remove
+              </button>
+            )}
+          </div>
+        ))}
+
+        <div style={{ display: 'flex', gap: '10px', marginTop: '20px' }}>
+          <button onClick={() => update([...domains, ''])} style={{ ...buttonStyle, background: '#10b981' }}>
+            + Add domain
+          </button>
+          <button onClick={handleSave} style={{ ...buttonStyle, background: '#2563eb' }}>
+            Save
+          </button>
+          <button onClick={handleReset} style={{ ...buttonStyle, background: '#6b7280' }}>
+            Reset to defaults
+          </button>
+        </div>
+
+        {error && <div style={{ color: '#dc2626', fontSize: '14px', marginTop: '15px' }}>{error}</div>}
+        {message && <div style={{ color: '#10b981', fontSize: '14px', marginTop: '15px' }}>{message}</div>}
+
+        <h3 style={{ fontSize: '20px', color: '#333', marginTop: '30px', marginBottom: '10px' }}>Expired links</h3>
+        <p style={{ fontSize: '14px', color: '#666', marginBottom: '15px' }}>
+          Archive keeps swept links (and their clicks) out of the link list; purge deletes them. Either way visitors see when
+          the link expired, and its code can't be reused until the quarantine is over. {manager.getExpiredLinks().length} swept so far.
+        </p>
+        <div style={{ display: 'grid', gridTemplateColumns: '1fr 160px', gap: '10px', alignItems: 'center', fontSize: '14px', color: '#333' }}>
+          <label htmlFor="expiry-mode">When a link is swept</label>
+          <select id="expiry-mode" value={expiry.mode} onChange={(e) => updateExpiry('mode', e.target.value)} style={inputStyle}>
+            {EXPIRY_MODES.map(mode => <option key={mode} value={mode}>{mode === 'off' ? "Don't sweep" : mode[0].toUpperCase() + mode.slice(1)}</option>)}
+          </select>
+          {EXPIRY_FIELDS.map(([field, label]) => (
+            <React.Fragment key={field}>
+              <label htmlFor={`expiry-${field}`}>{label}</label>
+              <input
+                id={`expiry-${field}`}
+                type="number"
+                min={field === 'sweepIntervalMinutes' ? 1 : 0}
+                value={expiry[field]}
+                onChange={(e) => updateExpiry(field, e.target.value)}
+                style={inputStyle}
+              />
+            </React.Fragment>
+          ))}
+        </div>
+        <div style={{ display: 'flex', gap: '10px', marginTop: '20px' }}>
+          <button onClick={handleSaveExpiry} style={{ ...buttonStyle, background: '#2563eb' }}>
+            Save policy
+          </button>
+          <button onClick={handleResetExpiry} style={{ ...buttonStyle, background: '#6b7280' }}>
+            Reset to defaults
+          </button>
+          <button onClick={handleSweep} style={{ ...buttonStyle, background: '#10b981' }}>
+            Sweep now
+          </button>
+        </div>
+
+        <h3 style={{ fontSize: '20px', color: '#333', marginTop: '30px', marginBottom: '10px' }}>Users</h3>
+        <p style={{ fontSize: '14px', color: '#666', marginBottom: '15px' }}>
+          Admins see and manage every link; regular users only their own.
+        </p>
+        <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '14px' }}>
+          <thead>
+            <tr style={{ background: '#f8f9fa' }}>
+              <th style={{ border: '1px solid #ddd', padding: '8px', textAlign: 'left' }}>Username</th>
+              <th style={{ border: '1px solid #ddd', padding: '8px', textAlign: 'left' }}>Registered</th>
+              <th style={{ border: '1px solid #ddd', padding: '8px', textAlign: 'left' }}>Role</th>
+            </tr>
+          </thead>
+          <tbody>
+            {accounts.getUsers().map(user => (
+              <tr key={user.id}>
+                <td style={{ border: '1px solid #ddd', padding: '8px' }}>{user.username}</td>
+                <td style={{ border: '1px solid #ddd', padding: '8px' }}>{new Date(user.created).toLocaleString()}</td>
+                <td style={{ border: '1px solid #ddd', padding: '8px' }}>
+                  <select value={user.role} onChange={(e) => handleRoleChange(user, e.target.value)} style={{ ...inputStyle, padding: '4px' }}>
+                    <option value="user">User</option>
+                    <option value="admin">Admin</option>
+                  </select>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+export default SettingsPage;
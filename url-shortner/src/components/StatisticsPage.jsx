@@ -0,0 +1,291 @@
+import React from 'react';
+import { formatExpiry } from '../lib/durations.js';
+import {
+  DEFAULT_LINK_VIEW, LINK_STATUSES, destinationHosts, linkViewToQuery, parseLinkView, searchLinks, toggleSort
+} from '../lib/linkSearch.js';
+import { NO_CAMPAIGN, collectTags } from '../lib/campaigns.js';
+import { describeCheck, healthState } from '../lib/health/LinkHealth.js';
+import CampaignsPanel from './CampaignsPanel.jsx';
+
+const cellStyle = { border: '1px solid #ddd', padding: '12px', textAlign: 'left' };
+const inputStyle = { padding: '8px', border: '1px solid #ccc', borderRadius: '4px', fontSize: '14px' };
+const tagStyle = { display: 'inline-block', padding: '1px 6px', marginRight: '4px', background: '#e0ecff', color: '#1e40af', borderRadius: '10px', fontSize: '12px' };
+const buttonStyle = { padding: '6px 12px', background: '#6b7280', color: 'white', border: 'none', borderRadius: '4px', cursor: 'pointer', fontSize: '12px' };
+
+// Header that sorts the table by `field`, showing the current direction
+function SortHeader({ field, label, sort, onSort }) {
+  const arrow = sort === `-${field}` ? ' ▼' : sort === field ? ' ▲' : '';
+  return (
+    <th style={cellStyle}>
+      <button
+        onClick={() => onSort(field)}
+        style={{ background: 'none', border: 'none', padding: 0, cursor: 'pointer', font: 'inherit', fontWeight: 'bold', color: '#333' }}
+      >
+        {label}{arrow}
+      </button>
+    </th>
+  );
+}
+
+// Searchable, filterable, sortable and paged list of the user's links.
+// The view lives in the query string: query is its parsed parameters and onQueryChange(query, { replace }) updates it.
+// onCampaignsChange is called after a campaign is created or deleted.
+function StatisticsPage({
+  manager, currentUser, usernames, query, onQueryChange, onCampaignsChange,
+  onVisit, onOpenLink, onToggleDisabled, onDelete, onCopy, onExport
+}) {
+  const view = parseLinkView(query);
+  const urls = manager.getAllUrls();
+  // Read once per render: each link checker round keeps up to 20 checks per link
+  const healthEntries = manager.getHealthEntries();
+  const healthOf = url => healthState(healthEntries[url.id]);
+  const result = searchLinks(urls, view, {
+    statusOf: url => manager.getStatus(url),
+    healthOf
+  });
+  const brokenCount = urls.filter(url => healthOf(url) === 'broken').length;
+  const totalClicks = urls.reduce((sum, url) => sum + url.clicks, 0);
+  const campaigns = manager.getCampaigns();
+  const campaignNames = new Map(campaigns.map(campaign => [campaign.id, campaign.name]));
+  const filtered = JSON.stringify(linkViewToQuery({ ...view, sort: DEFAULT_LINK_VIEW.sort, page: 1 })) !== '{}';
+
+  // Typing replaces the history entry; filters start again from page 1
+  const updateView = (changes, options = { replace: true }) => onQueryChange(linkViewToQuery({ ...view, page: 1, ...changes }), options);
+  const field = (key) => (e) => updateView({ [key]: e.target.value });
+  const handleSort = (key) => updateView({ sort: toggleSort(view.sort, key) }, { replace: false });
+
+  return (
+    <div style={{ maxWidth: '1000px', margin: '0 auto', padding: '20px' }}>
+      <div style={{ background: 'white', borderRadius: '8px', boxShadow: '0 2px 4px rgba(0,0,0,0.1)', padding: '30px' }}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '20px' }}>
+          <h2 style={{ fontSize: '24px', color: '#333' }}>URL Statistics</h2>
+          {urls.length > 0 && (
+            <div style={{ display: 'flex', gap: '8px' }}>
+              <button onClick={() => onExport('csv')} style={buttonStyle}>Export CSV</button>
+              <button onClick={() => onExport('json')} style={buttonStyle}>Export JSON</button>
+            </div>
+          )}
+        </div>
+
+        <CampaignsPanel
+          manager={manager}
+          selected={view.campaign}
+          onSelect={(campaign) => updateView({ campaign }, { replace: false })}
+          onChange={onCampaignsChange}
+        />
+
+        {urls.length === 0 ? (
+          <div style={{ textAlign: 'center', padding: '40px', color: '#666' }}>
+            <p style={{ marginBottom: '10px' }}>No URLs found.</p>
+            <p style={{ fontSize: '14px' }}>Create some URLs first to see statistics here.</p>
+          </div>
+        ) : (
+          <>
+            {brokenCount > 0 && view.health !== 'broken' && (
+              <div style={{ marginBottom: '15px', padding: '10px 15px', background: '#fef2f2', border: '1px solid #fecaca', borderRadius: '6px', fontSize: '14px', color: '#991b1b' }}>
+                {brokenCount === 1 ? '1 link points' : `${brokenCount} links point`} to a destination that is failing its health checks.{' '}
+                <button
+                  onClick={() => updateView({ health: 'broken' }, { replace: false })}
+                  style={{ color: '#991b1b', background: 'none', border: 'none', cursor: 'pointer', textDecoration: 'underline', padding: 0, font: 'inherit' }}
+                >
+                  Show broken links
+                </button>
+              </div>
+            )}
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '10px', alignItems: 'center', marginBottom: '20px', fontSize: '14px', color: '#666' }}>
+              <input
+                type="search"
+                placeholder="Search shortcode, destination, title or tag"
+                value={view.q}
+                onChange={field('q')}
+                style={{ ...inputStyle, flex: 1, minWidth: '180px' }}
+              />
+              <select value={view.status} onChange={field('status')} style={inputStyle} aria-label="Status">
+                <option value="">Any status</option>
+                {LINK_STATUSES.map(status => <option key={status} value={status}>{status}</option>)}
+              </select>
+              <select value={view.host} onChange={field('host')} style={inputStyle} aria-label="Destination domain">
+                <option value="">Any destination</option>
+                {destinationHosts(urls).map(host => <option key={host} value={host}>{host}</option>)}
+              </select>
+              <select value={view.health} onChange={field('health')} style={inputStyle} aria-label="Destination health">
+                <option value="">Any health</option>
+                <option value="broken">Broken</option>
+                <option value="healthy">Healthy</option>
+                <option value="unchecked">Not checked</option>
+              </select>
+              <select value={view.tag} onChange={field('tag')} style={inputStyle} aria-label="Tag">
+                <option value="">Any tag</option>
+                {collectTags(urls).map(tag => <option key={tag} value={tag}>{tag}</option>)}
+              </select>
+              <select value={view.campaign} onChange={field('campaign')} style={inputStyle} aria-label="Campaign">
+                <option value="">Any campaign</option>
+                {campaigns.map(campaign => <option key={campaign.id} value={campaign.id}>{campaign.name}</option>)}
+                <option value={NO_CAMPAIGN}>No campaign</option>
+              </select>
+              <label>Created from <input type="date" value={view.from} onChange={field('from')} style={inputStyle} /></label>
+              <label>to <input type="date" value={view.to} onChange={field('to')} style={inputStyle} /></label>
+              {filtered && (
+                <button onClick={() => updateView({ ...DEFAULT_LINK_VIEW, sort: view.sort }, { replace: false })} style={buttonStyle}>
+                  Clear filters
+                </button>
+              )}
+            </div>
+
+            {result.total === 0 ? (
+              <p style={{ fontSize: '14px', color: '#666', textAlign: 'center', padding: '20px' }}>No links match these filters.</p>
+            ) : (
+              <div style={{ overflowX: 'auto' }}>
+                <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+                  <thead>
+                    <tr style={{ background: '#f9f9f9' }}>
+                      <th style={cellStyle}>Shortcode</th>
+                      <th style={cellStyle}>Original URL</th>
+                      <th style={cellStyle}>Short URL</th>
+                      <SortHeader field="created" label="Created" sort={view.sort} onSort={handleSort} />
+                      <SortHeader field="expires" label="Expires" sort={view.sort} onSort={handleSort} />
+                      <SortHeader field="clicks" label="Clicks" sort={view.sort} onSort={handleSort} />
+                      <th style={cellStyle}>Action</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {result.items.map((url) => (
+                      <tr key={url.id} style={{ opacity: url.disabled ? 0.6 : 1 }}>
+                        <td style={{ ...cellStyle, fontFamily: 'monospace', background: '#f3f4f6' }}>
+                          {url.shortcode}
+                          {manager.isExpired(url) && <div style={{ fontFamily: 'Arial, sans-serif', fontSize: '12px', color: '#6b7280' }}>Expired</div>}
+                          {url.disabled && <div style={{ fontFamily: 'Arial, sans-serif', fontSize: '12px', color: '#dc2626' }}>Disabled</div>}
+                          {url.passwordHash && <div style={{ fontFamily: 'Arial, sans-serif', fontSize: '12px', color: '#b45309' }}>Password protected</div>}
+                          {currentUser.role === 'admin' && url.owner !== currentUser.id && (
+                            <div style={{ fontFamily: 'Arial, sans-serif', fontSize: '12px', color: '#6b7280' }}>
+                              Owner: {usernames.get(url.owner) || 'none'}
+                            </div>
+                          )}
+                          {manager.isClickBudgetExhausted(url) && <div style={{ fontFamily: 'Arial, sans-serif', fontSize: '12px', color: '#dc2626' }}>Click limit reached</div>}
+                          {healthOf(url) === 'broken' && (
+                            <div
+                              title={describeCheck(healthEntries[url.id].checks.at(-1))}
+                              style={{ fontFamily: 'Arial, sans-serif', fontSize: '12px', color: '#dc2626', fontWeight: 'bold' }}
+                            >
+                              Broken destination{url.fallbackActive ? ' (using fallback)' : ''}
+                            </div>
+                          )}
+                        </td>
+                        <td style={{ ...cellStyle, maxWidth: '250px', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                          {url.title && <div style={{ fontWeight: 'bold', color: '#333', overflow: 'hidden', textOverflow: 'ellipsis' }}>{url.title}</div>}
+                          <a href={url.originalUrl} target="_blank" rel="noopener noreferrer" style={{ color: '#2563eb', textDecoration: 'none' }}>
+                            {url.originalUrl}
+                          </a>
+                          {(url.campaign || (url.tags || []).length > 0) && (
+                            <div style={{ marginTop: '4px', fontSize: '12px', color: '#6b7280' }}>
+                              {campaignNames.has(url.campaign) && <span style={{ marginRight: '6px' }}>{campaignNames.get(url.campaign)}</span>}
+                              {(url.tags || []).map(tag => <span key={tag} style={tagStyle}>{tag}</span>)}
+                            </div>
+                          )}
+                        </td>
+                        <td style={cellStyle}>
+                          <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                            <span style={{ fontFamily: 'monospace', color: '#10b981' }}>
+                              {manager.getShortUrl(url).replace(/^https?:\/\//, '')}
+                            </span>
+                            <button
+                              onClick={() => onCopy(manager.getShortUrl(url))}
+                              style={{ padding: '4px 8px', background: '#2563eb', color: 'white', border: 'none', borderRadius: '3px', cursor: 'pointer', fontSize: '12px' }}
+                            >
+                              Copy
+                            </button>
+                          </div>
+                        </td>
+                        <td style={{ ...cellStyle, fontSize: '14px' }}>
+                          {new Date(url.created).toLocaleString()}
+                        </td>
+                        <td style={{ ...cellStyle, fontSize: '14px', color: '#dc2626' }}>
+                          {formatExpiry(url.expires)}
+                          {manager.isScheduled(url) && (
+                            <div style={{ fontSize: '12px', color: '#b45309' }}>Starts {new Date(url.activates).toLocaleString()}</div>
+                          )}
+                        </td>
+                        <td style={{ ...cellStyle, fontWeight: 'bold' }}>
+                          {url.clicks}{url.maxClicks ? ` / ${url.maxClicks}` : ''}
+                        </td>
+                        <td style={cellStyle}>
+                          <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px' }}>
+                            {manager.getStatus(url) === 'active' && (
+                              <button
+                                onClick={() => onVisit(url)}
+                                style={{ color: '#2563eb', background: 'none', border: 'none', cursor: 'pointer', textDecoration: 'underline' }}
+                              >
+                                Visit
+                              </button>
+                            )}
+                            <button
+                              onClick={() => onOpenLink('link', url)}
+                              style={{ color: '#2563eb', background: 'none', border: 'none', cursor: 'pointer', textDecoration: 'underline' }}
+                            >
+                              Details
+                            </button>
+                            <button
+                              onClick={() => onOpenLink('linkQr', url)}
+                              style={{ color: '#2563eb', background: 'none', border: 'none', cursor: 'pointer', textDecoration: 'underline' }}
+                            >
+                              QR
+                            </button>
+                            <button
+                              onClick={() => onOpenLink('linkEdit', url)}
+                              style={{ color: '#2563eb', background: 'none', border: 'none', cursor: 'pointer', textDecoration: 'underline' }}
+                            >
+                              Edit
+                            </button>
+                            <button
+                              onClick={() => onToggleDisabled(url)}
+                              style={{ color: '#b45309', background: 'none', border: 'none', cursor: 'pointer', textDecoration: 'underline' }}
+                            >
+                              {url.disabled ? 'Enable' : 'Disable'}
+                            </button>
+                            <button
+                              onClick={() => onDelete(url)}
+                              style={{ color: '#dc2626', background: 'none', border: 'none', cursor: 'pointer', textDecoration: 'underline' }}
+                            >
+                              Delete
+                            </button>
+                          </div>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+
+                <div style={{ display: 'flex', justifyContent: 'center', alignItems: 'center', gap: '10px', marginTop: '15px', fontSize: '14px', color: '#666' }}>
+                  <button
+                    onClick={() => updateView({ page: result.page - 1 }, { replace: false })}
+                    disabled={result.page <= 1}
+                    style={{ ...buttonStyle, background: result.page <= 1 ? '#9ca3af' : '#2563eb' }}
+                  >
+                    Previous
+                  </button>
+                  <span>Page {result.page} of {result.pageCount}</span>
+                  <button
+                    onClick={() => updateView({ page: result.page + 1 }, { replace: false })}
+                    disabled={result.page >= result.pageCount}
+                    style={{ ...buttonStyle, background: result.page >= result.pageCount ? '#9ca3af' : '#2563eb' }}
+                  >
+                    Next
+                  </button>
+                </div>
+              </div>
+            )}
+
+            <div style={{ textAlign: 'center', marginTop: '20px', padding: '15px', background: '#f9f9f9', borderRadius: '6px' }}>
+              <p style={{ fontSize: '14px', color: '#666' }}>
+                {filtered ? `Matching URLs: ${result.total} of ${urls.length}` : `Total URLs: ${urls.length}`} |
+                Total Clicks: {totalClicks}
+              </p>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default StatisticsPage;
@@ -0,0 +1,93 @@
+// @vitest-environment jsdom
+import React from 'react';
+import { afterEach, beforeAll, beforeEach, describe, expect, it, vi } from 'vitest';
+import { cleanup, fireEvent, render, screen, within } from '@testing-library/react';
+import StatisticsPage from './StatisticsPage.jsx';
+import { URLManager } from '../lib/URLManager.js';
+import { configureLogging } from '../lib/Logger.js';
+import { MemoryStorage } from '../lib/storage/index.js';
+
+const user = { id: 'alice', role: 'user' };
+
+beforeAll(() => {
+  configureLogging({ level: 'silent' });
+});
+
+afterEach(cleanup);
+
+describe('StatisticsPage', () => {
+  let manager;
+  let handlers;
+
+  const renderPage = (query = {}) => render(
+    <StatisticsPage manager={manager} currentUser={user} usernames={new Map()} query={query} {...handlers} />
+  );
+  const rowCodes = () => screen.getAllByRole('row').slice(1).map(row => row.cells[0].firstChild.textContent);
+
+  beforeEach(() => {
+    manager = new URLManager(new MemoryStorage(), { domains: ['https://sho.rt'], user });
+    handlers = Object.fromEntries(
+      ['onQueryChange', 'onCampaignsChange', 'onVisit', 'onOpenLink', 'onToggleDisabled', 'onDelete', 'onCopy', 'onExport']
+        .map(name => [name, vi.fn()])
+    );
+    manager.createShortUrl('https://example.com/docs', 30, 'docs', { title: 'Docs', tags: ['help'] });
+    manager.createShortUrl('https://shop.example.org/cart', 30, 'shop');
+    manager.incrementClicks('shop');
+  });
+
+  it('lists links newest first with their titles and tags', () => {
+    renderPage();
+
+    expect(rowCodes()).toEqual(['shop', 'docs']);
+    const docsRow = screen.getAllByRole('row')[2];
+    expect(within(docsRow).getByText('Docs')).toBeTruthy();
+    expect(within(docsRow).getByText('help')).toBeTruthy();
+  });
+
+  it('shows only the links matching the query', () => {
+    renderPage({ q: 'shop' });
+    expect(rowCodes()).toEqual(['shop']);
+
+    cleanup();
+    renderPage({ q: 'nothing' });
+    expect(screen.getByText('No links match these filters.')).toBeTruthy();
+  });
+
+  it('writes searches and sorting back to the query string', () => {
+    renderPage();
+
+    fireEvent.change(screen.getByPlaceholderText('Search shortcode, destination, title or tag'), { target: { value: 'cart' } });
+    expect(handlers.onQueryChange).toHaveBeenLastCalledWith({ q: 'cart' }, { replace: true });
+
+    fireEvent.click(screen.getByRole('button', { name: 'Clicks' }));
+    expect(handlers.onQueryChange).toHaveBeenLastCalledWith({ sort: '-clicks' }, { replace: false });
+  });
+
+  it('hands the row to the delete handler', () => {
+    renderPage({ q: 'docs' });
+
+    fireEvent.click(screen.getByRole('button', { name: 'Delete' }));
+    expect(handlers.onDelete).toHaveBeenCalledWith(expect.objectContaining({ shortcode: 'docs' }));
+  });
+
+  it('reads link health once per render however many links there are', () => {
+    const storage = new MemoryStorage();
+    manager = new URLManager(storage, { domains: ['https://sho.rt'], user });
+    // 500 copies of one link, each with a full history of 20 checks
+    const link = manager.createShortUrl('https://example.com/page', 30, 'page');
+    const urls = Array.from({ length: 500 }, (_, i) => ({ ...link, id: `link${i}`, shortcode: `page${i}`, created: link.created + i }));
+    const failed = { ok: false, statusCode: 404, latencyMs: 30, chain: [], error: null };
+    const checks = Array.from({ length: 20 }, (_, check) => ({ ...failed, checkedAt: check }));
+    storage.set('urls', urls);
+    storage.set('linkHealth', Object.fromEntries(urls.map(({ id }, i) => (
+      [id, { linkId: id, state: i % 2 ? 'broken' : 'healthy', failures: 20, lastChecked: 19, checks }]
+    ))));
+    const get = vi.spyOn(storage, 'get');
+
+    renderPage();
+
+    expect(get.mock.calls.filter(([key]) => key === 'linkHealth')).toHaveLength(1);
+    expect(screen.getByText(/250 links point/)).toBeTruthy();
+    expect(screen.getAllByText('Broken destination')[0].title).toBe('HTTP 404');
+  });
+});
@@ -0,0 +1,72 @@
+import React, { useState } from 'react';
+import { Logger } from '../lib/Logger.js';
+import { getBrowserClickContext } from '../lib/analytics/ClickAnalytics.js';
+
+// Password prompt shown when /:shortcode resolves to a protected link
+function UnlockPage({ manager, shortcode, domain, onCancel }) {
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+  const logger = new Logger('UnlockPage');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    setError('');
+
+    try {
+      const urlData = manager.unlockShortUrl(shortcode, password, domain);
+      const context = getBrowserClickContext();
+      const { destination, branch } = manager.routeVisit(urlData, context);
+      if (!manager.incrementClicks(shortcode, { ...context, branch }, domain)) {
+        setError('This link has reached its click limit.');
+        return;
+      }
+      logger.info('Redirecting to unlocked URL', { shortcode, branch });
+      window.location.href = manager.getRedirectTarget(urlData, window.location.search, destination);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div style={{ maxWidth: '500px', margin: '0 auto', padding: '20px' }}>
+      <div style={{ background: 'white', borderRadius: '8px', boxShadow: '0 2px 4px rgba(0,0,0,0.1)', padding: '30px', textAlign: 'center' }}>
+        <h2 style={{ fontSize: '24px', marginBottom: '10px', color: '#333' }}>Password required</h2>
+        <p style={{ fontSize: '14px', color: '#666', marginBottom: '20px' }}>
+          The short URL <span style={{ fontFamily: 'monospace' }}>{shortcode}</span> is password protected.
+        </p>
+
+        <form onSubmit={handleSubmit} style={{ display: 'flex', gap: '10px', justifyContent: 'center' }}>
+          <input
+            type="password"
+            placeholder="Password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            autoFocus
+            style={{ padding: '10px', border: '1px solid #ccc', borderRadius: '4px', fontSize: '14px' }}
+          />
+          <button
+            type="submit"
+            style={{ padding: '10px 24px', background: '#2563eb', color: 'white', border: 'none', borderRadius: '4px', cursor: 'pointer', fontSize: '14px' }}
+          >
+            Unlock
+          </button>
+        </form>
+
+        {error && (
+          <div style={{ color: '#dc2626', fontSize: '12px', marginTop: '10px' }}>
+            {error}
+          </div>
+        )}
+
+        <button
+          onClick={onCancel}
+          style={{ marginTop: '20px', color: '#2563eb', background: 'none', border: 'none', cursor: 'pointer', textDecoration: 'underline' }}
+        >
+          Back to home
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default UnlockPage;
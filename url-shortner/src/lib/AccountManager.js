@@ -0,0 +1,231 @@
+import { Logger } from './Logger.js';
+import { ErrorCodes, URLError } from './errors.js';
+import { hashPassword, verifyPassword } from './crypto/password.js';
+import { sha256, toHex } from './crypto/sha256.js';
+import { getDefaultStorage, LocalStorageAdapter, MemoryStorage } from './storage/index.js';
+
+const USERNAME_PATTERN = /^[a-zA-Z0-9_.-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_API_KEY_NAME_LENGTH = 60;
+const API_KEY_PREFIX = 'usk_';
+
+export const ROLES = ['user', 'admin'];
+
+// Who is signed in is per browser, never part of the shared (possibly server-synced) store
+export function createSessionStore() {
+  return LocalStorageAdapter.isAvailable() ? new LocalStorageAdapter('urlShortenerSession:') : new MemoryStorage();
+}
+
+// Local user accounts kept under 'users' in the link store: { id, username, passwordHash, role, created }.
+// The first account registered becomes the admin.
+// API keys for the REST API live under 'apiKeys'; only a SHA-256 of each key is stored, the key itself is
+// shown once when it is issued. Keys are long random strings, so a fast unsalted hash is enough.
+export class AccountManager {
+  constructor(storage = getDefaultStorage(), session = createSessionStore()) {
+    this.logger = new Logger('AccountManager');
+    this.storage = storage;
+    this.session = session;
+  }
+
+  loadUsers() {
+    return this.storage.get('users') || [];
+  }
+
+  saveUsers(users) {
+    this.storage.set('users', users);
+  }
+
+  // Account as shown outside the manager, without the password hash
+  toPublic(user) {
+    const { id, username, role, created } = user;
+    return { id, username, role, created };
+  }
+
+  findByUsername(username) {
+    const wanted = String(username).toLowerCase();
+    return this.loadUsers().find(user => user.username.toLowerCase() === wanted);
+  }
+
+  // Creates the account and signs it in
+  register(username, password) {
+    const name = typeof username === 'string' ? username.trim() : '';
+    this.logger.info('Registering user', { username: name });
+
+    if (!USERNAME_PATTERN.test(name)) {
+      throw new URLError(ErrorCodes.INVALID_USERNAME, 'Username must be 3-32 letters, digits, dots, dashes or underscores');
+    }
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      throw new URLError(ErrorCodes.INVALID_PASSWORD, `Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+    if (this.findByUsername(name)) {
+      this.logger.warn('Username already registered', { username: name });
+      throw new URLError(ErrorCodes.USERNAME_TAKEN, 'That username is already taken');
+    }
+
+    const users = this.loadUsers();
+    const user = {
+      id: String(Date.now() + Math.random()),
+      username: name,
+      passwordHash: hashPassword(password),
+      role: users.length === 0 ? 'admin' : 'user',
+      created: Date.now()
+    };
+    users.push(user);
+    this.saveUsers(users);
+    this.session.set('userId', user.id);
+    this.logger.info('User registered', this.toPublic(user));
+    return this.toPublic(user);
+  }
+
+  login(username, password) {
+    const user = this.findByUsername(username || '');
+
+    // Same error whether the name or the password is wrong
+    if (!user || !verifyPassword(password, user.passwordHash)) {
+      this.logger.warn('Failed sign-in', { username });
+      throw new URLError(ErrorCodes.INVALID_CREDENTIALS, 'Incorrect username or password');
+    }
+
+    this.session.set('userId', user.id);
+    this.logger.info('User signed in', { username: user.username });
+    return this.toPublic(user);
+  }
+
+  logout() {
+    this.session.remove('userId');
+    this.logger.info('User signed out');
+  }
+
+  // Looked up on every call so deleted accounts and role changes apply immediately
+  getCurrentUser() {
+    const userId = this.session.get('userId');
+    const user = userId && this.loadUsers().find(candidate => candidate.id === userId);
+    return user ? this.toPublic(user) : null;
+  }
+
+  getUsers() {
+    return this.loadUsers().map(user => this.toPublic(user));
+  }
+
+  // Admin only; the last admin can't be demoted
+  setRole(userId, role) {
+    const current = this.getCurrentUser();
+    if (!current || current.role !== 'admin') {
+      throw new URLError(ErrorCodes.FORBIDDEN, 'Only admins can change roles');
+    }
+    if (!ROLES.includes(role)) {
+      throw new URLError(ErrorCodes.INVALID_ROLE, `Role must be one of: ${ROLES.join(', ')}`);
+    }
+
+    const users = this.loadUsers();
+    const user = users.find(candidate => candidate.id === userId);
+    if (!user) {
+      throw new URLError(ErrorCodes.NOT_FOUND, 'User not found');
+    }
+    if (user.role === 'admin' && role !== 'admin' && users.filter(candidate => candidate.role === 'admin').length === 1) {
+      throw new URLError(ErrorCodes.FORBIDDEN, 'There must be at least one admin');
+    }
+
+    user.role = role;
+    this.saveUsers(users);
+    this.logger.info('User role changed', { username: user.username, role, by: current.username });
+    return this.toPublic(user);
+  }
+
+  loadApiKeys() {
+    return this.storage.get('apiKeys') || [];
+  }
+
+  saveApiKeys(keys) {
+    this.storage.set('apiKeys', keys);
+  }
+
+  requireCurrentUser() {
+    const current = this.getCurrentUser();
+    if (!current) {
+      throw new URLError(ErrorCodes.UNAUTHORIZED, 'Sign in first');
+    }
+    return current;
+  }
+
+  apiKeyToPublic(apiKey) {
+    const { id, userId, name, prefix, created, lastUsed, revoked } = apiKey;
+    return { id, userId, name, prefix, created, lastUsed, revoked, active: !revoked };
+  }
+
+  // Returns the record plus the plaintext key, which is not stored and can't be shown again
+  createApiKey(name) {
+    const current = this.requireCurrentUser();
+    const label = typeof name === 'string' && name.trim() ? name.trim() : 'API key';
+    if (label.length > MAX_API_KEY_NAME_LENGTH) {
+      throw new URLError(ErrorCodes.INVALID_API_KEY_NAME, `Key name must be at most ${MAX_API_KEY_NAME_LENGTH} characters`);
+    }
+
+    const key = API_KEY_PREFIX + toHex(crypto.getRandomValues(new Uint8Array(24)));
+    const apiKey = {
+      id: String(Date.now() + Math.random()),
+      userId: current.id,
+      name: label,
+      prefix: key.slice(0, API_KEY_PREFIX.length + 6),
+      keyHash: toHex(sha256(key)),
+      created: Date.now(),
+      lastUsed: null,
+      revoked: null
+    };
+    this.saveApiKeys([...this.loadApiKeys(), apiKey]);
+    this.logger.info('API key issued', { user: current.username, name: label, prefix: apiKey.prefix });
+    return { ...this.apiKeyToPublic(apiKey), key };
+  }
+
+  // The signed-in user's keys; admins see everyone's
+  listApiKeys() {
+    const current = this.getCurrentUser();
+    if (!current) return [];
+    return this.loadApiKeys()
+      .filter(apiKey => current.role === 'admin' || apiKey.userId === current.id)
+      .map(apiKey => this.apiKeyToPublic(apiKey));
+  }
+
+  revokeApiKey(id) {
+    const current = this.requireCurrentUser();
+    const keys = this.loadApiKeys();
+    const apiKey = keys.find(candidate => candidate.id === id);
+
+    if (!apiKey) {
+      throw new URLError(ErrorCodes.NOT_FOUND, 'API key not found');
+    }
+    if (current.role !== 'admin' && apiKey.userId !== current.id) {
+      throw new URLError(ErrorCodes.FORBIDDEN, 'You can only revoke your own keys');
+    }
+
+    apiKey.revoked = apiKey.revoked || Date.now();
+    this.saveApiKeys(keys);
+    this.logger.info('API key revoked', { prefix: apiKey.prefix, by: current.username });
+    return this.apiKeyToPublic(apiKey);
+  }
+
+  // The key record and its owner for a presented key, or null when unknown, revoked or orphaned
+  authenticateApiKey(key) {
+    if (typeof key !== 'string' || !key.startsWith(API_KEY_PREFIX)) return null;
+
+    const keyHash = toHex(sha256(key));
+    const keys = this.loadApiKeys();
+    const apiKey = keys.find(candidate => candidate.keyHash === keyHash && !candidate.revoked);
+    const user = apiKey && this.loadUsers().find(candidate => candidate.id === apiKey.userId);
+    if (!user) {
+      this.logger.warn('Rejected API key', { prefix: key.slice(0, API_KEY_PREFIX.length + 6) });
+      return null;
+    }
+
+    apiKey.lastUsed = Date.now();
+    this.saveApiKeys(keys);
+    return { apiKey: this.apiKeyToPublic(apiKey), user: this.toPublic(user) };
+  }
+
+  // The account records as the app shows them, without password or key hashes (see server/app.js)
+  publicRecords() {
+    return { users: this.getUsers(), apiKeys: this.loadApiKeys().map(apiKey => this.apiKeyToPublic(apiKey)) };
+  }
+}
+
+export default AccountManager;
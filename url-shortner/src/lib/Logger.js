@@ -0,0 +1,84 @@
+import { ConsoleTransport, MemoryTransport } from './logging/transports.js';
+import { redact } from './logging/redact.js';
+
+export const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// Recent entries from every logger, for the Logs page
+export const logBuffer = new MemoryTransport();
+
+const env = import.meta.env || {};
+
+// Shared by every Logger; change it with configureLogging
+const config = {
+  level: LOG_LEVELS[env.VITE_LOG_LEVEL] ? env.VITE_LOG_LEVEL : 'info',
+  transports: [new ConsoleTransport(), logBuffer],
+  redactKeys: []
+};
+
+// options: { level, transports, redactKeys } — only the given fields change
+export function configureLogging(options = {}) {
+  if (options.level !== undefined) {
+    if (!LOG_LEVELS[options.level]) throw new Error(`Unknown log level: ${options.level}`);
+    config.level = options.level;
+  }
+  if (options.transports !== undefined) config.transports = options.transports;
+  if (options.redactKeys !== undefined) config.redactKeys = options.redactKeys;
+}
+
+export const getLogLevel = () => config.level;
+
+// Named logger; child() adds context fields that are attached to every entry it writes
+export class Logger {
+  constructor(name, context = null) {
+    this.name = name;
+    this.context = context;
+  }
+
+  child(context) {
+    return new Logger(this.name, { ...this.context, ...context });
+  }
+
+  isEnabled(level) {
+    return LOG_LEVELS[level] >= LOG_LEVELS[config.level];
+  }
+
+  log(level, msg, data) {
+    if (!this.isEnabled(level)) return;
+
+    const entry = {
+      timestamp: new Date().toISOString(),
+      level,
+      logger: this.name,
+      message: msg,
+      ...(this.context ? { context: redact(this.context, config.redactKeys) } : {}),
+      ...(data === undefined ? {} : { data: redact(data, config.redactKeys) })
+    };
+
+    config.transports.forEach(transport => {
+      if (transport.level && LOG_LEVELS[level] < LOG_LEVELS[transport.level]) return;
+      try {
+        transport.write(entry);
+      } catch {
+        // A broken transport must never take the caller down with it
+      }
+    });
+  }
+
+  debug(msg, data) {
+    this.log('debug', msg, data);
+  }
+
+  info(msg, data) {
+    this.log('info', msg, data);
+  }
+
+  warn(msg, data) {
+    this.log('warn', msg, data);
+  }
+
+  error(msg, data) {
+    this.log('error', msg, data);
+  }
+}
+
+export default Logger;
@@ -0,0 +1,93 @@
+import { ErrorCodes, URLError } from './errors.js';
+
+// Token buckets: each holds up to `limit` tokens and refills at limit / windowSeconds per second,
+// so short bursts are allowed but the long-run rate is capped.
+export const DEFAULT_RATE_LIMITS = {
+  perKey: { limit: 100, windowSeconds: 3600 },
+  perIp: { limit: 20, windowSeconds: 60 }
+};
+
+// Parse "count/seconds" (e.g. "100/3600") from configuration; falls back when missing or malformed
+export function parseRateLimit(value, fallback) {
+  const match = String(value || '').match(/^\s*(\d+)\s*\/\s*(\d+)\s*$/);
+  if (!match || Number(match[1]) <= 0 || Number(match[2]) <= 0) return fallback;
+  return { limit: Number(match[1]), windowSeconds: Number(match[2]) };
+}
+
+export function describeRateLimit({ limit, windowSeconds }) {
+  const units = [[86400, 'day'], [3600, 'hour'], [60, 'minute']];
+  const unit = units.find(([seconds]) => windowSeconds % seconds === 0);
+  if (!unit) return `${limit} per ${windowSeconds} seconds`;
+
+  const count = windowSeconds / unit[0];
+  return `${limit} per ${count === 1 ? unit[1] : `${count} ${unit[1]}s`}`;
+}
+
+// Bucket state lives under 'rateLimitBuckets' so it survives restarts and the app can show what is left
+export class RateLimiter {
+  constructor(storage, limits = DEFAULT_RATE_LIMITS) {
+    this.storage = storage;
+    this.limits = limits;
+  }
+
+  loadBuckets() {
+    return this.storage.get('rateLimitBuckets') || {};
+  }
+
+  // Tokens in a bucket right now; a bucket never seen before is full
+  refill(bucket, { limit, windowSeconds }, now) {
+    if (!bucket) return limit;
+    const elapsedSeconds = Math.max(0, now - bucket.updated) / 1000;
+    return Math.min(limit, bucket.tokens + elapsedSeconds * (limit / windowSeconds));
+  }
+
+  // { limit, remaining, retryAfter } for one bucket without consuming anything
+  peek(bucketKey, limitName, now = Date.now()) {
+    const config = this.limits[limitName];
+    const tokens = this.refill(this.loadBuckets()[bucketKey], config, now);
+    return {
+      limit: config.limit,
+      windowSeconds: config.windowSeconds,
+      remaining: Math.floor(tokens),
+      retryAfter: tokens >= 1 ? 0 : Math.ceil((1 - tokens) / (config.limit / config.windowSeconds))
+    };
+  }
+
+  // Take one token from every bucket, or none if any is empty.
+  // checks: [{ bucketKey, limitName }]. Throws RATE_LIMITED with details.retryAfter (seconds).
+  consume(checks, now = Date.now()) {
+    const statuses = checks.map(({ bucketKey, limitName }) => ({ bucketKey, limitName, ...this.peek(bucketKey, limitName, now) }));
+
+    const blocked = statuses.filter(status => status.remaining < 1);
+    if (blocked.length > 0) {
+      const retryAfter = Math.max(...blocked.map(status => status.retryAfter));
+      throw new URLError(ErrorCodes.RATE_LIMITED, `Rate limit exceeded, try again in ${retryAfter} second(s)`, {
+        retryAfter,
+        limits: blocked.map(({ limitName, limit, windowSeconds }) => ({ name: limitName, limit, windowSeconds }))
+      });
+    }
+
+    const buckets = this.pruneBuckets(this.loadBuckets(), now);
+    checks.forEach(({ bucketKey, limitName }) => {
+      buckets[bucketKey] = { tokens: this.refill(buckets[bucketKey], this.limits[limitName], now) - 1, updated: now, limitName };
+    });
+    this.storage.set('rateLimitBuckets', buckets);
+
+    return statuses.map(status => ({ ...status, remaining: status.remaining - 1 }));
+  }
+
+  // The per-key buckets; per-IP ones would tell who has been calling the API
+  keyBuckets() {
+    return Object.fromEntries(Object.entries(this.loadBuckets()).filter(([bucketKey]) => bucketKey.startsWith('key:')));
+  }
+
+  // Buckets that have refilled completely carry no information, so drop them
+  pruneBuckets(buckets, now) {
+    return Object.fromEntries(Object.entries(buckets).filter(([, bucket]) => {
+      const config = this.limits[bucket.limitName];
+      return config && this.refill(bucket, config, now) < config.limit;
+    }));
+  }
+}
+
+export default RateLimiter;
@@ -0,0 +1,74 @@
+import { AccountManager, createSessionStore } from './AccountManager.js';
+import { ErrorCodes, URLError } from './errors.js';
+import { getDefaultStorage, RemoteStorage } from './storage/index.js';
+
+// Accounts for a browser syncing through the Node server. The server keeps the password and API key
+// hashes to itself, so the synced records are only good for showing accounts and keys: signing in
+// and every change go through /api/account (server/accountApi.js) with the session token it hands out.
+// Lookups stay synchronous like AccountManager's; the changes return promises.
+export class RemoteAccountManager extends AccountManager {
+  constructor(storage, session = createSessionStore(), endpoint = storage.endpoint.replace(/\/storage$/, '/account')) {
+    super(storage, session);
+    this.endpoint = endpoint;
+  }
+
+  async request(method, path, body) {
+    const token = this.session.get('token');
+    const response = await fetch(`${this.endpoint}${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const payload = await response.json().catch(() => null);
+
+    if (!response.ok) {
+      const error = payload?.error || { code: ErrorCodes.UNAUTHORIZED, message: `Server answered ${response.status}` };
+      this.logger.warn('Account request failed', { method, path, code: error.code });
+      throw new URLError(error.code, error.message);
+    }
+    this.storage.receive(payload.records);
+    return payload.data;
+  }
+
+  async signIn(credentials) {
+    const { user, token } = await this.request('POST', '/session', credentials);
+    this.session.set('userId', user.id);
+    this.session.set('token', token);
+    this.logger.info('User signed in', { username: user.username });
+    return user;
+  }
+
+  register(username, password) {
+    return this.signIn({ username, password, register: true });
+  }
+
+  login(username, password) {
+    return this.signIn({ username, password });
+  }
+
+  // Signed out here straight away; ending the server's session can finish in the background
+  logout() {
+    this.request('DELETE', '/session').catch(() => {});
+    this.session.remove('token');
+    super.logout();
+  }
+
+  setRole(userId, role) {
+    return this.request('PATCH', `/users/${encodeURIComponent(userId)}`, { role });
+  }
+
+  createApiKey(name) {
+    return this.request('POST', '/keys', { name });
+  }
+
+  revokeApiKey(id) {
+    return this.request('DELETE', `/keys/${encodeURIComponent(id)}`);
+  }
+}
+
+// The account manager for the app's store: the server's when it syncs through one, local otherwise
+export function createAccountManager(storage = getDefaultStorage()) {
+  return storage instanceof RemoteStorage ? new RemoteAccountManager(storage) : new AccountManager(storage);
+}
+
+export default RemoteAccountManager;
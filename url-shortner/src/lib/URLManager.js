@@ -0,0 +1,1092 @@
+import { Logger } from './Logger.js';
+import { ErrorCodes, URLError } from './errors.js';
+import { ClickAnalytics } from './analytics/ClickAnalytics.js';
+import { AuditLog, diffRecords } from './audit/AuditLog.js';
+import { DEFAULT_HEALTH_POLICY, LinkHealth, describeCheck, healthState } from './health/LinkHealth.js';
+import { containsBlockedWord, createShortcodeGenerator, hasBlockedWord, isReservedShortcode } from './shortcodes/index.js';
+import { hashPassword, verifyPassword } from './crypto/password.js';
+import { getDefaultStorage, migrate } from './storage/index.js';
+import { DEFAULT_SAFETY_OPTIONS, checkDestination, getBuildTimeSafety } from './urlSafety.js';
+import { getBuildTimeDomains, hostOf, normalizeDomainList } from './domains.js';
+import { normalizeExpiryPolicy } from './expiry.js';
+import { toTimestamp } from './durations.js';
+import { forwardQuery } from './utm.js';
+import { normalizeRules, selectDestination } from './routing/rules.js';
+import {
+  MAX_NOTES_LENGTH, MAX_TITLE_LENGTH, normalizeCampaignName, normalizeTags, normalizeText, summarizeCampaigns
+} from './campaigns.js';
+
+const MAX_GENERATION_ATTEMPTS = 20;
+const ATTEMPTS_PER_LENGTH = 5;
+const MIN_PASSWORD_LENGTH = 4;
+// Expiry and activation times stay within 100 years, well inside what a Date can represent
+const MAX_VALIDITY_MINUTES = 100 * 365 * 24 * 60;
+const MAX_VALIDITY_MS = MAX_VALIDITY_MINUTES * 60000;
+
+// 'direct' redirects straight away, 'preview' shows an interstitial page first
+export const REDIRECT_MODES = ['direct', 'preview'];
+
+// URL Manager Class
+// options.shortcodes configures code generation, see createShortcodeGenerator
+// options.safety configures destination checks, see checkDestination; without it the lists the server
+// publishes under 'safety' apply, or the build's
+// options.domains lists default public base URLs, see lib/domains.js
+// options.expiry is the default expiry policy, see lib/expiry.js
+// options.user ({ id, role }) scopes listing and management to that user's links (admins see all);
+// without one the manager acts for the system, e.g. the redirect server
+export class URLManager {
+  constructor(storage = getDefaultStorage(), options = {}) {
+    this.logger = new Logger('URLManager');
+    this.storage = storage;
+    this.options = options;
+    this.analytics = new ClickAnalytics(storage);
+    this.auditLog = new AuditLog(storage);
+    this.health = new LinkHealth(storage);
+    this.shortcodes = createShortcodeGenerator(storage, options.shortcodes);
+    this.safety = options.safety || null;
+    this.user = options.user || null;
+    this.defaultDomains = normalizeDomainList(options.domains || getBuildTimeDomains());
+    this.defaultExpiryPolicy = normalizeExpiryPolicy(options.expiry);
+
+    if (this.storage.get('urls') === null) {
+      this.logger.info('URL database initialized');
+    }
+    migrate(this.storage, this.logger);
+  }
+
+  loadUrls() {
+    return this.storage.get('urls') || [];
+  }
+
+  saveUrls(urls) {
+    this.storage.set('urls', urls);
+  }
+
+  // Links swept out of 'urls' by the expiry policy: archived records, or tombstones of purged ones.
+  // A renamed link also leaves a tombstone ({ renamed: new code }) holding its old code, see reserveOldShortcode.
+  loadExpiredLinks() {
+    return this.storage.get('expiredLinks') || [];
+  }
+
+  saveExpiredLinks(links) {
+    this.storage.set('expiredLinks', links);
+  }
+
+  // Audit trail entry attributed to the manager's user
+  // shortcode / domain are only needed when there is no record, e.g. for failed lookups
+  audit(action, urlData, { shortcode = null, domain = null, ...fields } = {}) {
+    this.auditLog.record({
+      action,
+      actor: this.user,
+      linkId: urlData ? urlData.id : null,
+      shortcode: urlData ? urlData.shortcode : shortcode,
+      domain: (urlData ? urlData.domain : domain) || this.getDefaultDomain(),
+      ...fields
+    });
+  }
+
+  expiryEvent(urlData) {
+    return {
+      action: 'expired',
+      linkId: urlData.id,
+      shortcode: urlData.shortcode,
+      domain: urlData.domain || this.getDefaultDomain(),
+      after: { expires: urlData.expires },
+      timestamp: urlData.expires
+    };
+  }
+
+  // Record an 'expired' event for every lapsed link that doesn't have one yet; returns how many were added
+  recordExpirations() {
+    const events = this.loadUrls()
+      .filter(url => this.isExpired(url) && !this.auditLog.hasExpiry(url.id, url.expires))
+      .map(url => this.expiryEvent(url));
+    return this.auditLog.recordAll(events).length;
+  }
+
+  // The audit trail covers every user's links, so it is for admins (or the system) only
+  getAuditEvents(filters = {}) {
+    if (this.user && this.user.role !== 'admin') {
+      throw new URLError(ErrorCodes.FORBIDDEN, 'Only admins can view the audit log');
+    }
+    this.recordExpirations();
+    return this.auditLog.query(filters);
+  }
+
+  // Same storage and configuration, acting for another user (e.g. the owner of an API key)
+  forUser(user) {
+    return new URLManager(this.storage, { ...this.options, user });
+  }
+
+  // Base URLs saved from the Settings page win over the build / env defaults
+  getDomains() {
+    return this.storage.get('domains') || this.defaultDomains;
+  }
+
+  // Domains are shared by everyone, so only admins (or the system) may change them
+  assertCanConfigure() {
+    if (this.user && this.user.role !== 'admin') {
+      throw new URLError(ErrorCodes.FORBIDDEN, 'Only admins can change settings');
+    }
+  }
+
+  saveDomains(baseUrls) {
+    this.assertCanConfigure();
+    const domains = normalizeDomainList(baseUrls);
+    this.storage.set('domains', domains);
+    this.logger.info('Domains updated', { domains });
+    return domains;
+  }
+
+  // Back to the build / env defaults
+  resetDomains() {
+    this.assertCanConfigure();
+    this.storage.remove('domains');
+    this.logger.info('Domains reset to defaults', { domains: this.defaultDomains });
+    return this.defaultDomains;
+  }
+
+  // A policy saved from the Settings page wins over the env / constructor default
+  getExpiryPolicy() {
+    const saved = this.storage.get('expiryPolicy');
+    return saved ? normalizeExpiryPolicy(saved) : this.defaultExpiryPolicy;
+  }
+
+  saveExpiryPolicy(policy) {
+    this.assertCanConfigure();
+    const normalized = normalizeExpiryPolicy(policy);
+    this.storage.set('expiryPolicy', normalized);
+    this.logger.info('Expiry policy updated', normalized);
+    return normalized;
+  }
+
+  resetExpiryPolicy() {
+    this.assertCanConfigure();
+    this.storage.remove('expiryPolicy');
+    this.logger.info('Expiry policy reset to defaults', this.defaultExpiryPolicy);
+    return this.defaultExpiryPolicy;
+  }
+
+  loadCampaigns() {
+    return this.storage.get('campaigns') || [];
+  }
+
+  saveCampaigns(campaigns) {
+    this.storage.set('campaigns', campaigns);
+  }
+
+  // Campaigns belong to the user who created them, like links; admins see everyone's
+  getCampaigns() {
+    return this.loadCampaigns()
+      .filter(campaign => this.canManage(campaign))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  findCampaign(campaigns, id) {
+    const campaign = campaigns.find(entry => entry.id === id);
+    if (!campaign || !this.canManage(campaign)) {
+      this.logger.error('Campaign not found', { id });
+      throw new URLError(ErrorCodes.NOT_FOUND, 'Campaign not found');
+    }
+    return campaign;
+  }
+
+  // Names are unique per owner, ignoring case
+  assertUniqueCampaignName(campaigns, name, owner, keep = null) {
+    const lower = name.toLowerCase();
+    if (campaigns.some(campaign => campaign !== keep && campaign.owner === owner && campaign.name.toLowerCase() === lower)) {
+      this.logger.error('Duplicate campaign name', { name });
+      throw new URLError(ErrorCodes.INVALID_CAMPAIGN, 'A campaign with this name already exists');
+    }
+  }
+
+  createCampaign(name, description = '') {
+    const campaigns = this.loadCampaigns();
+    const owner = this.user ? this.user.id : null;
+    const campaign = {
+      id: String(Date.now() + Math.random()),
+      name: normalizeCampaignName(name),
+      description: normalizeText(description, 'Description', MAX_NOTES_LENGTH),
+      owner,
+      created: Date.now()
+    };
+    this.assertUniqueCampaignName(campaigns, campaign.name, owner);
+
+    this.saveCampaigns([...campaigns, campaign]);
+    this.logger.info('Campaign created', { id: campaign.id, name: campaign.name });
+    return campaign;
+  }
+
+  // changes: { name, description }
+  updateCampaign(id, changes = {}) {
+    const campaigns = this.loadCampaigns();
+    const campaign = this.findCampaign(campaigns, id);
+
+    if (changes.name !== undefined) {
+      const name = normalizeCampaignName(changes.name);
+      this.assertUniqueCampaignName(campaigns, name, campaign.owner, campaign);
+      campaign.name = name;
+    }
+    if (changes.description !== undefined) {
+      campaign.description = normalizeText(changes.description, 'Description', MAX_NOTES_LENGTH);
+    }
+
+    this.saveCampaigns(campaigns);
+    this.logger.info('Campaign updated', { id, name: campaign.name });
+    return campaign;
+  }
+
+  // The campaign's links stay, outside any campaign
+  deleteCampaign(id) {
+    const campaigns = this.loadCampaigns();
+    const campaign = this.findCampaign(campaigns, id);
+
+    const urls = this.loadUrls();
+    const members = urls.filter(url => url.campaign === id);
+    members.forEach(url => {
+      url.campaign = null;
+    });
+    this.saveUrls(urls);
+    this.saveCampaigns(campaigns.filter(entry => entry !== campaign));
+    this.auditLog.recordAll(members.map(url => ({
+      action: 'updated',
+      actor: this.user,
+      linkId: url.id,
+      shortcode: url.shortcode,
+      domain: url.domain || this.getDefaultDomain(),
+      before: { campaign: id },
+      after: { campaign: null },
+      details: { campaignDeleted: campaign.name }
+    })));
+    this.logger.info('Campaign deleted', { id, name: campaign.name, links: members.length });
+    return campaign;
+  }
+
+  // Link counts and click totals per campaign, for the user's links
+  getCampaignSummary() {
+    return summarizeCampaigns(this.getCampaigns(), this.getAllUrls(), url => this.getStatus(url) === 'active');
+  }
+
+  // Campaign id to store on a link; '' and null mean none
+  resolveCampaign(id) {
+    if (id === null || id === '') return null;
+    const campaign = this.getCampaigns().find(entry => entry.id === id);
+    if (!campaign) {
+      this.logger.error('Unknown campaign', { id });
+      throw new URLError(ErrorCodes.INVALID_CAMPAIGN, 'Unknown campaign');
+    }
+    return campaign.id;
+  }
+
+  // Title, notes, tags and campaign from `fields`. Keys left undefined are left out, so an update only touches what it names.
+  resolveMetadata(fields) {
+    const metadata = {};
+    try {
+      if (fields.title !== undefined) metadata.title = normalizeText(fields.title, 'Title', MAX_TITLE_LENGTH);
+      if (fields.notes !== undefined) metadata.notes = normalizeText(fields.notes, 'Notes', MAX_NOTES_LENGTH);
+      if (fields.tags !== undefined) metadata.tags = normalizeTags(fields.tags);
+    } catch (error) {
+      this.logger.error('Invalid link metadata', { error: error.message });
+      throw error;
+    }
+    if (fields.campaign !== undefined) metadata.campaign = this.resolveCampaign(fields.campaign);
+    return metadata;
+  }
+
+  getDefaultDomain() {
+    return hostOf(this.getDomains()[0]);
+  }
+
+  // The configured host a request arrived on, or the default one for unknown hosts (e.g. 127.0.0.1)
+  resolveDomain(host) {
+    const normalized = (host || '').toLowerCase();
+    return this.getDomains().some(baseUrl => hostOf(baseUrl) === normalized) ? normalized : this.getDefaultDomain();
+  }
+
+  // Host of a configured domain (null means the default one); unknown hosts are rejected
+  assertKnownDomain(domain) {
+    if (domain === null || domain === undefined) return this.getDefaultDomain();
+
+    const host = String(domain).toLowerCase();
+    if (!this.getDomains().some(baseUrl => hostOf(baseUrl) === host)) {
+      this.logger.error('Unknown domain', { domain });
+      throw new URLError(ErrorCodes.INVALID_DOMAIN, `${domain} is not a configured domain`);
+    }
+    return host;
+  }
+
+  canManage(urlData) {
+    return !this.user || this.user.role === 'admin' || urlData.owner === this.user.id;
+  }
+
+  isInDomain(urlData, domain) {
+    return (urlData.domain || this.getDefaultDomain()) === (domain || this.getDefaultDomain());
+  }
+
+  findInDomain(urls, code, domain) {
+    return urls.find(url => url.shortcode === code && this.isInDomain(url, domain));
+  }
+
+  getShortUrl(urlData) {
+    const host = urlData.domain || this.getDefaultDomain();
+    const baseUrl = this.getDomains().find(candidate => hostOf(candidate) === host) || `https://${host}`;
+    return `${baseUrl}/${urlData.shortcode}`;
+  }
+
+  // Collisions get likelier as the namespace fills, so after a few misses at one length try a longer code
+  generateShortcode(domain = null) {
+    const { generator, length } = this.shortcodes;
+
+    for (let attempt = 0; attempt < MAX_GENERATION_ATTEMPTS; attempt++) {
+      const code = generator.next(Math.min(10, length + Math.floor(attempt / ATTEMPTS_PER_LENGTH)));
+      if (this.isShortcodeAllowed(code) && this.isShortcodeUnique(code, domain)) {
+        return code;
+      }
+      this.logger.warn('Generated shortcode rejected, retrying', { code, attempt });
+    }
+
+    this.logger.error('Shortcode generation exhausted', { attempts: MAX_GENERATION_ATTEMPTS });
+    this.audit('collision', null, { domain, details: { code: ErrorCodes.SHORTCODE_EXHAUSTED, attempts: MAX_GENERATION_ATTEMPTS } });
+    throw new URLError(ErrorCodes.SHORTCODE_EXHAUSTED, 'Could not generate a unique shortcode, try again');
+  }
+
+  // Links back to any configured domain would loop
+  getSafetyOptions() {
+    const safety = this.safety || this.storage.get('safety') || getBuildTimeSafety();
+    const shortenerHosts = safety.shortenerHosts || DEFAULT_SAFETY_OPTIONS.shortenerHosts;
+    return { ...safety, shortenerHosts: [...shortenerHosts, ...this.getDomains().map(hostOf)] };
+  }
+
+  isValidUrl(url) {
+    try {
+      checkDestination(url, this.getSafetyOptions());
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  isValidShortcode(code) {
+    return typeof code === 'string' && /^[a-zA-Z0-9]{1,10}$/.test(code);
+  }
+
+  // expires null means the link never expires
+  isExpired(urlData) {
+    return urlData.expires !== null && Date.now() > urlData.expires;
+  }
+
+  // Scheduled links exist (and hold their code) but don't redirect before their activation time
+  isScheduled(urlData) {
+    return urlData.activates !== null && urlData.activates !== undefined && Date.now() < urlData.activates;
+  }
+
+  // App paths plus the deployment's configured reserved codes; these are never links
+  isReservedCode(code) {
+    return isReservedShortcode(code, this.shortcodes.reserved);
+  }
+
+  // Reserved app paths and blocklisted words are never issued. Generated codes are rejected for a
+  // blocked word anywhere inside them, custom ones only for a whole word (see shortcodes/blocklist.js).
+  isShortcodeAllowed(code, custom = false) {
+    const { blocked } = this.shortcodes;
+    const blockedWord = custom ? hasBlockedWord(code, blocked) : containsBlockedWord(code, blocked);
+    return !this.isReservedCode(code) && !blockedWord;
+  }
+
+  // Until when a code stays unavailable because of the link that held it: its expiry plus the quarantine
+  quarantineEnd(urlData) {
+    if (urlData.expires === null) return Infinity;
+    return urlData.expires + this.getExpiryPolicy().quarantineMinutes * 60000;
+  }
+
+  // Live, archived, purged and renamed links all hold their code until their quarantine ends.
+  // exceptLinkId lets a renamed link take its own old code back.
+  findShortcodeHolders(code, domain = null, exceptLinkId = null) {
+    const now = Date.now();
+    return [...this.loadUrls(), ...this.loadExpiredLinks()]
+      .filter(url => url.shortcode === code && this.isInDomain(url, domain) && this.quarantineEnd(url) >= now)
+      .filter(url => exceptLinkId === null || url.id !== exceptLinkId);
+  }
+
+  isShortcodeUnique(code, domain = null) {
+    return this.findShortcodeHolders(code, domain).length === 0;
+  }
+
+  // Returns the normalized destination that should be stored
+  assertValidUrl(originalUrl) {
+    try {
+      return checkDestination(originalUrl, this.getSafetyOptions());
+    } catch (error) {
+      this.logger.error('Destination rejected', { originalUrl, code: error.code });
+      throw error;
+    }
+  }
+
+  assertValidMinutes(minutes) {
+    if (!Number.isInteger(minutes) || minutes <= 0) {
+      this.logger.error('Invalid validity period', { minutes });
+      throw new URLError(ErrorCodes.INVALID_VALIDITY, 'Validity must be a positive integer');
+    }
+    if (minutes > MAX_VALIDITY_MINUTES) {
+      this.logger.error('Validity period too long', { minutes });
+      throw new URLError(ErrorCodes.INVALID_VALIDITY, 'Validity can be at most 100 years');
+    }
+  }
+
+  assertWithinHorizon(timestamp, code, what, now = Date.now()) {
+    if (timestamp > now + MAX_VALIDITY_MS) {
+      this.logger.error(`${what} too far ahead`, { timestamp });
+      throw new URLError(code, `${what} must be within 100 years`);
+    }
+  }
+
+  // Expiry time for a new or edited link. An absolute expiresAt (ms, Date or date string) wins over minutes;
+  // minutes === null means the link never expires.
+  resolveExpiry(minutes, expiresAt = null, now = Date.now()) {
+    if (expiresAt !== null && expiresAt !== undefined) {
+      const expires = toTimestamp(expiresAt);
+      if (Number.isNaN(expires) || expires <= now) {
+        this.logger.error('Invalid expiry date', { expiresAt });
+        throw new URLError(ErrorCodes.INVALID_VALIDITY, 'Expiry must be a valid date in the future');
+      }
+      this.assertWithinHorizon(expires, ErrorCodes.INVALID_VALIDITY, 'Expiry', now);
+      return expires;
+    }
+    if (minutes === null) return null;
+
+    this.assertValidMinutes(minutes);
+    return now + (minutes * 60000);
+  }
+
+  // Not-before time, or null for immediately; it has to fall before the expiry
+  resolveActivation(activatesAt, expires) {
+    if (activatesAt === null || activatesAt === undefined || activatesAt === '') return null;
+
+    const activates = toTimestamp(activatesAt);
+    if (Number.isNaN(activates)) {
+      this.logger.error('Invalid activation date', { activatesAt });
+      throw new URLError(ErrorCodes.INVALID_ACTIVATION, 'Activation must be a valid date');
+    }
+    this.assertWithinHorizon(activates, ErrorCodes.INVALID_ACTIVATION, 'Activation');
+    this.assertActivationBeforeExpiry(activates, expires);
+    return activates;
+  }
+
+  assertActivationBeforeExpiry(activates, expires) {
+    if (activates !== null && expires !== null && activates >= expires) {
+      this.logger.error('Activation after expiry', { activates, expires });
+      throw new URLError(ErrorCodes.INVALID_ACTIVATION, 'Activation must be before the expiry');
+    }
+  }
+
+  assertValidPassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      this.logger.error('Invalid link password');
+      throw new URLError(ErrorCodes.INVALID_PASSWORD, `Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+  }
+
+  assertValidMaxClicks(maxClicks) {
+    if (!Number.isInteger(maxClicks) || maxClicks <= 0) {
+      this.logger.error('Invalid click limit', { maxClicks });
+      throw new URLError(ErrorCodes.INVALID_MAX_CLICKS, 'Max clicks must be a positive integer');
+    }
+  }
+
+  assertValidRedirectMode(redirectMode) {
+    if (!REDIRECT_MODES.includes(redirectMode)) {
+      this.logger.error('Invalid redirect mode', { redirectMode });
+      throw new URLError(ErrorCodes.INVALID_REDIRECT_MODE, `Redirect mode must be one of: ${REDIRECT_MODES.join(', ')}`);
+    }
+  }
+
+  // Routing rules with every destination checked like originalUrl
+  resolveRules(rules) {
+    try {
+      return normalizeRules(rules, url => this.assertValidUrl(url));
+    } catch (error) {
+      if (error.code === ErrorCodes.INVALID_RULES) this.logger.error('Invalid routing rules', { error: error.message });
+      throw error;
+    }
+  }
+
+  assertAvailableShortcode(code, domain = null, exceptLinkId = null) {
+    if (!this.isValidShortcode(code)) {
+      this.logger.error('Invalid custom shortcode', { customCode: code });
+      throw new URLError(ErrorCodes.INVALID_SHORTCODE, 'Shortcode must be alphanumeric and 1-10 characters');
+    }
+
+    if (!this.isShortcodeAllowed(code, true)) {
+      this.logger.error('Reserved or blocked shortcode', { customCode: code });
+      throw new URLError(ErrorCodes.SHORTCODE_RESERVED, 'Shortcode is reserved or not allowed');
+    }
+
+    const holders = this.findShortcodeHolders(code, domain, exceptLinkId);
+    if (holders.length > 0) {
+      this.logger.error('Shortcode collision', { customCode: code });
+      this.audit('collision', null, { shortcode: code, domain, details: { code: ErrorCodes.SHORTCODE_TAKEN } });
+      if (holders.some(url => !this.isExpired(url))) {
+        throw new URLError(ErrorCodes.SHORTCODE_TAKEN, 'Shortcode already exists');
+      }
+      const availableAt = Math.max(...holders.map(url => this.quarantineEnd(url)));
+      throw new URLError(
+        ErrorCodes.SHORTCODE_TAKEN,
+        `Shortcode ${holders.some(url => url.renamed) ? 'was renamed' : 'expired'} recently and can be reused after ${new Date(availableAt).toLocaleString()}`,
+        { availableAt }
+      );
+    }
+  }
+
+  // minutes === null creates a link that never expires.
+  // options: { password, maxClicks } for protected and limited-use (e.g. one-time) links,
+  // { redirectMode } to always show the preview page first, { domain } to issue it on a branded host,
+  // { expiresAt } for an absolute expiry instead of minutes, { activatesAt } to only start redirecting later,
+  // { forwardQuery } to pass the short URL's query parameters on to the destination,
+  // { rules } to send some visits elsewhere by device, language or time, see lib/routing/rules.js,
+  // { title, notes, tags, campaign } to describe and group it, see lib/campaigns.js,
+  // { fallbackUrl } to send visits there while the link checker finds the destination broken
+  createShortUrl(originalUrl, minutes = 30, customCode = null, options = {}) {
+    const password = options.password || null;
+    const maxClicks = options.maxClicks ?? null;
+    const redirectMode = options.redirectMode || 'direct';
+    this.logger.info('Creating short URL', {
+      originalUrl, minutes, customCode, protected: Boolean(password), maxClicks, redirectMode, domain: options.domain,
+      expiresAt: options.expiresAt, activatesAt: options.activatesAt, forwardQuery: Boolean(options.forwardQuery),
+      rules: options.rules ? options.rules.length : 0, tags: options.tags, campaign: options.campaign
+    });
+
+    const domain = this.assertKnownDomain(options.domain);
+    const destination = this.assertValidUrl(originalUrl);
+    const now = Date.now();
+    const expires = this.resolveExpiry(minutes, options.expiresAt, now);
+    const activates = this.resolveActivation(options.activatesAt, expires);
+    const rules = this.resolveRules(options.rules || []);
+    const metadata = { title: '', notes: '', tags: [], campaign: null, ...this.resolveMetadata(options) };
+    const fallbackUrl = options.fallbackUrl ? this.assertValidUrl(options.fallbackUrl) : null;
+    if (password !== null) this.assertValidPassword(password);
+    if (maxClicks !== null) this.assertValidMaxClicks(maxClicks);
+    this.assertValidRedirectMode(redirectMode);
+
+    let shortcode = customCode;
+    
+    if (customCode) {
+      this.assertAvailableShortcode(customCode, domain);
+    } else {
+      shortcode = this.generateShortcode(domain);
+    }
+
+    const urlData = {
+      id: String(Date.now() + Math.random()),
+      originalUrl: destination,
+      shortcode,
+      created: now,
+      expires,
+      activates,
+      clicks: 0,
+      disabled: false,
+      passwordHash: password ? hashPassword(password) : null,
+      maxClicks,
+      redirectMode,
+      forwardQuery: Boolean(options.forwardQuery),
+      rules,
+      ...metadata,
+      fallbackUrl,
+      fallbackActive: false,
+      domain,
+      owner: this.user ? this.user.id : null
+    };
+
+    // An expired record past its quarantine may still hold this code; it is retired and the new link takes its place
+    const urls = this.displaceExpired(this.loadUrls(), shortcode, domain);
+    urls.push(urlData);
+    this.saveUrls(urls);
+    this.logger.info('Short URL created successfully', this.toPublic(urlData));
+    this.audit('created', urlData, { after: this.toPublic(urlData) });
+    return urlData;
+  }
+
+  // Records in `urls` holding `code` on `domain` (other than `keep`) are retired per the expiry policy.
+  // Only called once the code has passed assertAvailableShortcode, so they are all past their quarantine.
+  displaceExpired(urls, code, domain, keep = null) {
+    const displaced = urls.filter(url => url !== keep && url.shortcode === code && this.isInDomain(url, domain));
+    if (displaced.length > 0) this.retire(displaced);
+    return urls.filter(url => !displaced.includes(url));
+  }
+
+  // Move records out of 'urls': archived with their click history, or purged down to a tombstone.
+  // With the policy off they are archived anyway, since they are being replaced.
+  retire(records, now = Date.now()) {
+    const purge = this.getExpiryPolicy().mode === 'purge';
+    const retired = records.map(urlData => {
+      this.health.remove(urlData.id);
+      if (!purge) return { ...urlData, archived: now };
+      this.analytics.removeEvents(urlData.id);
+      const { id, shortcode, domain, owner, created, expires } = urlData;
+      return { id, shortcode, domain, owner, created, expires, purged: now };
+    });
+
+    this.saveExpiredLinks([...this.loadExpiredLinks(), ...retired]);
+    const unrecorded = records.filter(urlData => !this.auditLog.hasExpiry(urlData.id, urlData.expires));
+    this.auditLog.recordAll([...unrecorded.map(urlData => this.expiryEvent(urlData)), ...records.map(urlData => ({
+      action: purge ? 'purged' : 'archived',
+      actor: this.user,
+      linkId: urlData.id,
+      shortcode: urlData.shortcode,
+      domain: urlData.domain || this.getDefaultDomain(),
+      before: purge ? this.toPublic(urlData) : null,
+      details: { expires: urlData.expires }
+    }))]);
+  }
+
+  // Archive or purge links expired for longer than the policy's retention, and drop tombstones whose
+  // quarantine is over. Runs as maintenance over every user's links; see ExpirySweeper for the schedule.
+  sweepExpired(now = Date.now()) {
+    const policy = this.getExpiryPolicy();
+    const result = { archived: 0, purged: 0, released: 0 };
+    if (policy.mode === 'off') return result;
+
+    this.recordExpirations();
+    const urls = this.loadUrls();
+    const cutoff = now - policy.retentionMinutes * 60000;
+    const swept = urls.filter(url => url.expires !== null && url.expires < cutoff);
+    if (swept.length > 0) {
+      this.saveUrls(urls.filter(url => !swept.includes(url)));
+      this.retire(swept, now);
+      result[policy.mode === 'purge' ? 'purged' : 'archived'] = swept.length;
+    }
+
+    // Archived records are kept for good; tombstones only exist to enforce the quarantine
+    const expiredLinks = this.loadExpiredLinks();
+    const kept = expiredLinks.filter(link => !(link.purged || link.renamed) || this.quarantineEnd(link) >= now);
+    if (kept.length < expiredLinks.length) {
+      this.saveExpiredLinks(kept);
+      result.released = expiredLinks.length - kept.length;
+    }
+
+    if (swept.length + result.released > 0) {
+      this.logger.info('Expired links swept', { mode: policy.mode, ...result });
+    }
+    return result;
+  }
+
+  // Archived / purged links the manager's user may see, most recently expired first
+  getExpiredLinks() {
+    return this.loadExpiredLinks()
+      .filter(link => !link.renamed && this.canManage(link))
+      .sort((a, b) => b.expires - a.expires);
+  }
+
+  // Record as shown outside the manager: the password hash never leaves, only whether there is one
+  toPublic(urlData) {
+    const { passwordHash, ...rest } = urlData;
+    return { ...rest, protected: Boolean(passwordHash) };
+  }
+
+  hasClickLimit(urlData) {
+    return urlData.maxClicks !== null && urlData.maxClicks !== undefined;
+  }
+
+  isClickBudgetExhausted(urlData) {
+    return this.hasClickLimit(urlData) && urlData.clicks >= urlData.maxClicks;
+  }
+
+  getUrlByShortcode(code, domain = null) {
+    const { status, urlData } = this.resolveShortcode(code, domain);
+    return status === 'active' ? urlData : null;
+  }
+
+  // Look up a shortcode for redirection. status is one of:
+  // 'active', 'protected' (needs unlockShortUrl), 'missing', 'expired', 'disabled', 'scheduled', 'exhausted'
+  resolveShortcode(code, domain = null) {
+    const urlData = this.findInDomain(this.loadUrls(), code, domain);
+
+    if (!urlData) {
+      // A swept link still answers as expired (with its expiry date) rather than unknown
+      const retired = this.getLatestExpiredLink(code, domain);
+      if (retired) {
+        this.logger.warn('URL expired', { code, archived: Boolean(retired.archived) });
+        return { status: 'expired', urlData: retired };
+      }
+      this.logger.warn('Shortcode not found', { code });
+      this.audit('lookupFailed', null, { shortcode: code, domain });
+      return { status: 'missing', urlData: null };
+    }
+
+    if (this.isExpired(urlData)) {
+      this.logger.warn('URL expired', { code });
+      if (!this.auditLog.hasExpiry(urlData.id, urlData.expires)) {
+        this.auditLog.record(this.expiryEvent(urlData));
+      }
+      return { status: 'expired', urlData };
+    }
+
+    if (urlData.disabled) {
+      this.logger.warn('URL disabled', { code });
+      return { status: 'disabled', urlData };
+    }
+
+    if (this.isScheduled(urlData)) {
+      this.logger.warn('URL not active yet', { code, activates: urlData.activates });
+      return { status: 'scheduled', urlData };
+    }
+
+    if (this.isClickBudgetExhausted(urlData)) {
+      this.logger.warn('URL click limit reached', { code, maxClicks: urlData.maxClicks });
+      return { status: 'exhausted', urlData };
+    }
+
+    if (urlData.passwordHash) {
+      return { status: 'protected', urlData };
+    }
+
+    return { status: 'active', urlData };
+  }
+
+  // Rename tombstones only reserve the code; visiting it answers as an unknown code
+  getLatestExpiredLink(code, domain = null) {
+    return this.loadExpiredLinks()
+      .filter(link => !link.renamed && link.shortcode === code && this.isInDomain(link, domain))
+      .sort((a, b) => b.expires - a.expires)[0] || null;
+  }
+
+  // Which destination a visit goes to, per the link's routing rules: { destination, branch }.
+  // context is the visit's { userAgent, language }; pass the result's branch on to incrementClicks.
+  routeVisit(urlData, context = {}, now = Date.now()) {
+    const route = selectDestination(urlData, context, now);
+    // While the destination is broken, visits meant for it go to the fallback; rule destinations are left alone
+    if (urlData.fallbackActive && urlData.fallbackUrl && route.destination === urlData.originalUrl) {
+      return { ...route, destination: urlData.fallbackUrl };
+    }
+    return route;
+  }
+
+  // Where a visit goes: the destination (originalUrl unless routeVisit picked another), plus the visit's
+  // query parameters when the link forwards them
+  getRedirectTarget(urlData, params = '', destination = urlData.originalUrl) {
+    return urlData.forwardQuery ? forwardQuery(destination, params) : destination;
+  }
+
+  // The error matching a resolveShortcode status that can't be followed, or null
+  errorForStatus(status) {
+    const errors = {
+      missing: [ErrorCodes.NOT_FOUND, 'Short URL not found'],
+      expired: [ErrorCodes.EXPIRED, 'Short URL has expired'],
+      disabled: [ErrorCodes.DISABLED, 'Short URL is disabled'],
+      scheduled: [ErrorCodes.NOT_YET_ACTIVE, 'Short URL is not active yet'],
+      exhausted: [ErrorCodes.CLICK_LIMIT_REACHED, 'Short URL has reached its click limit']
+    };
+    return errors[status] ? new URLError(...errors[status]) : null;
+  }
+
+  // Check the password of a protected link; returns the record to redirect to
+  unlockShortUrl(code, password, domain = null) {
+    const { status, urlData } = this.resolveShortcode(code, domain);
+
+    const error = this.errorForStatus(status);
+    if (error) throw error;
+
+    if (status === 'protected' && !verifyPassword(password, urlData.passwordHash)) {
+      this.logger.warn('Wrong password for protected URL', { code });
+      throw new URLError(ErrorCodes.WRONG_PASSWORD, 'Incorrect password');
+    }
+
+    this.logger.info('Protected URL unlocked', { code });
+    return urlData;
+  }
+
+  findForChange(urls, code, action, domain = null) {
+    const urlData = this.findInDomain(urls, code, domain);
+
+    if (!urlData) {
+      this.logger.error(`${action} failed, shortcode not found`, { code, domain });
+      this.audit('lookupFailed', null, { shortcode: code, domain, details: { action } });
+      throw new URLError(ErrorCodes.NOT_FOUND, 'Short URL not found');
+    }
+    if (!this.canManage(urlData)) {
+      this.logger.warn(`${action} refused, link belongs to another user`, { code, domain, user: this.user.id });
+      throw new URLError(ErrorCodes.FORBIDDEN, 'You can only change your own links');
+    }
+    return urlData;
+  }
+
+  // Change the destination, validity (minutes counted from now, or an absolute expiresAt), activation time, shortcode,
+  // password, click limit, redirect mode, query forwarding, routing rules, title, notes, tags, campaign or fallback URL of a link.
+  // minutes: null makes it never expire; activatesAt / password / maxClicks set to null remove the schedule / protection / limit.
+  updateShortUrl(code, changes = {}, domain = null) {
+    const { password, ...loggable } = changes;
+    this.logger.info('Updating short URL', { code, domain, changes: loggable, passwordChanged: password !== undefined });
+
+    const urls = this.loadUrls();
+    const urlData = this.findForChange(urls, code, 'Update', domain);
+    const before = this.toPublic(urlData);
+
+    // A new destination starts with a clean health record, dropped once every change has passed validation
+    let destinationChanged = false;
+    if (changes.originalUrl !== undefined) {
+      const originalUrl = this.assertValidUrl(changes.originalUrl);
+      destinationChanged = originalUrl !== urlData.originalUrl;
+      urlData.originalUrl = originalUrl;
+    }
+
+    if (changes.fallbackUrl !== undefined) {
+      urlData.fallbackUrl = changes.fallbackUrl ? this.assertValidUrl(changes.fallbackUrl) : null;
+    }
+    if (changes.originalUrl !== undefined || changes.fallbackUrl !== undefined) {
+      urlData.fallbackActive = Boolean(urlData.fallbackUrl) && !destinationChanged && this.health.state(urlData.id) === 'broken';
+    }
+
+    if (changes.expiresAt !== undefined && changes.expiresAt !== null) {
+      urlData.expires = this.resolveExpiry(null, changes.expiresAt);
+    } else if (changes.minutes !== undefined) {
+      urlData.expires = this.resolveExpiry(changes.minutes);
+    }
+
+    if (changes.activatesAt !== undefined) {
+      urlData.activates = this.resolveActivation(changes.activatesAt, urlData.expires);
+    } else {
+      this.assertActivationBeforeExpiry(urlData.activates ?? null, urlData.expires);
+    }
+
+    if (password !== undefined) {
+      if (password !== null) this.assertValidPassword(password);
+      urlData.passwordHash = password === null ? null : hashPassword(password);
+    }
+
+    if (changes.maxClicks !== undefined) {
+      if (changes.maxClicks !== null) this.assertValidMaxClicks(changes.maxClicks);
+      urlData.maxClicks = changes.maxClicks;
+    }
+
+    if (changes.redirectMode !== undefined) {
+      this.assertValidRedirectMode(changes.redirectMode);
+      urlData.redirectMode = changes.redirectMode;
+    }
+
+    if (changes.forwardQuery !== undefined) {
+      urlData.forwardQuery = Boolean(changes.forwardQuery);
+    }
+
+    if (changes.rules !== undefined) {
+      urlData.rules = this.resolveRules(changes.rules);
+    }
+
+    Object.assign(urlData, this.resolveMetadata(changes));
+
+    let remaining = urls;
+    const renamed = changes.shortcode !== undefined && changes.shortcode !== urlData.shortcode;
+    if (renamed) {
+      this.assertAvailableShortcode(changes.shortcode, domain, urlData.id);
+      // Retire any expired record still holding the new code, as createShortUrl does
+      remaining = this.displaceExpired(urls, changes.shortcode, domain, urlData);
+    }
+
+    if (renamed) {
+      this.reserveOldShortcode(urlData, changes.shortcode);
+      urlData.shortcode = changes.shortcode;
+    }
+    if (destinationChanged) this.health.remove(urlData.id);
+    this.saveUrls(remaining);
+    this.logger.info('Short URL updated', this.toPublic(urlData));
+    // A replaced password leaves 'protected' unchanged, so it is noted separately
+    this.audit('updated', urlData, {
+      ...diffRecords(before, this.toPublic(urlData)),
+      details: password !== undefined && password !== null ? { passwordChanged: true } : null
+    });
+    return urlData;
+  }
+
+  // The old code of a renamed link may already be printed or shared, so nobody else can claim it (and
+  // re-point those copies) until the quarantine is over
+  reserveOldShortcode(urlData, newShortcode, now = Date.now()) {
+    const { id, shortcode, domain, owner, created } = urlData;
+    this.saveExpiredLinks([...this.loadExpiredLinks(), { id, shortcode, domain, owner, created, expires: now, renamed: newShortcode }]);
+  }
+
+  // Push the expiry back by `minutes`, counting from now if the link has already lapsed
+  extendExpiry(code, minutes, domain = null) {
+    this.logger.info('Extending short URL', { code, domain, minutes });
+
+    const urls = this.loadUrls();
+    const urlData = this.findForChange(urls, code, 'Extend', domain);
+    this.assertValidMinutes(minutes);
+
+    if (urlData.expires === null) {
+      this.logger.info('Short URL never expires, nothing to extend', { code });
+      return urlData;
+    }
+
+    const before = { expires: urlData.expires };
+    const expires = Math.max(urlData.expires, Date.now()) + (minutes * 60000);
+    this.assertWithinHorizon(expires, ErrorCodes.INVALID_VALIDITY, 'Expiry');
+    urlData.expires = expires;
+    this.saveUrls(urls);
+    this.logger.info('Short URL expiry extended', { code, expires: urlData.expires });
+    this.audit('extended', urlData, { before, after: { expires: urlData.expires }, details: { minutes } });
+    return urlData;
+  }
+
+  // A disabled link keeps its shortcode reserved but stops redirecting until re-enabled
+  setDisabled(code, disabled, domain = null) {
+    const urls = this.loadUrls();
+    const urlData = this.findForChange(urls, code, disabled ? 'Disable' : 'Enable', domain);
+
+    const before = { disabled: urlData.disabled };
+    urlData.disabled = Boolean(disabled);
+    this.saveUrls(urls);
+    this.logger.info(disabled ? 'Short URL disabled' : 'Short URL enabled', { code });
+    this.audit(disabled ? 'disabled' : 'enabled', urlData, { before, after: { disabled: urlData.disabled } });
+    return urlData;
+  }
+
+  deleteShortUrl(code, domain = null) {
+    const urls = this.loadUrls();
+    const urlData = this.findForChange(urls, code, 'Delete', domain);
+
+    this.saveUrls(urls.filter(url => url !== urlData));
+    this.analytics.removeEvents(urlData.id);
+    this.health.remove(urlData.id);
+    this.logger.info('Short URL deleted', { code });
+    this.audit('deleted', urlData, { before: this.toPublic(urlData) });
+    return urlData;
+  }
+
+  // context: { referrer, userAgent, language } describing the visit, and the branch routeVisit chose.
+  // Returns false when the link has used up its click budget and must not be followed.
+  incrementClicks(code, context = {}, domain = null) {
+    const urls = this.loadUrls();
+    const urlData = this.findInDomain(urls, code, domain);
+    if (!urlData) return false;
+
+    if (this.isClickBudgetExhausted(urlData)) {
+      this.logger.warn('Click refused, limit reached', { code, maxClicks: urlData.maxClicks });
+      return false;
+    }
+
+    urlData.clicks++;
+    this.saveUrls(urls);
+    const event = this.analytics.recordClick(urlData, context);
+    this.logger.info('Click recorded', { code, clicks: urlData.clicks, device: event.device, browser: event.browser, branch: event.branch });
+    return true;
+  }
+
+  getClickStats(code, domain = null) {
+    const urlData = this.findInDomain(this.loadUrls(), code, domain);
+    return urlData && this.canManage(urlData) ? this.analytics.summarize(urlData.id) : null;
+  }
+
+  // Destination health from the link checker, see lib/health/LinkHealth.js
+  getLinkHealth(urlData) {
+    return this.health.get(urlData.id);
+  }
+
+  getHealthState(urlData) {
+    return this.health.state(urlData.id);
+  }
+
+  // Every link's health entry by link id, read once for pages that show many links (see healthState)
+  getHealthEntries() {
+    return this.health.load();
+  }
+
+  // Links the link checker probes: every unexpired, enabled link, whoever owns it
+  getLinksToCheck() {
+    return this.loadUrls().filter(url => !this.isExpired(url) && !url.disabled);
+  }
+
+  // Store a check made by the link checker and switch the link to or from its fallback URL as its state changes.
+  // Returns the link's health entry, or null when the link has gone in the meantime.
+  recordHealthCheck(linkId, check, failureThreshold = DEFAULT_HEALTH_POLICY.failureThreshold) {
+    const urls = this.loadUrls();
+    const urlData = urls.find(url => url.id === linkId);
+    if (!urlData) return null;
+
+    const previous = this.health.state(linkId);
+    const entry = this.health.record(linkId, check, failureThreshold);
+    if (entry.state === previous) return entry;
+
+    if (entry.state === 'broken') {
+      this.logger.warn('Destination broken', { code: urlData.shortcode, destination: urlData.originalUrl, result: describeCheck(check) });
+    } else if (previous === 'broken') {
+      this.logger.info('Destination recovered', { code: urlData.shortcode, destination: urlData.originalUrl });
+    }
+
+    const fallbackActive = entry.state === 'broken' && Boolean(urlData.fallbackUrl);
+    if (fallbackActive !== Boolean(urlData.fallbackActive)) {
+      urlData.fallbackActive = fallbackActive;
+      this.saveUrls(urls);
+      this.audit(fallbackActive ? 'fallbackOn' : 'fallbackOff', urlData, {
+        before: { fallbackActive: !fallbackActive },
+        after: { fallbackActive },
+        details: { destination: urlData.originalUrl, fallbackUrl: urlData.fallbackUrl, result: describeCheck(check) }
+      });
+    }
+    return entry;
+  }
+
+  getStatus(urlData) {
+    if (this.isExpired(urlData)) return 'expired';
+    if (urlData.disabled) return 'disabled';
+    if (this.isScheduled(urlData)) return 'scheduled';
+    if (this.isClickBudgetExhausted(urlData)) return 'exhausted';
+    return 'active';
+  }
+
+  // Create links from parsed import rows (see lib/bulk.js), collecting per-row errors instead of stopping at the first.
+  // options.domain issues every imported link on that host.
+  importUrls(rows, options = {}) {
+    this.logger.info('Importing short URLs', { count: rows.length });
+    const created = [];
+    const errors = [];
+
+    rows.forEach(({ row, url, minutes, expiresAt, code }) => {
+      try {
+        created.push(this.createShortUrl(url, minutes, code || null, { domain: options.domain, expiresAt }));
+      } catch (error) {
+        errors.push({ row, url, errorCode: error.code, message: error.message });
+      }
+    });
+
+    this.logger.info('Import finished', { created: created.length, failed: errors.length });
+    return { created, errors };
+  }
+
+  // Flat records of every link and its click stats, for CSV / JSON export
+  getExportRecords() {
+    const lastClicks = this.analytics.getLastClicks();
+    const campaignNames = new Map(this.loadCampaigns().map(campaign => [campaign.id, campaign.name]));
+    const healthEntries = this.getHealthEntries();
+
+    return this.getAllUrls().map(urlData => {
+      const lastClick = lastClicks.get(urlData.id);
+      return {
+        shortcode: urlData.shortcode,
+        originalUrl: urlData.originalUrl,
+        shortUrl: this.getShortUrl(urlData),
+        domain: urlData.domain || this.getDefaultDomain(),
+        status: this.getStatus(urlData),
+        created: new Date(urlData.created).toISOString(),
+        expires: urlData.expires === null ? '' : new Date(urlData.expires).toISOString(),
+        activates: urlData.activates ? new Date(urlData.activates).toISOString() : '',
+        clicks: urlData.clicks,
+        maxClicks: urlData.maxClicks ?? '',
+        protected: Boolean(urlData.passwordHash),
+        title: urlData.title || '',
+        tags: (urlData.tags || []).join(';'),
+        campaign: campaignNames.get(urlData.campaign) || '',
+        health: healthState(healthEntries[urlData.id]),
+        lastClick: lastClick ? new Date(lastClick).toISOString() : ''
+      };
+    });
+  }
+
+  // Links visible to the manager's user
+  getAllUrls() {
+    return this.loadUrls().filter(url => this.canManage(url));
+  }
+
+  getAllActiveUrls() {
+    return this.getAllUrls().filter(url => !this.isExpired(url));
+  }
+}
+
+export default URLManager;
@@ -0,0 +1,120 @@
+import { classifyUserAgent, primaryLanguage, referrerHost } from './userAgent.js';
+import { DEFAULT_BRANCH } from '../routing/rules.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_REFERRER_LENGTH = 300;
+
+// Every click rewrites the whole list, so only the newest events are kept, per link and overall.
+// A link's clicks counter stays exact; the breakdowns describe the visits still kept.
+export const MAX_CLICK_EVENTS_PER_LINK = 500;
+export const MAX_CLICK_EVENTS = 10000;
+
+// Per-visit click events, kept next to the links in the same storage adapter.
+// Events reference the link's id rather than its shortcode so renames keep their history.
+// The user agent is stored as its classification only (device, browser, os), not the raw string.
+export class ClickAnalytics {
+  constructor(storage, { capacity = MAX_CLICK_EVENTS, linkCapacity = MAX_CLICK_EVENTS_PER_LINK } = {}) {
+    this.storage = storage;
+    this.capacity = capacity;
+    this.linkCapacity = linkCapacity;
+  }
+
+  loadEvents() {
+    return this.storage.get('clickEvents') || [];
+  }
+
+  saveEvents(events) {
+    this.storage.set('clickEvents', events);
+  }
+
+  recordClick(urlData, context = {}) {
+    const event = {
+      id: String(Date.now() + Math.random()),
+      urlId: urlData.id,
+      shortcode: urlData.shortcode,
+      timestamp: Date.now(),
+      referrer: (context.referrer || '').slice(0, MAX_REFERRER_LENGTH),
+      language: primaryLanguage(context.language),
+      ...classifyUserAgent(context.userAgent || ''),
+      // The routing rule that picked the destination (see lib/routing/rules.js); null for links without rules
+      branch: context.branch || null
+    };
+
+    const events = [...this.loadEvents(), event];
+    const linkEvents = events.filter(candidate => candidate.urlId === urlData.id);
+    const dropped = new Set(linkEvents.slice(0, Math.max(0, linkEvents.length - this.linkCapacity)));
+    const kept = events.filter(candidate => !dropped.has(candidate));
+    this.saveEvents(kept.length > this.capacity ? kept.slice(kept.length - this.capacity) : kept);
+    return event;
+  }
+
+  getEvents(urlId) {
+    return this.loadEvents().filter(event => event.urlId === urlId);
+  }
+
+  // Map of urlId -> timestamp of its most recent click
+  getLastClicks() {
+    const lastClicks = new Map();
+    this.loadEvents().forEach(event => {
+      if (event.timestamp > (lastClicks.get(event.urlId) || 0)) {
+        lastClicks.set(event.urlId, event.timestamp);
+      }
+    });
+    return lastClicks;
+  }
+
+  removeEvents(urlId) {
+    this.saveEvents(this.loadEvents().filter(event => event.urlId !== urlId));
+  }
+
+  // Aggregate a link's events into the shapes the Statistics detail view renders
+  summarize(urlId, days = 14) {
+    const events = this.getEvents(urlId);
+
+    const countBy = (keyOf) => {
+      const counts = new Map();
+      events.forEach(event => {
+        const key = keyOf(event);
+        counts.set(key, (counts.get(key) || 0) + 1);
+      });
+      return [...counts.entries()]
+        .map(([name, count]) => ({ name, count }))
+        .sort((a, b) => b.count - a.count);
+    };
+
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    const timeline = [];
+    for (let i = days - 1; i >= 0; i--) {
+      const start = today.getTime() - (i * DAY_MS);
+      timeline.push({
+        date: start,
+        count: events.filter(event => event.timestamp >= start && event.timestamp < start + DAY_MS).length
+      });
+    }
+
+    return {
+      total: events.length,
+      lastClick: events.length > 0 ? Math.max(...events.map(event => event.timestamp)) : null,
+      timeline,
+      referrers: countBy(event => referrerHost(event.referrer)),
+      devices: countBy(event => event.device),
+      browsers: countBy(event => event.browser),
+      operatingSystems: countBy(event => event.os),
+      languages: countBy(event => event.language),
+      branches: countBy(event => event.branch || DEFAULT_BRANCH),
+      recent: [...events].sort((a, b) => b.timestamp - a.timestamp).slice(0, 10)
+    };
+  }
+}
+
+// Click context for visits that happen inside the SPA itself
+export function getBrowserClickContext() {
+  return {
+    referrer: document.referrer,
+    userAgent: navigator.userAgent,
+    language: navigator.language
+  };
+}
+
+export default ClickAnalytics;
@@ -0,0 +1,43 @@
+import { describe, expect, it } from 'vitest';
+import { ClickAnalytics, MAX_CLICK_EVENTS_PER_LINK } from './ClickAnalytics.js';
+import { MemoryStorage } from '../storage/index.js';
+
+const IPHONE = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 Mobile/15E148 Safari/604.1';
+
+describe('ClickAnalytics', () => {
+  it('keeps the newest events per link and overall', () => {
+    const analytics = new ClickAnalytics(new MemoryStorage(), { capacity: 5, linkCapacity: 3 });
+    const busy = { id: 'busy', shortcode: 'busy' };
+    const quiet = { id: 'quiet', shortcode: 'quiet' };
+
+    analytics.recordClick(quiet, { referrer: 'https://first.example' });
+    for (let i = 0; i < 6; i++) {
+      analytics.recordClick(busy, { referrer: `https://busy.example/${i}` });
+    }
+    expect(analytics.getEvents('busy').map(event => event.referrer)).toEqual(['https://busy.example/3', 'https://busy.example/4', 'https://busy.example/5']);
+    expect(analytics.getEvents('quiet')).toHaveLength(1);
+
+    analytics.recordClick(quiet, {});
+    analytics.recordClick(quiet, {});
+    expect(analytics.loadEvents()).toHaveLength(5);
+    expect(analytics.getEvents('quiet').map(event => event.referrer)).toEqual(['', '']);
+  });
+
+  it('stores the classified user agent rather than the raw string', () => {
+    const analytics = new ClickAnalytics(new MemoryStorage());
+    const event = analytics.recordClick({ id: 'a', shortcode: 'a' }, { userAgent: IPHONE, referrer: `https://example.com/${'x'.repeat(1000)}` });
+
+    expect(event).toMatchObject({ device: 'mobile', os: 'iOS' });
+    expect(JSON.stringify(analytics.loadEvents())).not.toContain('AppleWebKit');
+    expect(event.referrer.length).toBeLessThan(1000);
+  });
+
+  it('caps a busy link at its default budget', () => {
+    const analytics = new ClickAnalytics(new MemoryStorage());
+    const link = { id: 'a', shortcode: 'a' };
+    for (let i = 0; i < MAX_CLICK_EVENTS_PER_LINK + 50; i++) {
+      analytics.recordClick(link, {});
+    }
+    expect(analytics.summarize('a').total).toBe(MAX_CLICK_EVENTS_PER_LINK);
+  });
+});
@@ -0,0 +1,64 @@
+// Coarse user-agent classification for click analytics. Deliberately rough:
+// good enough for a device/browser breakdown, not for feature detection.
+
+const BOT_PATTERN = /bot|crawl|spider|slurp|preview|facebookexternalhit|curl|wget|python-requests|node-fetch/i;
+
+const BROWSERS = [
+  ['Edge', /Edg(e|A|iOS)?\//],
+  ['Opera', /OPR\/|Opera/],
+  ['Samsung Internet', /SamsungBrowser/],
+  ['Chrome', /Chrome\/|CriOS/],
+  ['Firefox', /Firefox\/|FxiOS/],
+  ['Safari', /Version\/.*Safari/]
+];
+
+const OPERATING_SYSTEMS = [
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Android', /Android/],
+  ['Windows', /Windows/],
+  ['ChromeOS', /CrOS/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['Linux', /Linux/]
+];
+
+const firstMatch = (table, userAgent) => {
+  const entry = table.find(([, pattern]) => pattern.test(userAgent));
+  return entry ? entry[0] : 'Other';
+};
+
+export function classifyUserAgent(userAgent = '') {
+  if (!userAgent) {
+    return { device: 'unknown', browser: 'Other', os: 'Other' };
+  }
+
+  let device = 'desktop';
+  if (BOT_PATTERN.test(userAgent)) {
+    device = 'bot';
+  } else if (/iPad|Tablet|Android(?!.*Mobile)/i.test(userAgent)) {
+    device = 'tablet';
+  } else if (/Mobi|iPhone|iPod/i.test(userAgent)) {
+    device = 'mobile';
+  }
+
+  return {
+    device,
+    browser: firstMatch(BROWSERS, userAgent),
+    os: firstMatch(OPERATING_SYSTEMS, userAgent)
+  };
+}
+
+// 'en-GB,en;q=0.9' -> 'en-GB'
+export function primaryLanguage(acceptLanguage = '') {
+  const tag = acceptLanguage.split(',')[0].split(';')[0].trim();
+  return tag || 'unknown';
+}
+
+// 'https://news.example.com/post/1' -> 'news.example.com'; empty referrers count as direct traffic
+export function referrerHost(referrer = '') {
+  if (!referrer) return 'Direct';
+  try {
+    return new URL(referrer).hostname || 'Direct';
+  } catch {
+    return 'Direct';
+  }
+}
@@ -0,0 +1,138 @@
+import { toCsv } from '../bulk.js';
+
+// Who did what to which link, kept under 'auditEvents' next to the links.
+// Events copy the link's shortcode and domain as well as its id so they stay readable after the link is gone.
+// actor is { id, username } of the signed-in user or API key owner; null means the system or an anonymous visitor.
+
+export const AUDIT_ACTIONS = {
+  created: 'Created',
+  updated: 'Edited',
+  extended: 'Extended',
+  disabled: 'Disabled',
+  enabled: 'Enabled',
+  expired: 'Expired',
+  archived: 'Archived',
+  purged: 'Purged',
+  deleted: 'Deleted',
+  lookupFailed: 'Failed lookup',
+  collision: 'Shortcode collision',
+  fallbackOn: 'Switched to fallback',
+  fallbackOff: 'Back to destination'
+};
+
+// Oldest events are dropped past this
+export const MAX_AUDIT_EVENTS = 2000;
+
+// Failed lookups (mostly scanners probing for codes) are capped separately, so a burst of them
+// can't push the history of real changes out of the log
+export const MAX_FAILED_LOOKUPS = 200;
+const isFailedLookup = (event) => event.action === 'lookupFailed';
+
+const latest = (events, capacity) => (events.length > capacity ? events.slice(events.length - capacity) : events);
+
+export const AUDIT_EXPORT_COLUMNS = ['timestamp', 'action', 'actor', 'shortcode', 'domain', 'linkId', 'before', 'after', 'details'];
+
+// The fields that differ between two record snapshots, as { before, after }
+export function diffRecords(before, after) {
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+  const changed = [...keys].filter(key => JSON.stringify(before[key]) !== JSON.stringify(after[key]));
+  return {
+    before: Object.fromEntries(changed.map(key => [key, before[key] ?? null])),
+    after: Object.fromEntries(changed.map(key => [key, after[key] ?? null]))
+  };
+}
+
+export const actorName = (event) => (event.actor ? event.actor.username || event.actor.id : 'system');
+
+// Flat rows for CSV / JSON export
+export function toAuditExportRecords(events) {
+  const json = (value) => (value === null || value === undefined ? '' : JSON.stringify(value));
+  return events.map(event => ({
+    timestamp: new Date(event.timestamp).toISOString(),
+    action: event.action,
+    actor: actorName(event),
+    shortcode: event.shortcode || '',
+    domain: event.domain || '',
+    linkId: event.linkId || '',
+    before: json(event.before),
+    after: json(event.after),
+    details: json(event.details)
+  }));
+}
+
+// Same envelope as exportLinks in lib/bulk.js
+export function exportAuditEvents(events, format) {
+  const records = toAuditExportRecords(events);
+  if (format === 'json') {
+    return JSON.stringify({ exported: new Date().toISOString(), data: records }, null, 2);
+  }
+  return toCsv(records, AUDIT_EXPORT_COLUMNS);
+}
+
+export class AuditLog {
+  constructor(storage, { capacity = MAX_AUDIT_EVENTS, lookupCapacity = MAX_FAILED_LOOKUPS } = {}) {
+    this.storage = storage;
+    this.capacity = capacity;
+    this.lookupCapacity = lookupCapacity;
+  }
+
+  loadEvents() {
+    return this.storage.get('auditEvents') || [];
+  }
+
+  saveEvents(events) {
+    const kept = new Set([
+      ...latest(events.filter(event => !isFailedLookup(event)), this.capacity),
+      ...latest(events.filter(isFailedLookup), this.lookupCapacity)
+    ]);
+    this.storage.set('auditEvents', events.filter(event => kept.has(event)));
+  }
+
+  createEvent({ action, actor = null, linkId = null, shortcode = null, domain = null, before = null, after = null, details = null, timestamp = Date.now() }) {
+    return {
+      id: String(Date.now() + Math.random()),
+      timestamp,
+      action,
+      actor: actor ? { id: actor.id, username: actor.username || null } : null,
+      linkId,
+      shortcode,
+      domain,
+      before,
+      after,
+      details
+    };
+  }
+
+  record(entry) {
+    return this.recordAll([entry])[0];
+  }
+
+  // One storage write for a batch of events
+  recordAll(entries) {
+    const created = entries.map(entry => this.createEvent(entry));
+    if (created.length > 0) {
+      this.saveEvents([...this.loadEvents(), ...created]);
+    }
+    return created;
+  }
+
+  // Expiry is noticed lazily, so each lapse (link id + expiry time) is recorded once
+  hasExpiry(linkId, expires) {
+    return this.loadEvents().some(event => event.action === 'expired' && event.linkId === linkId && event.after && event.after.expires === expires);
+  }
+
+  // filters: { action, actor (user id or 'system'), search, since, until (ms) }; newest first
+  query(filters = {}) {
+    const search = (filters.search || '').trim().toLowerCase();
+
+    return this.loadEvents()
+      .filter(event => !filters.action || event.action === filters.action)
+      .filter(event => !filters.actor || (event.actor ? event.actor.id : 'system') === filters.actor)
+      .filter(event => !filters.since || event.timestamp >= filters.since)
+      .filter(event => !filters.until || event.timestamp < filters.until)
+      .filter(event => !search || JSON.stringify([event.shortcode, event.domain, event.before, event.after, event.details, actorName(event)]).toLowerCase().includes(search))
+      .sort((a, b) => b.timestamp - a.timestamp);
+  }
+}
+
+export default AuditLog;
@@ -0,0 +1,165 @@
+// Bulk import / export of links as CSV or JSON.
+
+export const MAX_IMPORT_ROWS = 1000;
+
+const FIELD_ALIASES = {
+  url: ['url', 'originalurl', 'destination'],
+  minutes: ['minutes', 'validity'],
+  expires: ['expires', 'expiresat'],
+  code: ['code', 'shortcode', 'customcode']
+};
+
+// RFC 4180-style CSV: quoted fields, doubled quotes, CRLF or LF line endings
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+// Spreadsheets run text starting with = + - @ (or a tab / carriage return before one) as a formula,
+// so such cells get a leading ' to keep user-entered titles and tags as plain text
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const csvCell = (value) => {
+  const raw = value === null || value === undefined ? '' : String(value);
+  const text = typeof value === 'string' && FORMULA_START.test(raw) ? `'${raw}` : raw;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export function toCsv(records, columns) {
+  const lines = [columns.map(csvCell).join(',')];
+  records.forEach(record => {
+    lines.push(columns.map(column => csvCell(record[column])).join(','));
+  });
+  return lines.join('\r\n');
+}
+
+const canonicalField = (name) => {
+  const normalized = String(name).trim().toLowerCase().replace(/[\s_-]/g, '');
+  return Object.keys(FIELD_ALIASES).find(field => FIELD_ALIASES[field].includes(normalized)) || null;
+};
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+// minutes wins over an absolute expires date; an expires column left empty (how exports write
+// never-expiring links) means the link never expires, and with neither the link lives 30 minutes
+const toImportRow = (source, row) => {
+  const hasExpires = source.expires !== undefined && isBlank(source.minutes);
+  return {
+    row,
+    url: String(source.url ?? '').trim(),
+    minutes: hasExpires ? null : isBlank(source.minutes) ? 30 : Number(source.minutes),
+    expiresAt: hasExpires && !isBlank(source.expires) ? String(source.expires).trim() : null,
+    code: String(source.code ?? '').trim()
+  };
+};
+
+function rowsFromCsv(text) {
+  const table = parseCsv(text);
+  if (table.length === 0) return [];
+
+  // With a header row columns may come in any order; without one they are url, minutes, code
+  const header = table[0].map(canonicalField);
+  const hasHeader = header.includes('url');
+  const fields = hasHeader ? header : ['url', 'minutes', 'code'];
+  const body = hasHeader ? table.slice(1) : table;
+  const firstRow = hasHeader ? 2 : 1;
+
+  return body.map((cells, index) => {
+    const source = {};
+    fields.forEach((field, column) => {
+      if (field) source[field] = cells[column];
+    });
+    return toImportRow(source, firstRow + index);
+  });
+}
+
+function rowsFromJson(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    throw new Error('File is not valid JSON');
+  }
+
+  // Accept a bare array, or the { data: [...] } shape of the REST API and JSON export
+  const items = Array.isArray(parsed) ? parsed : parsed && Array.isArray(parsed.data) ? parsed.data : null;
+  if (!items) {
+    throw new Error('JSON import must be an array of links');
+  }
+
+  return items.map((item, index) => {
+    const source = {};
+    if (item && typeof item === 'object') {
+      Object.entries(item).forEach(([key, value]) => {
+        const field = canonicalField(key);
+        if (field && source[field] === undefined) source[field] = value;
+      });
+    }
+    return toImportRow(source, index + 1);
+  });
+}
+
+export function detectFormat(text, fileName = '') {
+  if (/\.json$/i.test(fileName)) return 'json';
+  if (/\.csv$/i.test(fileName)) return 'csv';
+  return /^\s*[[{]/.test(text) ? 'json' : 'csv';
+}
+
+// Parse an import file into { row, url, minutes, expiresAt, code } entries; row numbers match the source file
+export function parseImport(text, format = detectFormat(text)) {
+  const rows = format === 'json' ? rowsFromJson(text) : rowsFromCsv(text);
+
+  if (rows.length === 0) {
+    throw new Error('No links found to import');
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new Error(`Imports are limited to ${MAX_IMPORT_ROWS} links at a time`);
+  }
+  return rows;
+}
+
+export const EXPORT_COLUMNS = ['shortcode', 'originalUrl', 'shortUrl', 'domain', 'status', 'created', 'expires', 'activates', 'clicks', 'maxClicks', 'protected', 'title', 'tags', 'campaign', 'health', 'lastClick'];
+
+export function exportLinks(records, format) {
+  if (format === 'json') {
+    return JSON.stringify({ exported: new Date().toISOString(), data: records }, null, 2);
+  }
+  return toCsv(records, EXPORT_COLUMNS);
+}
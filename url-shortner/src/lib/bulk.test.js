@@ -0,0 +1,58 @@
+import { beforeAll, describe, expect, it } from 'vitest';
+import { exportLinks, parseCsv, parseImport } from './bulk.js';
+import { URLManager } from './URLManager.js';
+import { configureLogging } from './Logger.js';
+import { MemoryStorage } from './storage/index.js';
+
+const createManager = () => new URLManager(new MemoryStorage(), { domains: ['https://sho.rt'] });
+const expiries = (manager) => Object.fromEntries(manager.getAllUrls().map(url => [url.shortcode, url.expires]));
+
+beforeAll(() => {
+  configureLogging({ level: 'silent' });
+});
+
+describe('bulk import', () => {
+  it('defaults to 30 minutes and reads minutes or an expires date', () => {
+    const rows = parseImport('url,minutes,expires,code\nhttps://a.example,,,a\nhttps://b.example,60,2030-01-01T00:00:00.000Z,b\nhttps://c.example,,2030-01-01T00:00:00.000Z,c');
+    expect(rows.map(({ minutes, expiresAt }) => [minutes, expiresAt])).toEqual([
+      [null, null],
+      [60, null],
+      [null, '2030-01-01T00:00:00.000Z']
+    ]);
+    expect(parseImport('https://d.example,15,d')[0]).toMatchObject({ minutes: 15, expiresAt: null });
+    expect(parseImport('url\nhttps://e.example')[0]).toMatchObject({ minutes: 30, expiresAt: null });
+  });
+
+  it.each(['csv', 'json'])('keeps expiry dates through a %s export and re-import', (format) => {
+    const source = createManager();
+    source.createShortUrl('https://example.com/week', 7 * 24 * 60, 'week');
+    source.createShortUrl('https://example.com/forever', null, 'forever');
+    source.createShortUrl('https://example.com/fixed', 30, 'fixed', { expiresAt: '2031-06-01T12:00:00.000Z' });
+
+    const target = createManager();
+    const { created, errors } = target.importUrls(parseImport(exportLinks(source.getExportRecords(), format), format));
+
+    expect(errors).toEqual([]);
+    expect(created).toHaveLength(3);
+    expect(expiries(target)).toEqual(expiries(source));
+  });
+});
+
+describe('CSV export', () => {
+  it('keeps titles, tags and campaigns that look like formulas as plain text', () => {
+    const manager = createManager();
+    const campaign = manager.createCampaign('-2+3');
+    manager.createShortUrl('https://example.com/a', 30, 'formula', {
+      title: '=HYPERLINK("https://evil.example","Click")',
+      tags: ['@sum', 'plus'],
+      campaign: campaign.id
+    });
+
+    const [header, row] = parseCsv(exportLinks(manager.getExportRecords(), 'csv'));
+    const cell = (name) => row[header.indexOf(name)];
+    expect(cell('title')).toBe(`'=HYPERLINK("https://evil.example","Click")`);
+    expect(cell('tags')).toBe("'@sum;plus");
+    expect(cell('campaign')).toBe("'-2+3");
+    expect(cell('clicks')).toBe('0');
+  });
+});
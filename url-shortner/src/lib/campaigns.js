@@ -0,0 +1,67 @@
+import { ErrorCodes, URLError } from './errors.js';
+
+// Link metadata for keeping links organised: a title, free-form notes, tags, and the campaign a link belongs to.
+// Campaigns are kept under 'campaigns' as { id, name, description, owner, created }; a link stores the id.
+
+export const MAX_TAGS = 10;
+export const MAX_TAG_LENGTH = 30;
+export const MAX_TITLE_LENGTH = 100;
+export const MAX_NOTES_LENGTH = 1000;
+export const MAX_CAMPAIGN_NAME_LENGTH = 60;
+
+// The Statistics filter value for links outside any campaign
+export const NO_CAMPAIGN = 'none';
+
+const invalid = (message) => new URLError(ErrorCodes.INVALID_METADATA, message);
+
+// Trimmed text of at most `max` characters; null and undefined become ''
+export function normalizeText(value, name, max) {
+  if (value === null || value === undefined) return '';
+  if (typeof value !== 'string') throw invalid(`${name} must be text`);
+  const text = value.trim();
+  if (text.length > max) throw invalid(`${name} must be at most ${max} characters`);
+  return text;
+}
+
+// Lower-cased, single-spaced and de-duplicated, so 'Spring Sale' and 'spring  sale' are one tag
+export function normalizeTags(tags) {
+  if (tags === null || tags === undefined) return [];
+  if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) throw invalid('Tags must be a list of text');
+
+  const normalized = [...new Set(tags.map(tag => tag.trim().replace(/\s+/g, ' ').toLowerCase()).filter(Boolean))];
+  if (normalized.length > MAX_TAGS) throw invalid(`A link can have at most ${MAX_TAGS} tags`);
+  if (normalized.some(tag => tag.length > MAX_TAG_LENGTH)) throw invalid(`Tags must be at most ${MAX_TAG_LENGTH} characters`);
+  return normalized;
+}
+
+// 'launch, Spring Sale' from a text input -> ['launch', 'Spring Sale']; normalizeTags does the rest
+export const parseTagList = (text) => text.split(',').map(tag => tag.trim()).filter(Boolean);
+
+export function normalizeCampaignName(name) {
+  const text = typeof name === 'string' ? name.trim() : '';
+  if (!text || text.length > MAX_CAMPAIGN_NAME_LENGTH) {
+    throw new URLError(ErrorCodes.INVALID_CAMPAIGN, `Campaign name must be 1-${MAX_CAMPAIGN_NAME_LENGTH} characters`);
+  }
+  return text;
+}
+
+// Every tag used by `urls`, alphabetically
+export function collectTags(urls) {
+  return [...new Set(urls.flatMap(url => url.tags || []))].sort();
+}
+
+// Per-campaign totals for the Statistics page: [{ campaign, links, activeLinks, clicks }], largest first,
+// with links outside any campaign last as campaign null. isActive is URLManager's status check.
+export function summarizeCampaigns(campaigns, urls, isActive) {
+  const groups = [...campaigns.map(campaign => ({ campaign, urls: urls.filter(url => url.campaign === campaign.id) }))]
+    .sort((a, b) => b.urls.length - a.urls.length || a.campaign.name.localeCompare(b.campaign.name));
+  const known = new Set(campaigns.map(campaign => campaign.id));
+  groups.push({ campaign: null, urls: urls.filter(url => !known.has(url.campaign)) });
+
+  return groups.map(group => ({
+    campaign: group.campaign,
+    links: group.urls.length,
+    activeLinks: group.urls.filter(isActive).length,
+    clicks: group.urls.reduce((sum, url) => sum + url.clicks, 0)
+  }));
+}
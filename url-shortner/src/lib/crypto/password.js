@@ -0,0 +1,35 @@
+import { sha256, toHex } from './sha256.js';
+
+const ITERATIONS = 5000;
+
+const randomSalt = () => toHex(crypto.getRandomValues(new Uint8Array(16)));
+
+// Salted, iterated SHA-256. Stored as "sha256$<iterations>$<salt>$<hash>" so the cost can be
+// raised later without invalidating existing hashes.
+export function hashPassword(password, salt = randomSalt(), iterations = ITERATIONS) {
+  const encoder = new TextEncoder();
+  let digest = sha256(encoder.encode(`${salt}:${password}`));
+  for (let i = 1; i < iterations; i++) {
+    const next = new Uint8Array(digest.length + salt.length);
+    next.set(digest);
+    next.set(encoder.encode(salt), digest.length);
+    digest = sha256(next);
+  }
+  return `sha256$${iterations}$${salt}$${toHex(digest)}`;
+}
+
+export function verifyPassword(password, stored) {
+  if (typeof password !== 'string' || typeof stored !== 'string') return false;
+
+  const [scheme, iterations, salt, expected] = stored.split('$');
+  if (scheme !== 'sha256' || !salt || !expected) return false;
+
+  const actual = hashPassword(password, salt, Number(iterations)).split('$')[3];
+
+  // Compare every character so timing doesn't reveal how much of the hash matched
+  let mismatch = actual.length ^ expected.length;
+  for (let i = 0; i < expected.length; i++) {
+    mismatch |= actual.charCodeAt(i) ^ expected.charCodeAt(i);
+  }
+  return mismatch === 0;
+}
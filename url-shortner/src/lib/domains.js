@@ -0,0 +1,53 @@
+import { ErrorCodes, URLError } from './errors.js';
+
+// Public base URLs short links are issued on. The first configured one is the default;
+// each link records the host it was issued on and shortcodes are unique per host.
+//
+// Defaults come from the build (VITE_BASE_URL, VITE_BRANDED_DOMAINS) or the server env, and
+// can be replaced at runtime from the Settings page, which stores them under 'domains'.
+
+const FALLBACK_BASE_URL = typeof window !== 'undefined' ? window.location.origin : 'http://localhost:3000';
+
+const splitList = (value) => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+// Base URLs baked in at build time; empty outside a Vite build
+export function getBuildTimeDomains() {
+  const env = import.meta.env || {};
+  const domains = [...splitList(env.VITE_BASE_URL), ...splitList(env.VITE_BRANDED_DOMAINS)];
+  return domains.length > 0 ? domains : [FALLBACK_BASE_URL];
+}
+
+// Reduce a configured base URL to its origin, e.g. "HTTPS://Go.Example.com/" -> "https://go.example.com"
+export function normalizeBaseUrl(value) {
+  let url;
+  try {
+    url = new URL(String(value).trim());
+  } catch {
+    throw new URLError(ErrorCodes.INVALID_DOMAIN, `"${value}" is not a valid base URL`);
+  }
+
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new URLError(ErrorCodes.INVALID_DOMAIN, 'Base URLs must start with http:// or https://');
+  }
+  if (url.pathname !== '/' || url.search || url.hash || url.username || url.password) {
+    throw new URLError(ErrorCodes.INVALID_DOMAIN, `Base URL "${value}" must not have a path, query or credentials`);
+  }
+  return url.origin;
+}
+
+export const hostOf = (baseUrl) => new URL(baseUrl).host;
+
+// Validate and de-duplicate a list of base URLs, keeping order (the first is the default)
+export function normalizeDomainList(baseUrls) {
+  if (!Array.isArray(baseUrls) || baseUrls.length === 0) {
+    throw new URLError(ErrorCodes.INVALID_DOMAIN, 'At least one base URL is required');
+  }
+
+  const seen = new Set();
+  return baseUrls.map(normalizeBaseUrl).filter(baseUrl => {
+    const host = hostOf(baseUrl);
+    if (seen.has(host)) return false;
+    seen.add(host);
+    return true;
+  });
+}
@@ -0,0 +1,12 @@
+// Save generated content as a file through a temporary object URL
+export function downloadFile(fileName, content, type) {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const href = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = href;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(href);
+}
@@ -0,0 +1,55 @@
+// Link lifetimes: minute counts for the creation form's presets, and parsing of absolute times.
+
+export const DURATION_UNITS = { minutes: 1, hours: 60, days: 24 * 60, weeks: 7 * 24 * 60 };
+
+export const DURATION_PRESETS = [
+  { label: '30 minutes', minutes: 30 },
+  { label: '1 hour', minutes: 60 },
+  { label: '1 day', minutes: 24 * 60 },
+  { label: '1 week', minutes: 7 * 24 * 60 },
+  { label: '30 days', minutes: 30 * 24 * 60 },
+  { label: '90 days', minutes: 90 * 24 * 60 },
+  { label: '1 year', minutes: 365 * 24 * 60 }
+];
+
+// Epoch milliseconds from a number, Date or date string; NaN when it isn't a usable time
+export function toTimestamp(value) {
+  if (value instanceof Date) return value.getTime();
+  if (typeof value === 'number') return Number.isFinite(value) ? value : NaN;
+  if (typeof value === 'string' && value.trim()) return new Date(value).getTime();
+  return NaN;
+}
+
+// "2 days 3 hours"; only the two largest units, which is precise enough for a label
+export function describeDuration(minutes) {
+  const parts = [];
+  let rest = minutes;
+  [['week', DURATION_UNITS.weeks], ['day', DURATION_UNITS.days], ['hour', DURATION_UNITS.hours], ['minute', 1]].forEach(([name, size]) => {
+    const count = Math.floor(rest / size);
+    if (count > 0 && parts.length < 2) {
+      parts.push(`${count} ${name}${count === 1 ? '' : 's'}`);
+      rest -= count * size;
+    }
+  });
+  return parts.join(' ') || '0 minutes';
+}
+
+// <input type="datetime-local"> works in local time without a zone
+export function toDateTimeLocal(timestamp) {
+  const date = new Date(timestamp);
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+export const formatExpiry = (expires) => (expires === null ? 'Never' : new Date(expires).toLocaleString());
+
+// State of the ExpiryPicker component: choice is a preset's minutes, 'custom', 'date' or 'never'
+export const DEFAULT_EXPIRY_CHOICE = { choice: '30', amount: 2, unit: 'days', date: '' };
+
+// The { minutes, expiresAt } pair URLManager.createShortUrl / updateShortUrl expect for a picker value
+export function pickerToExpiry({ choice, amount, unit, date }) {
+  if (choice === 'never') return { minutes: null, expiresAt: null };
+  if (choice === 'date') return { minutes: null, expiresAt: date };
+  if (choice === 'custom') return { minutes: Number(amount) * DURATION_UNITS[unit], expiresAt: null };
+  return { minutes: Number(choice), expiresAt: null };
+}
@@ -0,0 +1,46 @@
+// Stable, machine-readable codes for URLManager failures.
+// Messages stay human-readable for the form; the API maps codes to HTTP statuses.
+export const ErrorCodes = {
+  INVALID_URL: 'INVALID_URL',
+  PRIVATE_ADDRESS: 'PRIVATE_ADDRESS',
+  DOMAIN_BLOCKED: 'DOMAIN_BLOCKED',
+  DOMAIN_NOT_ALLOWED: 'DOMAIN_NOT_ALLOWED',
+  REDIRECT_LOOP: 'REDIRECT_LOOP',
+  INVALID_VALIDITY: 'INVALID_VALIDITY',
+  INVALID_ACTIVATION: 'INVALID_ACTIVATION',
+  INVALID_SHORTCODE: 'INVALID_SHORTCODE',
+  SHORTCODE_TAKEN: 'SHORTCODE_TAKEN',
+  SHORTCODE_RESERVED: 'SHORTCODE_RESERVED',
+  SHORTCODE_EXHAUSTED: 'SHORTCODE_EXHAUSTED',
+  NOT_FOUND: 'NOT_FOUND',
+  INVALID_PASSWORD: 'INVALID_PASSWORD',
+  INVALID_MAX_CLICKS: 'INVALID_MAX_CLICKS',
+  INVALID_REDIRECT_MODE: 'INVALID_REDIRECT_MODE',
+  INVALID_RULES: 'INVALID_RULES',
+  INVALID_METADATA: 'INVALID_METADATA',
+  INVALID_CAMPAIGN: 'INVALID_CAMPAIGN',
+  INVALID_DOMAIN: 'INVALID_DOMAIN',
+  WRONG_PASSWORD: 'WRONG_PASSWORD',
+  INVALID_USERNAME: 'INVALID_USERNAME',
+  USERNAME_TAKEN: 'USERNAME_TAKEN',
+  INVALID_CREDENTIALS: 'INVALID_CREDENTIALS',
+  INVALID_ROLE: 'INVALID_ROLE',
+  FORBIDDEN: 'FORBIDDEN',
+  UNAUTHORIZED: 'UNAUTHORIZED',
+  INVALID_API_KEY_NAME: 'INVALID_API_KEY_NAME',
+  INVALID_EXPIRY_POLICY: 'INVALID_EXPIRY_POLICY',
+  RATE_LIMITED: 'RATE_LIMITED',
+  EXPIRED: 'EXPIRED',
+  NOT_YET_ACTIVE: 'NOT_YET_ACTIVE',
+  DISABLED: 'DISABLED',
+  CLICK_LIMIT_REACHED: 'CLICK_LIMIT_REACHED'
+};
+
+export class URLError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'URLError';
+    this.code = code;
+    this.details = details;
+  }
+}
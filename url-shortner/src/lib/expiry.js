@@ -0,0 +1,79 @@
+import { Logger } from './Logger.js';
+import { ErrorCodes, URLError } from './errors.js';
+
+// What happens to a link once it has been expired for retentionMinutes:
+// 'archive' moves it to 'expiredLinks' with its click history, 'purge' deletes it and keeps only a tombstone
+// (shortcode, domain, expiry) until its quarantine ends, 'off' leaves it where it is.
+export const EXPIRY_MODES = ['archive', 'purge', 'off'];
+
+// quarantineMinutes: how long after expiry a shortcode stays unavailable, so printed links don't
+// silently start pointing somewhere new
+export const DEFAULT_EXPIRY_POLICY = {
+  mode: 'archive',
+  retentionMinutes: 24 * 60,
+  quarantineMinutes: 30 * 24 * 60,
+  sweepIntervalMinutes: 5
+};
+
+const isWholeNumber = (value) => Number.isInteger(value) && value >= 0;
+
+// Fills in defaults and rejects anything that isn't a known mode or a whole number of minutes
+export function normalizeExpiryPolicy(policy = {}) {
+  const merged = { ...DEFAULT_EXPIRY_POLICY, ...policy };
+
+  if (!EXPIRY_MODES.includes(merged.mode)) {
+    throw new URLError(ErrorCodes.INVALID_EXPIRY_POLICY, `Expiry mode must be one of: ${EXPIRY_MODES.join(', ')}`);
+  }
+  ['retentionMinutes', 'quarantineMinutes'].forEach(field => {
+    if (!isWholeNumber(merged[field])) {
+      throw new URLError(ErrorCodes.INVALID_EXPIRY_POLICY, `${field} must be a whole number of minutes`);
+    }
+  });
+  if (!isWholeNumber(merged.sweepIntervalMinutes) || merged.sweepIntervalMinutes < 1) {
+    throw new URLError(ErrorCodes.INVALID_EXPIRY_POLICY, 'sweepIntervalMinutes must be at least 1');
+  }
+
+  return {
+    mode: merged.mode,
+    retentionMinutes: merged.retentionMinutes,
+    quarantineMinutes: merged.quarantineMinutes,
+    sweepIntervalMinutes: merged.sweepIntervalMinutes
+  };
+}
+
+// Runs manager.sweepExpired on the policy's schedule. The interval is re-read after every sweep,
+// so changes made on the Settings page apply without a restart.
+export class ExpirySweeper {
+  constructor(manager, { onSwept = () => {} } = {}) {
+    this.logger = new Logger('ExpirySweeper');
+    this.manager = manager;
+    this.onSwept = onSwept;
+    this.timer = null;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.run();
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  run() {
+    try {
+      const result = this.manager.sweepExpired();
+      if (result.archived + result.purged + result.released > 0) {
+        this.onSwept(result);
+      }
+    } catch (error) {
+      this.logger.error('Expiry sweep failed', { error: error.message });
+    }
+
+    const minutes = this.manager.getExpiryPolicy().sweepIntervalMinutes;
+    this.timer = setTimeout(() => this.run(), minutes * 60000);
+    // Don't keep a Node process alive just for the sweeper
+    if (this.timer.unref) this.timer.unref();
+  }
+}
@@ -0,0 +1,83 @@
+// Destination health, kept under 'linkHealth' as { [linkId]: entry } next to the links.
+// The server's LinkChecker (server/LinkChecker.js) probes each destination and records a check:
+//   { checkedAt, ok, statusCode, latencyMs, chain: [{ url, statusCode }], error }
+// chain lists every hop followed, the destination first; error is null when a response came back.
+// An entry is { linkId, state, failures, lastChecked, checks } with the newest check last.
+
+export const HEALTH_STATES = ['healthy', 'broken', 'unchecked'];
+
+// intervalMinutes between rounds, timeoutMs per request (redirects included), maxRedirects followed per probe,
+// failureThreshold failed checks in a row before a link counts as broken
+export const DEFAULT_HEALTH_POLICY = {
+  intervalMinutes: 60,
+  timeoutMs: 10000,
+  maxRedirects: 5,
+  failureThreshold: 2
+};
+
+// Checks kept per link
+export const MAX_HEALTH_CHECKS = 20;
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+// Fills in defaults; anything that isn't a positive whole number falls back to its default
+export function normalizeHealthPolicy(policy = {}) {
+  return Object.fromEntries(Object.entries(DEFAULT_HEALTH_POLICY).map(([key, fallback]) => (
+    [key, isPositiveInteger(policy[key]) ? policy[key] : fallback]
+  )));
+}
+
+// 'HTTP 404', 'Timed out' and the like, for tables and badges
+export function describeCheck(check) {
+  if (!check) return 'Not checked yet';
+  return check.error || `HTTP ${check.statusCode}`;
+}
+
+// A link's state from its entry; links without one haven't been checked yet
+export const healthState = (entry) => (entry ? entry.state : 'unchecked');
+
+export class LinkHealth {
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  load() {
+    return this.storage.get('linkHealth') || {};
+  }
+
+  save(entries) {
+    this.storage.set('linkHealth', entries);
+  }
+
+  get(linkId) {
+    return this.load()[linkId] || null;
+  }
+
+  state(linkId) {
+    return healthState(this.get(linkId));
+  }
+
+  // Adds a check and returns the updated entry; one good check makes a link healthy again
+  record(linkId, check, failureThreshold = DEFAULT_HEALTH_POLICY.failureThreshold) {
+    const entries = this.load();
+    const previous = entries[linkId] || { linkId, failures: 0, checks: [] };
+    const failures = check.ok ? 0 : previous.failures + 1;
+
+    const entry = {
+      linkId,
+      state: failures >= failureThreshold ? 'broken' : 'healthy',
+      failures,
+      lastChecked: check.checkedAt,
+      checks: [...previous.checks, check].slice(-MAX_HEALTH_CHECKS)
+    };
+    this.save({ ...entries, [linkId]: entry });
+    return entry;
+  }
+
+  remove(linkId) {
+    const entries = this.load();
+    if (!(linkId in entries)) return;
+    delete entries[linkId];
+    this.save(entries);
+  }
+}
@@ -0,0 +1,110 @@
+import { getDomain } from './preview.js';
+import { NO_CAMPAIGN } from './campaigns.js';
+import { HEALTH_STATES } from './health/LinkHealth.js';
+
+// Search, filters, sort order and page of the Statistics table. Views round-trip through the page's query string
+// (?q=shop&status=active&sort=-clicks&page=2) so a filtered view can be bookmarked or shared.
+
+export const LINK_STATUSES = ['active', 'scheduled', 'disabled', 'exhausted', 'expired'];
+
+// Sortable columns; sort is a column name, prefixed with '-' for descending
+export const LINK_SORT_FIELDS = ['created', 'clicks', 'expires'];
+
+export const LINK_PAGE_SIZE = 25;
+
+export const DEFAULT_LINK_VIEW = {
+  q: '',
+  status: '',
+  from: '',
+  to: '',
+  host: '',
+  tag: '',
+  campaign: '',
+  health: '',
+  sort: '-created',
+  page: 1
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const isSort = (sort) => LINK_SORT_FIELDS.includes(sort.replace(/^-/, ''));
+
+// A view from parsed query parameters; anything unknown or malformed falls back to the default
+export function parseLinkView(query = {}) {
+  const text = (key) => (typeof query[key] === 'string' ? query[key] : '');
+  const page = Number(query.page);
+
+  return {
+    q: text('q'),
+    status: LINK_STATUSES.includes(query.status) ? query.status : '',
+    from: DATE_PATTERN.test(text('from')) ? query.from : '',
+    to: DATE_PATTERN.test(text('to')) ? query.to : '',
+    host: text('host').toLowerCase(),
+    tag: text('tag').toLowerCase(),
+    campaign: text('campaign'),
+    health: HEALTH_STATES.includes(query.health) ? query.health : '',
+    sort: isSort(text('sort')) ? query.sort : DEFAULT_LINK_VIEW.sort,
+    page: Number.isInteger(page) && page > 1 ? page : 1
+  };
+}
+
+// Query parameters for a view, leaving out the defaults so plain /statistics stays plain
+export function linkViewToQuery(view) {
+  return Object.fromEntries(
+    Object.entries(view).filter(([key, value]) => value !== DEFAULT_LINK_VIEW[key] && value !== '')
+  );
+}
+
+// Next sort when a column header is clicked: descending first, then ascending
+export function toggleSort(current, field) {
+  return current === `-${field}` ? field : `-${field}`;
+}
+
+const sortValue = (url, field) => {
+  // Never-expiring links sort after every dated one
+  if (field === 'expires') return url.expires === null ? Infinity : url.expires;
+  return url[field];
+};
+
+// Date inputs are local days; "to" includes the whole day
+const startOfDay = (date) => new Date(`${date}T00:00`).getTime();
+
+const matchesSearch = (url, search) =>
+  [url.shortcode, url.originalUrl, url.title || '', ...(url.tags || [])].some(text => text.toLowerCase().includes(search));
+
+// { items, total, page, pageCount } for one page of `urls` matching `view`.
+// statusOf maps a link to one of LINK_STATUSES (URLManager.getStatus) and healthOf to one of HEALTH_STATES
+// (URLManager.getHealthState). The campaign filter is a campaign id, or NO_CAMPAIGN for links outside any campaign.
+export function searchLinks(urls, view, { statusOf, healthOf }, pageSize = LINK_PAGE_SIZE) {
+  const search = view.q.trim().toLowerCase();
+  const from = view.from ? startOfDay(view.from) : null;
+  const to = view.to ? startOfDay(view.to) + 24 * 60 * 60 * 1000 : null;
+  const field = view.sort.replace(/^-/, '');
+  const direction = view.sort.startsWith('-') ? -1 : 1;
+
+  const matches = urls
+    .filter(url => !search || matchesSearch(url, search))
+    .filter(url => !view.status || statusOf(url) === view.status)
+    .filter(url => !view.health || healthOf(url) === view.health)
+    .filter(url => from === null || url.created >= from)
+    .filter(url => to === null || url.created < to)
+    .filter(url => !view.host || getDomain(url.originalUrl) === view.host)
+    .filter(url => !view.tag || (url.tags || []).includes(view.tag))
+    .filter(url => !view.campaign || (url.campaign || NO_CAMPAIGN) === view.campaign)
+    // Ties keep the newest first, so pages stay stable
+    .sort((a, b) => (sortValue(a, field) - sortValue(b, field)) * direction || b.created - a.created);
+
+  const pageCount = Math.max(1, Math.ceil(matches.length / pageSize));
+  const page = Math.min(view.page, pageCount);
+  return {
+    items: matches.slice((page - 1) * pageSize, page * pageSize),
+    total: matches.length,
+    page,
+    pageCount
+  };
+}
+
+// Destination hosts of `urls`, for the host filter
+export function destinationHosts(urls) {
+  return [...new Set(urls.map(url => getDomain(url.originalUrl)))].sort();
+}
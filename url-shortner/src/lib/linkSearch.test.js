@@ -0,0 +1,70 @@
+import { describe, expect, it } from 'vitest';
+import { DEFAULT_LINK_VIEW, linkViewToQuery, parseLinkView, searchLinks, toggleSort } from './linkSearch.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const start = new Date('2026-03-01T00:00').getTime();
+
+const link = (shortcode, fields = {}) => ({
+  id: shortcode,
+  shortcode,
+  originalUrl: `https://${shortcode}.example.com/`,
+  created: start,
+  expires: start + DAY,
+  clicks: 0,
+  tags: [],
+  campaign: null,
+  ...fields
+});
+
+const urls = [
+  link('alpha', { clicks: 5, created: start, tags: ['launch'], campaign: 'c1', title: 'Spring launch' }),
+  link('beta', { clicks: 9, created: start + DAY, expires: null }),
+  link('gamma', { clicks: 1, created: start + 2 * DAY, originalUrl: 'https://shop.example.org/cart', campaign: 'c1' })
+];
+
+const lookups = {
+  statusOf: url => (url.shortcode === 'gamma' ? 'disabled' : 'active'),
+  healthOf: url => (url.shortcode === 'beta' ? 'broken' : 'healthy')
+};
+
+const codes = (view, pageSize) => searchLinks(urls, { ...DEFAULT_LINK_VIEW, ...view }, lookups, pageSize).items.map(url => url.shortcode);
+
+describe('linkSearch', () => {
+  it('lists newest first by default', () => {
+    expect(codes({})).toEqual(['gamma', 'beta', 'alpha']);
+  });
+
+  it('searches codes, destinations, titles and tags', () => {
+    expect(codes({ q: 'SHOP' })).toEqual(['gamma']);
+    expect(codes({ q: 'spring' })).toEqual(['alpha']);
+    expect(codes({ q: 'launch' })).toEqual(['alpha']);
+  });
+
+  it('filters by status, health, tag, campaign and creation date', () => {
+    expect(codes({ status: 'disabled' })).toEqual(['gamma']);
+    expect(codes({ health: 'broken' })).toEqual(['beta']);
+    expect(codes({ tag: 'launch' })).toEqual(['alpha']);
+    expect(codes({ campaign: 'c1' })).toEqual(['gamma', 'alpha']);
+    expect(codes({ campaign: 'none' })).toEqual(['beta']);
+    expect(codes({ from: '2026-03-02', to: '2026-03-02' })).toEqual(['beta']);
+  });
+
+  it('sorts by clicks and puts never-expiring links last', () => {
+    expect(codes({ sort: '-clicks' })).toEqual(['beta', 'alpha', 'gamma']);
+    expect(codes({ sort: 'expires' })).toEqual(['gamma', 'alpha', 'beta']);
+    expect(toggleSort('-clicks', 'clicks')).toBe('clicks');
+    expect(toggleSort('clicks', 'created')).toBe('-created');
+  });
+
+  it('pages results and clamps the page number', () => {
+    const result = searchLinks(urls, { ...DEFAULT_LINK_VIEW, page: 9 }, lookups, 2);
+    expect(result).toMatchObject({ total: 3, page: 2, pageCount: 2 });
+    expect(result.items.map(url => url.shortcode)).toEqual(['alpha']);
+  });
+
+  it('parses views from the query string, ignoring anything malformed', () => {
+    expect(parseLinkView({ status: 'bogus', from: 'yesterday', sort: '-owner', page: '-3', health: 'broken', tag: 'Launch' }))
+      .toEqual({ ...DEFAULT_LINK_VIEW, health: 'broken', tag: 'launch' });
+    expect(linkViewToQuery({ ...DEFAULT_LINK_VIEW, q: 'shop', page: 2 })).toEqual({ q: 'shop', page: 2 });
+  });
+});
@@ -0,0 +1,57 @@
+// Scrubbing applied to every log entry's data before it reaches a transport
+
+export const REDACTED = '[REDACTED]';
+
+const SENSITIVE_KEYS = /pass(word)?|secret|token|api[-_]?key|^key$|keyhash|authorization|cookie|session/i;
+const MAX_DEPTH = 5;
+const MAX_ARRAY_ITEMS = 20;
+const MAX_STRING_LENGTH = 2000;
+
+// Query strings routinely carry tokens, emails and tracking ids, so only the path is kept
+export function redactUrl(value) {
+  if (!/^https?:\/\//i.test(value)) return value;
+  try {
+    const url = new URL(value);
+    if (url.username || url.password) {
+      url.username = '';
+      url.password = '';
+    }
+    const query = url.search ? `?${REDACTED}` : '';
+    url.search = '';
+    url.hash = '';
+    return `${url.href}${query}`;
+  } catch {
+    return value;
+  }
+}
+
+function redactString(value) {
+  const clipped = value.length > MAX_STRING_LENGTH ? `${value.slice(0, MAX_STRING_LENGTH)}…` : value;
+  return redactUrl(clipped);
+}
+
+// Deep copy with sensitive keys masked, URLs stripped of their query and large collections cut short.
+// extraKeys adds field names (strings or RegExps) to mask.
+export function redact(value, extraKeys = [], depth = 0, seen = new WeakSet()) {
+  if (typeof value === 'string') return redactString(value);
+  if (value === null || typeof value !== 'object') return value;
+  if (value instanceof Error) return { name: value.name, message: value.message, code: value.code };
+  if (value instanceof Date) return value.toISOString();
+  if (seen.has(value)) return '[Circular]';
+  if (depth >= MAX_DEPTH) return Array.isArray(value) ? `[Array(${value.length})]` : '[Object]';
+  seen.add(value);
+
+  if (Array.isArray(value)) {
+    const items = value.slice(0, MAX_ARRAY_ITEMS).map(item => redact(item, extraKeys, depth + 1, seen));
+    if (value.length > MAX_ARRAY_ITEMS) items.push(`… ${value.length - MAX_ARRAY_ITEMS} more`);
+    return items;
+  }
+
+  const isSensitive = (key) => SENSITIVE_KEYS.test(key) ||
+    extraKeys.some(extra => (extra instanceof RegExp ? extra.test(key) : extra === key));
+
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+    key,
+    isSensitive(key) && item !== null && item !== undefined && typeof item !== 'boolean' ? REDACTED : redact(item, extraKeys, depth + 1, seen)
+  ]));
+}
@@ -0,0 +1,61 @@
+// Transports receive finished, already-redacted entries:
+// { timestamp, level, logger, message, context?, data? }. Each may set its own minimum level.
+
+const CONSOLE_METHODS = { debug: 'debug', info: 'info', warn: 'warn', error: 'error' };
+
+export function formatPretty(entry) {
+  const context = entry.context ? ` ${JSON.stringify(entry.context)}` : '';
+  return `[${entry.timestamp}] [${entry.logger}] ${entry.level.toUpperCase()}: ${entry.message}${context}`;
+}
+
+// format 'pretty' keeps the readable "[time] [name] LEVEL: message" line with data as an inspectable object;
+// 'json' prints one JSON document per entry for log shippers
+export class ConsoleTransport {
+  constructor({ format = 'pretty', level = null, target = console } = {}) {
+    this.format = format;
+    this.level = level;
+    this.target = target;
+  }
+
+  write(entry) {
+    const method = this.target[CONSOLE_METHODS[entry.level]] ? CONSOLE_METHODS[entry.level] : 'log';
+    if (this.format === 'json') {
+      this.target[method](JSON.stringify(entry));
+    } else {
+      this.target[method](formatPretty(entry), entry.data === undefined ? '' : entry.data);
+    }
+  }
+}
+
+// Keeps the most recent entries in memory so the app can show them
+export class MemoryTransport {
+  constructor({ capacity = 500, level = null } = {}) {
+    this.capacity = capacity;
+    this.level = level;
+    this.entries = [];
+    this.listeners = new Set();
+  }
+
+  write(entry) {
+    this.entries.push(entry);
+    if (this.entries.length > this.capacity) {
+      this.entries.splice(0, this.entries.length - this.capacity);
+    }
+    this.listeners.forEach(listener => listener(entry));
+  }
+
+  getEntries() {
+    return [...this.entries];
+  }
+
+  clear() {
+    this.entries = [];
+    this.listeners.forEach(listener => listener(null));
+  }
+
+  // Returns an unsubscribe function
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+}
@@ -0,0 +1,22 @@
+// Interstitial preview pages: /preview/:shortcode or /:shortcode+ always show the preview,
+// links with redirectMode 'preview' show it (with a countdown) on every visit.
+
+import { createRouter } from './router.js';
+
+export const PREVIEW_COUNTDOWN_SECONDS = 5;
+
+const router = createRouter();
+
+// Shortcode from a preview path, or null; the server shares the app's 'preview' and 'previewShortcode' routes
+export function parsePreviewPath(pathname) {
+  const match = router.match(pathname);
+  return match && (match.name === 'preview' || match.name === 'previewShortcode') ? match.params.code : null;
+}
+
+export function getDomain(url) {
+  try {
+    return new URL(url).hostname;
+  } catch {
+    return url;
+  }
+}
@@ -0,0 +1,402 @@
+// QR Code Model 2 encoder (ISO/IEC 18004), byte mode only, versions 1-40.
+// Short URLs are plain ASCII, so byte mode costs at most a version step over the
+// alphanumeric / numeric modes and keeps the encoder small enough to own.
+
+// Error correction levels in format-bit order; higher levels survive more damage (or a logo)
+export const ERROR_CORRECTION_LEVELS = {
+  L: { ordinal: 0, formatBits: 1, label: 'Low (7%)' },
+  M: { ordinal: 1, formatBits: 0, label: 'Medium (15%)' },
+  Q: { ordinal: 2, formatBits: 3, label: 'Quartile (25%)' },
+  H: { ordinal: 3, formatBits: 2, label: 'High (30%)' }
+};
+
+const MIN_VERSION = 1;
+const MAX_VERSION = 40;
+
+// Indexed [level ordinal][version]
+const ECC_CODEWORDS_PER_BLOCK = [
+  [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+  [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+];
+
+const NUM_ERROR_CORRECTION_BLOCKS = [
+  [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+  [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+  [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+  [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+];
+
+// Penalty weights from the mask evaluation rules
+const PENALTY_N1 = 3;
+const PENALTY_N2 = 3;
+const PENALTY_N3 = 40;
+const PENALTY_N4 = 10;
+
+const getBit = (value, index) => ((value >>> index) & 1) !== 0;
+
+// Modules available for data and ECC after function patterns are placed
+function getNumRawDataModules(version) {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const numAlign = Math.floor(version / 7) + 2;
+    result -= (25 * numAlign - 10) * numAlign - 55;
+    if (version >= 7) result -= 36;
+  }
+  return result;
+}
+
+function getNumDataCodewords(version, level) {
+  const { ordinal } = ERROR_CORRECTION_LEVELS[level];
+  return Math.floor(getNumRawDataModules(version) / 8) -
+    ECC_CODEWORDS_PER_BLOCK[ordinal][version] * NUM_ERROR_CORRECTION_BLOCKS[ordinal][version];
+}
+
+// Byte mode character count indicator grows with the version
+const charCountBits = (version) => (version <= 9 ? 8 : 16);
+
+// Reed-Solomon over GF(2^8) with the QR polynomial x^8 + x^4 + x^3 + x^2 + 1
+function gfMultiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+function reedSolomonDivisor(degree) {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < result.length; j++) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < result.length) result[j] ^= result[j + 1];
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+}
+
+function reedSolomonRemainder(data, divisor) {
+  const result = divisor.map(() => 0);
+  for (const byte of data) {
+    const factor = byte ^ result.shift();
+    result.push(0);
+    divisor.forEach((coefficient, i) => {
+      result[i] ^= gfMultiply(coefficient, factor);
+    });
+  }
+  return result;
+}
+
+function alignmentPatternPositions(version, size) {
+  if (version === 1) return [];
+  const numAlign = Math.floor(version / 7) + 2;
+  const step = Math.floor((version * 8 + numAlign * 3 + 5) / (numAlign * 4 - 4)) * 2;
+  const result = [6];
+  for (let pos = size - 7; result.length < numAlign; pos -= step) {
+    result.splice(1, 0, pos);
+  }
+  return result;
+}
+
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+  (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+  (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+];
+
+export class QrCode {
+  // modules[y][x] is true for dark modules
+  constructor(version, level, dataCodewords, mask = null) {
+    this.version = version;
+    this.level = level;
+    this.size = version * 4 + 17;
+    this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+    this.isFunction = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+
+    this.drawFunctionPatterns();
+    this.drawCodewords(this.addEccAndInterleave(dataCodewords));
+
+    // Try every mask unless one was requested and keep the least penalized
+    if (mask === null) {
+      let minPenalty = Infinity;
+      for (let candidate = 0; candidate < MASKS.length; candidate++) {
+        this.applyMask(candidate);
+        this.drawFormatBits(candidate);
+        const penalty = this.getPenaltyScore();
+        if (penalty < minPenalty) {
+          mask = candidate;
+          minPenalty = penalty;
+        }
+        this.applyMask(candidate);
+      }
+    }
+    this.mask = mask;
+    this.applyMask(mask);
+    this.drawFormatBits(mask);
+    this.isFunction = null;
+  }
+
+  // Smallest version at the requested level that fits the text
+  static encodeText(text, level = 'M') {
+    if (!ERROR_CORRECTION_LEVELS[level]) {
+      throw new Error(`Unknown error correction level: ${level}`);
+    }
+
+    const bytes = new TextEncoder().encode(text);
+    let version = MIN_VERSION;
+    for (; version <= MAX_VERSION; version++) {
+      const capacityBits = getNumDataCodewords(version, level) * 8;
+      if (4 + charCountBits(version) + bytes.length * 8 <= capacityBits) break;
+    }
+    if (version > MAX_VERSION) {
+      throw new Error('Text is too long for a QR code');
+    }
+
+    const bits = [];
+    const appendBits = (value, length) => {
+      for (let i = length - 1; i >= 0; i--) bits.push(getBit(value, i) ? 1 : 0);
+    };
+    appendBits(0b0100, 4);
+    appendBits(bytes.length, charCountBits(version));
+    bytes.forEach(byte => appendBits(byte, 8));
+
+    // Terminator, byte alignment, then alternating pad bytes
+    const capacityBits = getNumDataCodewords(version, level) * 8;
+    appendBits(0, Math.min(4, capacityBits - bits.length));
+    appendBits(0, (8 - (bits.length % 8)) % 8);
+    for (let pad = 0xec; bits.length < capacityBits; pad ^= 0xec ^ 0x11) {
+      appendBits(pad, 8);
+    }
+
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+      codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+    return new QrCode(version, level, codewords);
+  }
+
+  getModule(x, y) {
+    return x >= 0 && x < this.size && y >= 0 && y < this.size && this.modules[y][x];
+  }
+
+  setFunctionModule(x, y, dark) {
+    this.modules[y][x] = dark;
+    this.isFunction[y][x] = true;
+  }
+
+  drawFunctionPatterns() {
+    const { size } = this;
+
+    for (let i = 0; i < size; i++) {
+      this.setFunctionModule(6, i, i % 2 === 0);
+      this.setFunctionModule(i, 6, i % 2 === 0);
+    }
+
+    this.drawFinderPattern(3, 3);
+    this.drawFinderPattern(size - 4, 3);
+    this.drawFinderPattern(3, size - 4);
+
+    const positions = alignmentPatternPositions(this.version, size);
+    const last = positions.length - 1;
+    positions.forEach((x, i) => {
+      positions.forEach((y, j) => {
+        // Skip the three corners taken by finder patterns
+        if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+        this.drawAlignmentPattern(x, y);
+      });
+    });
+
+    // Reserve the format areas; real bits are drawn once the mask is known
+    this.drawFormatBits(0);
+    this.drawVersion();
+  }
+
+  drawFinderPattern(x, y) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const distance = Math.max(Math.abs(dx), Math.abs(dy));
+        const xx = x + dx;
+        const yy = y + dy;
+        if (xx >= 0 && xx < this.size && yy >= 0 && yy < this.size) {
+          this.setFunctionModule(xx, yy, distance !== 2 && distance !== 4);
+        }
+      }
+    }
+  }
+
+  drawAlignmentPattern(x, y) {
+    for (let dy = -2; dy <= 2; dy++) {
+      for (let dx = -2; dx <= 2; dx++) {
+        this.setFunctionModule(x + dx, y + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+      }
+    }
+  }
+
+  drawFormatBits(mask) {
+    const data = (ERROR_CORRECTION_LEVELS[this.level].formatBits << 3) | mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    }
+    const bits = ((data << 10) | remainder) ^ 0x5412;
+    const { size } = this;
+
+    // Copy around the top-left finder
+    for (let i = 0; i <= 5; i++) this.setFunctionModule(8, i, getBit(bits, i));
+    this.setFunctionModule(8, 7, getBit(bits, 6));
+    this.setFunctionModule(8, 8, getBit(bits, 7));
+    this.setFunctionModule(7, 8, getBit(bits, 8));
+    for (let i = 9; i < 15; i++) this.setFunctionModule(14 - i, 8, getBit(bits, i));
+
+    // Copy split between the other two finders, plus the always-dark module
+    for (let i = 0; i < 8; i++) this.setFunctionModule(size - 1 - i, 8, getBit(bits, i));
+    for (let i = 8; i < 15; i++) this.setFunctionModule(8, size - 15 + i, getBit(bits, i));
+    this.setFunctionModule(8, size - 8, true);
+  }
+
+  drawVersion() {
+    if (this.version < 7) return;
+
+    let remainder = this.version;
+    for (let i = 0; i < 12; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+    }
+    const bits = (this.version << 12) | remainder;
+
+    for (let i = 0; i < 18; i++) {
+      const dark = getBit(bits, i);
+      const a = this.size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      this.setFunctionModule(a, b, dark);
+      this.setFunctionModule(b, a, dark);
+    }
+  }
+
+  // Split data into blocks, append each block's ECC, then interleave column-wise
+  addEccAndInterleave(data) {
+    const { ordinal } = ERROR_CORRECTION_LEVELS[this.level];
+    const numBlocks = NUM_ERROR_CORRECTION_BLOCKS[ordinal][this.version];
+    const blockEccLength = ECC_CODEWORDS_PER_BLOCK[ordinal][this.version];
+    const rawCodewords = Math.floor(getNumRawDataModules(this.version) / 8);
+    const numShortBlocks = numBlocks - (rawCodewords % numBlocks);
+    const shortBlockLength = Math.floor(rawCodewords / numBlocks);
+    const divisor = reedSolomonDivisor(blockEccLength);
+
+    const blocks = [];
+    for (let i = 0, offset = 0; i < numBlocks; i++) {
+      const blockData = data.slice(offset, offset + shortBlockLength - blockEccLength + (i < numShortBlocks ? 0 : 1));
+      offset += blockData.length;
+      const ecc = reedSolomonRemainder(blockData, divisor);
+      if (i < numShortBlocks) blockData.push(0);
+      blocks.push(blockData.concat(ecc));
+    }
+
+    const result = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+      blocks.forEach((block, j) => {
+        // Short blocks carry a placeholder at the end of their data section
+        if (i !== shortBlockLength - blockEccLength || j >= numShortBlocks) {
+          result.push(block[i]);
+        }
+      });
+    }
+    return result;
+  }
+
+  // Zig-zag through two-module columns from the bottom-right, skipping the vertical timing line
+  drawCodewords(codewords) {
+    const { size } = this;
+    let bitIndex = 0;
+
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5;
+      for (let vertical = 0; vertical < size; vertical++) {
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          const upward = ((right + 1) & 2) === 0;
+          const y = upward ? size - 1 - vertical : vertical;
+          if (!this.isFunction[y][x] && bitIndex < codewords.length * 8) {
+            this.modules[y][x] = getBit(codewords[bitIndex >>> 3], 7 - (bitIndex & 7));
+            bitIndex++;
+          }
+        }
+      }
+    }
+  }
+
+  // XOR is its own inverse, so applying the same mask twice undoes it
+  applyMask(mask) {
+    const invert = MASKS[mask];
+    for (let y = 0; y < this.size; y++) {
+      for (let x = 0; x < this.size; x++) {
+        if (!this.isFunction[y][x] && invert(x, y)) {
+          this.modules[y][x] = !this.modules[y][x];
+        }
+      }
+    }
+  }
+
+  getPenaltyScore() {
+    const { size, modules } = this;
+    let penalty = 0;
+
+    const scoreLine = (getter) => {
+      let runColor = null;
+      let runLength = 0;
+      let line = '';
+      for (let i = 0; i < size; i++) {
+        const dark = getter(i);
+        line += dark ? '1' : '0';
+        if (dark === runColor) {
+          runLength++;
+          if (runLength === 5) penalty += PENALTY_N1;
+          else if (runLength > 5) penalty++;
+        } else {
+          runColor = dark;
+          runLength = 1;
+        }
+      }
+
+      // Finder-like 1:1:3:1:1 patterns with four light modules on either side (quiet zone counts as light)
+      const padded = `0000${line}0000`;
+      for (const pattern of ['00001011101', '10111010000']) {
+        for (let index = padded.indexOf(pattern); index !== -1; index = padded.indexOf(pattern, index + 1)) {
+          penalty += PENALTY_N3;
+        }
+      }
+    };
+
+    for (let y = 0; y < size; y++) scoreLine(x => modules[y][x]);
+    for (let x = 0; x < size; x++) scoreLine(y => modules[y][x]);
+
+    let dark = 0;
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (modules[y][x]) dark++;
+        if (x < size - 1 && y < size - 1) {
+          const color = modules[y][x];
+          if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+            penalty += PENALTY_N2;
+          }
+        }
+      }
+    }
+
+    // Balance of dark and light modules, in 5% steps away from 50%
+    const total = size * size;
+    const k = Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1;
+    return penalty + k * PENALTY_N4;
+  }
+}
+
+export default QrCode;
@@ -0,0 +1,129 @@
+import { QrCode } from './QrCode.js';
+
+// Light modules kept around the symbol so scanners can find its edges
+export const QUIET_ZONE_MODULES = 4;
+export const QR_SIZES = [128, 256, 512, 1024];
+// Share of the symbol width a centered logo may cover; H error correction recovers the hidden modules
+export const LOGO_SCALE = 0.22;
+
+export const DEFAULT_QR_OPTIONS = {
+  size: 256,
+  errorCorrection: 'M',
+  dark: '#000000',
+  light: '#ffffff',
+  logo: null
+};
+
+// A logo hides modules in the middle, so the strongest level is always used with one
+export function resolveQrOptions(options = {}) {
+  const config = { ...DEFAULT_QR_OPTIONS, ...options };
+  return config.logo ? { ...config, errorCorrection: 'H' } : config;
+}
+
+export function createQrCode(text, options = {}) {
+  return QrCode.encodeText(text, resolveQrOptions(options).errorCorrection);
+}
+
+// One path of unit squares in module coordinates, scaled by the viewBox
+function modulesPath(qr) {
+  let path = '';
+  for (let y = 0; y < qr.size; y++) {
+    for (let x = 0; x < qr.size; x++) {
+      if (qr.modules[y][x]) {
+        path += `M${x + QUIET_ZONE_MODULES} ${y + QUIET_ZONE_MODULES}h1v1h-1z`;
+      }
+    }
+  }
+  return path;
+}
+
+const escapeAttribute = (value) => String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+
+function logoBox(dimension) {
+  const logoSize = dimension * LOGO_SCALE;
+  const padding = logoSize * 0.1;
+  return {
+    x: (dimension - logoSize) / 2,
+    size: logoSize,
+    backgroundX: (dimension - logoSize) / 2 - padding,
+    backgroundSize: logoSize + padding * 2
+  };
+}
+
+// options.logo is a data URL, embedded so the SVG stays self-contained
+export function toSvg(text, options = {}) {
+  const config = resolveQrOptions(options);
+  const qr = createQrCode(text, config);
+  const dimension = qr.size + QUIET_ZONE_MODULES * 2;
+
+  let logo = '';
+  if (config.logo) {
+    const box = logoBox(dimension);
+    logo =
+      `<rect x="${box.backgroundX}" y="${box.backgroundX}" width="${box.backgroundSize}" height="${box.backgroundSize}" fill="${escapeAttribute(config.light)}"/>` +
+      `<image href="${escapeAttribute(config.logo)}" x="${box.x}" y="${box.x}" width="${box.size}" height="${box.size}" preserveAspectRatio="xMidYMid meet"/>`;
+  }
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${config.size}" height="${config.size}" viewBox="0 0 ${dimension} ${dimension}" shape-rendering="crispEdges">` +
+    `<rect width="100%" height="100%" fill="${escapeAttribute(config.light)}"/>` +
+    `<path d="${modulesPath(qr)}" fill="${escapeAttribute(config.dark)}"/>` +
+    logo +
+    '</svg>';
+}
+
+export function toSvgDataUrl(text, options = {}) {
+  return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(toSvg(text, options))}`;
+}
+
+const loadImage = (src) => new Promise((resolve, reject) => {
+  const image = new Image();
+  image.onload = () => resolve(image);
+  image.onerror = () => reject(new Error('Could not load logo image'));
+  image.src = src;
+});
+
+// Rasterize on a canvas (browser only); resolves with a PNG Blob
+export async function toPngBlob(text, options = {}) {
+  const config = resolveQrOptions(options);
+  const qr = createQrCode(text, config);
+  const dimension = qr.size + QUIET_ZONE_MODULES * 2;
+  const scale = config.size / dimension;
+
+  const canvas = document.createElement('canvas');
+  canvas.width = config.size;
+  canvas.height = config.size;
+  const context = canvas.getContext('2d');
+  context.imageSmoothingEnabled = false;
+
+  context.fillStyle = config.light;
+  context.fillRect(0, 0, config.size, config.size);
+  context.fillStyle = config.dark;
+  for (let y = 0; y < qr.size; y++) {
+    for (let x = 0; x < qr.size; x++) {
+      if (qr.modules[y][x]) {
+        // Snap to whole pixels so neighbouring modules leave no hairline gaps
+        const left = Math.round((x + QUIET_ZONE_MODULES) * scale);
+        const top = Math.round((y + QUIET_ZONE_MODULES) * scale);
+        const right = Math.round((x + QUIET_ZONE_MODULES + 1) * scale);
+        const bottom = Math.round((y + QUIET_ZONE_MODULES + 1) * scale);
+        context.fillRect(left, top, right - left, bottom - top);
+      }
+    }
+  }
+
+  if (config.logo) {
+    const image = await loadImage(config.logo);
+    const box = logoBox(dimension);
+    context.fillStyle = config.light;
+    context.fillRect(box.backgroundX * scale, box.backgroundX * scale, box.backgroundSize * scale, box.backgroundSize * scale);
+    const fit = Math.min(box.size / image.width, box.size / image.height) * scale;
+    const width = image.width * fit;
+    const height = image.height * fit;
+    context.imageSmoothingEnabled = true;
+    context.drawImage(image, (config.size - width) / 2, (config.size - height) / 2, width, height);
+  }
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not render PNG'))), 'image/png');
+  });
+}
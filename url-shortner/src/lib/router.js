@@ -0,0 +1,124 @@
+// Declarative client-side routes. A route is { name, path, params?, section?, children? }:
+// path segments starting with ':' are parameters ('/links/:code'), optionally followed by literal text ('/:code+');
+// params maps a parameter name to the pattern its value must match; children are nested under the parent's path
+// and belong to its nav section. Routes are matched in order, so list fixed paths before catch-alls like '/:code'.
+
+const SHORTCODE_PARAM = /^[a-zA-Z0-9]{1,10}$/;
+
+export const APP_ROUTES = [
+  { name: 'home', path: '/' },
+  { name: 'statistics', path: '/statistics' },
+  {
+    name: 'link',
+    path: '/links/:code',
+    params: { code: SHORTCODE_PARAM },
+    section: 'statistics',
+    children: [
+      { name: 'linkEdit', path: '/edit' },
+      { name: 'linkQr', path: '/qr' },
+      { name: 'linkHealth', path: '/health' }
+    ]
+  },
+  { name: 'apiKeys', path: '/api-keys' },
+  { name: 'settings', path: '/settings' },
+  { name: 'audit', path: '/audit' },
+  { name: 'logs', path: '/logs' },
+  { name: 'preview', path: '/preview/:code', params: { code: SHORTCODE_PARAM } },
+  { name: 'previewShortcode', path: '/:code+', params: { code: SHORTCODE_PARAM } },
+  { name: 'shortcode', path: '/:code', params: { code: SHORTCODE_PARAM } }
+];
+
+// Paths the server answers itself rather than handing to the app
+const SERVER_PREFIXES = ['api', 'assets'];
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// '/links/:code' -> { regex: /^\/links\/([^/]+?)$/, keys: ['code'] }
+export function compilePath(path) {
+  const keys = [];
+  const source = path
+    .split('/')
+    .map(segment => {
+      const param = segment.match(/^:([A-Za-z_]\w*)(.*)$/);
+      if (!param) return escapeRegExp(segment);
+      keys.push(param[1]);
+      return `([^/]+?)${escapeRegExp(param[2])}`;
+    })
+    .join('/');
+  return { regex: new RegExp(`^${source || '/'}$`), keys };
+}
+
+// Nested routes become one flat list with full paths; each keeps the name of its parent
+function flattenRoutes(routes, parent = null) {
+  return routes.flatMap(route => {
+    const flat = {
+      ...route,
+      path: parent ? `${parent.path}${route.path}` : route.path,
+      params: { ...(parent && parent.params), ...route.params },
+      section: route.section || (parent && parent.section) || route.name,
+      parent: parent ? parent.name : null
+    };
+    delete flat.children;
+    return [flat, ...flattenRoutes(route.children || [], flat)];
+  });
+}
+
+// Query string (with or without '?') as a plain object; repeated keys keep their last value
+export function parseQuery(search = '') {
+  return Object.fromEntries(new URLSearchParams(search));
+}
+
+// '?a=1&b=2' from an object, leaving out empty values; '' when nothing is left
+export function buildQuery(query = {}) {
+  const entries = Object.entries(query).filter(([, value]) => value !== undefined && value !== null && value !== '');
+  return entries.length > 0 ? `?${new URLSearchParams(entries.map(([key, value]) => [key, String(value)]))}` : '';
+}
+
+// First path segments of fixed routes and server paths, e.g. 'statistics' or 'api-keys'.
+// A shortcode equal to one of these would be shadowed by the page, so they are never issued.
+export function reservedPrefixes(routes = APP_ROUTES) {
+  const prefixes = flattenRoutes(routes)
+    .map(route => route.path.split('/')[1])
+    .filter(segment => segment && !segment.startsWith(':'));
+  return [...new Set([...prefixes, ...SERVER_PREFIXES].map(prefix => prefix.toLowerCase()))];
+}
+
+export function createRouter(routes = APP_ROUTES) {
+  const compiled = flattenRoutes(routes).map(route => ({ route, ...compilePath(route.path) }));
+  const byName = new Map(compiled.map(entry => [entry.route.name, entry.route]));
+
+  return {
+    routes: compiled.map(entry => entry.route),
+
+    // { name, section, params, route } for the first route matching pathname, or null (a 404)
+    match(pathname) {
+      for (const { route, regex, keys } of compiled) {
+        const found = pathname.match(regex);
+        if (!found) continue;
+
+        let params;
+        try {
+          params = Object.fromEntries(keys.map((key, i) => [key, decodeURIComponent(found[i + 1])]));
+        } catch {
+          continue;
+        }
+        if (Object.entries(route.params).every(([key, pattern]) => pattern.test(params[key]))) {
+          return { name: route.name, section: route.section, params, route };
+        }
+      }
+      return null;
+    },
+
+    // Path for a route name, e.g. href('linkEdit', { code: 'abc' }, { domain: 'go.example.com' })
+    href(name, params = {}, query = {}) {
+      const route = byName.get(name);
+      if (!route) throw new Error(`Unknown route: ${name}`);
+
+      const path = route.path.replace(/:([A-Za-z_]\w*)/g, (_, key) => {
+        if (params[key] === undefined || params[key] === null) throw new Error(`Route ${name} needs a ${key}`);
+        return encodeURIComponent(params[key]);
+      });
+      return `${path}${buildQuery(query)}`;
+    }
+  };
+}
@@ -0,0 +1,48 @@
+import { describe, expect, it } from 'vitest';
+import { buildQuery, createRouter, parseQuery, reservedPrefixes } from './router.js';
+import { isReservedShortcode } from './shortcodes/index.js';
+
+const router = createRouter();
+
+describe('router', () => {
+  it.each([
+    ['/', 'home', {}],
+    ['/statistics', 'statistics', {}],
+    ['/links/abc123', 'link', { code: 'abc123' }],
+    ['/links/abc123/edit', 'linkEdit', { code: 'abc123' }],
+    ['/links/abc123/health', 'linkHealth', { code: 'abc123' }],
+    ['/preview/abc123', 'preview', { code: 'abc123' }],
+    ['/abc123+', 'previewShortcode', { code: 'abc123' }],
+    ['/abc123', 'shortcode', { code: 'abc123' }]
+  ])('matches %s as %s', (path, name, params) => {
+    const match = router.match(path);
+    expect(match.name).toBe(name);
+    expect(match.params).toEqual(params);
+  });
+
+  it('puts link pages in the statistics section', () => {
+    expect(router.match('/links/abc/qr').section).toBe('statistics');
+    expect(router.match('/settings').section).toBe('settings');
+  });
+
+  it.each(['/links/not-a-code', '/nope/deeper', '/elevenchars', '/%E0%A4%A'])('has no route for %s', (path) => {
+    expect(router.match(path)).toBeNull();
+  });
+
+  it('builds paths from route names', () => {
+    expect(router.href('linkEdit', { code: 'abc' }, { domain: 'go.example.com' })).toBe('/links/abc/edit?domain=go.example.com');
+    expect(router.href('statistics', {}, { q: '', page: 2 })).toBe('/statistics?page=2');
+    expect(() => router.href('link')).toThrow('Route link needs a code');
+  });
+
+  it('round-trips query strings', () => {
+    expect(parseQuery(buildQuery({ q: 'a b', status: 'active' }))).toEqual({ q: 'a b', status: 'active' });
+    expect(buildQuery({})).toBe('');
+  });
+
+  it('reserves the first segment of every page as a shortcode', () => {
+    expect(reservedPrefixes()).toEqual(expect.arrayContaining(['statistics', 'links', 'preview', 'api', 'assets']));
+    expect(isReservedShortcode('Statistics')).toBe(true);
+    expect(isReservedShortcode('promo')).toBe(false);
+  });
+});
@@ -0,0 +1,244 @@
+import { ErrorCodes, URLError } from '../errors.js';
+import { classifyUserAgent, primaryLanguage } from '../analytics/userAgent.js';
+import { toDateTimeLocal, toTimestamp } from '../durations.js';
+
+// Per-link routing rules, checked in order at redirect time; the first whose conditions all hold picks the
+// destination, and a link's originalUrl is the fallback when none does. A rule:
+// {
+//   id, label,
+//   conditions: { os: [], devices: [], languages: [], days: [0-6, Sunday first], timeFrom: 'HH:MM', timeTo: 'HH:MM',
+//                 startsAt, endsAt (ms), timeZone (IANA name the day and time of day are read in) },
+//   destinations: [{ url, weight }]   more than one splits the rule's traffic by weight (A/B tests)
+// }
+// Empty conditions always hold, so an unconditional rule with two destinations A/B tests all traffic.
+
+export const RULE_OS = ['iOS', 'Android', 'Windows', 'macOS', 'ChromeOS', 'Linux'];
+export const RULE_DEVICES = ['mobile', 'tablet', 'desktop', 'bot'];
+export const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+export const MAX_RULES = 20;
+export const MAX_DESTINATIONS = 10;
+
+// Click analytics label of visits no rule matched
+export const DEFAULT_BRANCH = 'Default';
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const LANGUAGE_PATTERN = /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i;
+
+const invalid = (message) => new URLError(ErrorCodes.INVALID_RULES, message);
+
+const toMinutes = (time) => Number(time.slice(0, 2)) * 60 + Number(time.slice(3, 5));
+
+const isTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const pickList = (value, allowed, name) => {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value) || value.some(item => !allowed(item))) {
+    throw invalid(`Rule ${name} contains an unknown value`);
+  }
+  return [...new Set(value)];
+};
+
+const pickTime = (value, name) => {
+  if (value === undefined || value === null || value === '') return '';
+  if (!TIME_PATTERN.test(value)) throw invalid(`Rule ${name} must be a time like 09:30`);
+  return value;
+};
+
+const pickDate = (value, name) => {
+  if (value === undefined || value === null || value === '') return null;
+  const timestamp = toTimestamp(value);
+  if (Number.isNaN(timestamp)) throw invalid(`Rule ${name} must be a valid date`);
+  return timestamp;
+};
+
+function normalizeConditions(conditions = {}) {
+  if (typeof conditions !== 'object' || conditions === null || Array.isArray(conditions)) {
+    throw invalid('Rule conditions must be an object');
+  }
+
+  const normalized = {
+    os: pickList(conditions.os, item => RULE_OS.includes(item), 'platforms'),
+    devices: pickList(conditions.devices, item => RULE_DEVICES.includes(item), 'devices'),
+    languages: pickList(conditions.languages, item => typeof item === 'string' && LANGUAGE_PATTERN.test(item), 'languages')
+      .map(tag => tag.toLowerCase()),
+    days: pickList(conditions.days, item => Number.isInteger(item) && item >= 0 && item <= 6, 'days'),
+    timeFrom: pickTime(conditions.timeFrom, 'start time'),
+    timeTo: pickTime(conditions.timeTo, 'end time'),
+    startsAt: pickDate(conditions.startsAt, 'start date'),
+    endsAt: pickDate(conditions.endsAt, 'end date'),
+    timeZone: conditions.timeZone || 'UTC'
+  };
+
+  if (Boolean(normalized.timeFrom) !== Boolean(normalized.timeTo)) {
+    throw invalid('Rule time window needs both a start and an end time');
+  }
+  if (normalized.startsAt !== null && normalized.endsAt !== null && normalized.startsAt >= normalized.endsAt) {
+    throw invalid('Rule start date must be before its end date');
+  }
+  if (typeof normalized.timeZone !== 'string' || !isTimeZone(normalized.timeZone)) {
+    throw invalid(`Unknown time zone: ${normalized.timeZone}`);
+  }
+  return normalized;
+}
+
+// Validated copies of `rules`. assertUrl checks and normalizes each destination the way the link's own URL is,
+// so rules can't be used to slip past the destination safety checks.
+export function normalizeRules(rules, assertUrl) {
+  if (!Array.isArray(rules)) throw invalid('Rules must be a list');
+  if (rules.length > MAX_RULES) throw invalid(`A link can have at most ${MAX_RULES} rules`);
+
+  return rules.map((rule, index) => {
+    if (typeof rule !== 'object' || rule === null) throw invalid('Each rule must be an object');
+
+    const label = typeof rule.label === 'string' ? rule.label.trim().slice(0, 60) : '';
+    const destinations = rule.destinations;
+    if (!Array.isArray(destinations) || destinations.length === 0 || destinations.length > MAX_DESTINATIONS) {
+      throw invalid(`Rule ${label || index + 1} needs between 1 and ${MAX_DESTINATIONS} destinations`);
+    }
+
+    return {
+      id: rule.id ? String(rule.id) : String(Date.now() + Math.random()),
+      label,
+      conditions: normalizeConditions(rule.conditions),
+      destinations: destinations.map(destination => {
+        if (typeof destination !== 'object' || destination === null) throw invalid('Each destination must be an object');
+        const weight = destination.weight ?? 1;
+        if (!Number.isInteger(weight) || weight < 1) {
+          throw invalid('Destination weights must be positive integers');
+        }
+        return { url: assertUrl(destination.url), weight };
+      })
+    };
+  });
+}
+
+// Weekday (0 = Sunday) and minutes since midnight of `now` in `timeZone`
+export function localTime(now, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', { timeZone, weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23' })
+      .formatToParts(new Date(now))
+      .map(part => [part.type, part.value])
+  );
+  return { day: WEEKDAYS.indexOf(parts.weekday), minutes: Number(parts.hour) * 60 + Number(parts.minute) };
+}
+
+// What rules can test about a visit. context is the one incrementClicks takes: { userAgent, language }
+export function describeVisit(context = {}) {
+  const { device, os } = classifyUserAgent(context.userAgent || '');
+  return { device, os, language: primaryLanguage(context.language || '').toLowerCase() };
+}
+
+export function matchesConditions(conditions, visit, now = Date.now()) {
+  if (conditions.os.length > 0 && !conditions.os.includes(visit.os)) return false;
+  if (conditions.devices.length > 0 && !conditions.devices.includes(visit.device)) return false;
+  // 'pt' matches pt-BR as well as pt; 'pt-br' only pt-BR
+  if (conditions.languages.length > 0
+    && !conditions.languages.some(tag => visit.language === tag || visit.language.startsWith(`${tag}-`))) return false;
+  if (conditions.startsAt !== null && now < conditions.startsAt) return false;
+  if (conditions.endsAt !== null && now >= conditions.endsAt) return false;
+
+  if (conditions.days.length > 0 || conditions.timeFrom) {
+    const { day, minutes } = localTime(now, conditions.timeZone);
+    if (conditions.days.length > 0 && !conditions.days.includes(day)) return false;
+    if (conditions.timeFrom) {
+      const from = toMinutes(conditions.timeFrom);
+      const to = toMinutes(conditions.timeTo);
+      // A window like 22:00-06:00 runs over midnight
+      const inside = from <= to ? minutes >= from && minutes < to : minutes >= from || minutes < to;
+      if (!inside) return false;
+    }
+  }
+  return true;
+}
+
+// Analytics label of a rule's destination: "iOS users", or "Rule 2 (B)" for the second leg of a split
+export function branchName(rule, index, variant) {
+  const name = rule.label || `Rule ${index + 1}`;
+  return rule.destinations.length > 1 ? `${name} (${String.fromCharCode(65 + variant)})` : name;
+}
+
+// Index into destinations, chosen with probability proportional to weight
+export function pickWeighted(destinations, random = Math.random) {
+  const total = destinations.reduce((sum, destination) => sum + destination.weight, 0);
+  let point = random() * total;
+  for (let i = 0; i < destinations.length; i++) {
+    point -= destinations[i].weight;
+    if (point < 0) return i;
+  }
+  return destinations.length - 1;
+}
+
+// { destination, branch } for a visit to urlData. branch is null for links without rules.
+export function selectDestination(urlData, context = {}, now = Date.now(), random = Math.random) {
+  const rules = urlData.rules || [];
+  if (rules.length === 0) return { destination: urlData.originalUrl, branch: null };
+
+  const visit = describeVisit(context);
+  const index = rules.findIndex(rule => matchesConditions(rule.conditions, visit, now));
+  if (index === -1) return { destination: urlData.originalUrl, branch: DEFAULT_BRANCH };
+
+  const rule = rules[index];
+  const variant = pickWeighted(rule.destinations, random);
+  return { destination: rule.destinations[variant].url, branch: branchName(rule, index, variant) };
+}
+
+// Editable form of a rule for the RulesEditor component: languages as comma-separated text, dates as
+// <input type="datetime-local"> values and weights as strings. draftToRule turns it back for normalizeRules.
+export const emptyRuleDraft = (timeZone = 'UTC') => ({
+  id: null,
+  label: '',
+  os: [],
+  devices: [],
+  languages: '',
+  days: [],
+  timeFrom: '',
+  timeTo: '',
+  startsAt: '',
+  endsAt: '',
+  timeZone,
+  destinations: [{ url: '', weight: '1' }]
+});
+
+export function ruleToDraft(rule) {
+  const { conditions } = rule;
+  return {
+    id: rule.id,
+    label: rule.label,
+    os: conditions.os,
+    devices: conditions.devices,
+    languages: conditions.languages.join(', '),
+    days: conditions.days,
+    timeFrom: conditions.timeFrom,
+    timeTo: conditions.timeTo,
+    startsAt: conditions.startsAt === null ? '' : toDateTimeLocal(conditions.startsAt),
+    endsAt: conditions.endsAt === null ? '' : toDateTimeLocal(conditions.endsAt),
+    timeZone: conditions.timeZone,
+    destinations: rule.destinations.map(destination => ({ url: destination.url, weight: String(destination.weight) }))
+  };
+}
+
+export function draftToRule(draft) {
+  return {
+    id: draft.id,
+    label: draft.label,
+    conditions: {
+      os: draft.os,
+      devices: draft.devices,
+      languages: draft.languages.split(',').map(tag => tag.trim()).filter(Boolean),
+      days: draft.days,
+      timeFrom: draft.timeFrom,
+      timeTo: draft.timeTo,
+      startsAt: draft.startsAt || null,
+      endsAt: draft.endsAt || null,
+      timeZone: draft.timeZone.trim()
+    },
+    destinations: draft.destinations.map(destination => ({ url: destination.url.trim(), weight: Number(destination.weight) }))
+  };
+}
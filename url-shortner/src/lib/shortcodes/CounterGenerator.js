@@ -0,0 +1,47 @@
+// Counter-based codes in the spirit of hashids/sqids: each call takes the next value of a
+// persisted counter and maps it through a bijection on [0, alphabet^length), so codes never
+// repeat for a given length but don't look sequential. When a length is used up the code grows.
+
+const MULTIPLIERS = [2654435761n, 40503n, 1000003n, 999983n];
+
+const gcd = (a, b) => (b === 0n ? a : gcd(b, a % b));
+
+export class CounterGenerator {
+  constructor(alphabet, storage, key = 'shortcodeCounter') {
+    this.alphabet = alphabet;
+    this.base = BigInt(alphabet.length);
+    this.storage = storage;
+    this.key = key;
+    // Any multiplier coprime with the base is coprime with every power of it, hence a bijection
+    this.multiplier = MULTIPLIERS.find(candidate => gcd(candidate, this.base) === 1n);
+  }
+
+  nextCounter() {
+    const counter = this.storage.get(this.key) || 0;
+    this.storage.set(this.key, counter + 1);
+    return BigInt(counter);
+  }
+
+  next(length) {
+    let counter = this.nextCounter();
+    let size = length;
+    let space = this.base ** BigInt(size);
+
+    // Skip past the ranges of shorter lengths that are already exhausted
+    while (counter >= space) {
+      counter -= space;
+      size++;
+      space = this.base ** BigInt(size);
+    }
+
+    let value = ((counter + 1n) * this.multiplier) % space;
+    let code = '';
+    for (let i = 0; i < size; i++) {
+      code = this.alphabet[Number(value % this.base)] + code;
+      value /= this.base;
+    }
+    return code;
+  }
+}
+
+export default CounterGenerator;
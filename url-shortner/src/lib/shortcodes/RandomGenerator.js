@@ -0,0 +1,26 @@
+// Cryptographically random codes (Web Crypto, available in browsers and Node 20+).
+// Rejection sampling keeps every character equally likely for any alphabet size.
+export class RandomGenerator {
+  constructor(alphabet) {
+    this.alphabet = alphabet;
+    this.limit = 256 - (256 % alphabet.length);
+  }
+
+  next(length) {
+    let code = '';
+    const bytes = new Uint8Array(length * 2);
+
+    while (code.length < length) {
+      crypto.getRandomValues(bytes);
+      for (const byte of bytes) {
+        if (byte < this.limit) {
+          code += this.alphabet[byte % this.alphabet.length];
+          if (code.length === length) break;
+        }
+      }
+    }
+    return code;
+  }
+}
+
+export default RandomGenerator;
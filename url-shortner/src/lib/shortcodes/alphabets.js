@@ -0,0 +1,22 @@
+export const BASE62 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+
+// Base62 without characters that are easy to confuse when read aloud or printed: 0/O/o, 1/l/I
+export const UNAMBIGUOUS = 'ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnpqrstuvwxyz23456789';
+
+export const ALPHABETS = {
+  base62: BASE62,
+  unambiguous: UNAMBIGUOUS
+};
+
+// Accepts a named alphabet or a custom string of unique alphanumeric characters
+export function resolveAlphabet(alphabet) {
+  const chars = ALPHABETS[alphabet] || alphabet;
+
+  if (typeof chars !== 'string' || !/^[a-zA-Z0-9]+$/.test(chars) || chars.length < 2) {
+    throw new Error(`Invalid shortcode alphabet: ${alphabet}`);
+  }
+  if (new Set(chars).size !== chars.length) {
+    throw new Error('Shortcode alphabet must not repeat characters');
+  }
+  return chars;
+}
@@ -0,0 +1,41 @@
+import { reservedPrefixes } from '../router.js';
+
+// Codes that must never be issued, generated or custom.
+
+// Paths the app and server own or may own later; a link with one of these codes could never be reached.
+// Every fixed route in lib/router.js is included, so adding a page reserves its path.
+export const RESERVED_SHORTCODES = [...new Set([
+  'statistics', 'stats', 'api', 'assets', 'admin', 'login', 'logout', 'register',
+  'settings', 'preview', 'links', 'audit', 'health', 'static', 'favicon', 'index',
+  ...reservedPrefixes()
+])];
+
+// Matched case-insensitively: anywhere inside a generated code, as a whole word in a custom one
+const BLOCKED_WORDS = [
+  'fuck', 'shit', 'cunt', 'bitch', 'dick', 'cock', 'piss', 'slut', 'whore',
+  'nigg', 'fag', 'rape', 'nazi', 'porn', 'anal', 'twat', 'wank', 'bastard'
+];
+
+export function isReservedShortcode(code, extraWords = []) {
+  const lower = code.toLowerCase();
+  return RESERVED_SHORTCODES.includes(lower) || extraWords.some(word => lower === word.toLowerCase());
+}
+
+export function containsBlockedWord(code, extraWords = []) {
+  const lower = code.toLowerCase();
+  return [...BLOCKED_WORDS, ...extraWords].some(word => lower.includes(word.toLowerCase()));
+}
+
+// The words a reader sees in a code: split at case changes and between letters and digits,
+// e.g. "myDickPic" -> my, Dick, Pic and "grapes2024" -> grapes, 2024
+const codeWords = (code) => code.match(/[A-Z]+(?![a-z])|[A-Z]?[a-z]+|[0-9]+/g) || [];
+
+// Custom codes are chosen on purpose and blocked words turn up inside ordinary ones ("grapes",
+// "Scunthorpe"), so only a whole word, or its plural, counts
+export function hasBlockedWord(code, extraWords = []) {
+  const words = [...BLOCKED_WORDS, ...extraWords].map(word => word.toLowerCase());
+  return codeWords(code).some(part => {
+    const lower = part.toLowerCase();
+    return words.some(word => lower === word || lower === `${word}s`);
+  });
+}
@@ -0,0 +1,37 @@
+import { resolveAlphabet } from './alphabets.js';
+import { CounterGenerator } from './CounterGenerator.js';
+import { RandomGenerator } from './RandomGenerator.js';
+
+export { ALPHABETS, BASE62, UNAMBIGUOUS } from './alphabets.js';
+export { RESERVED_SHORTCODES, containsBlockedWord, hasBlockedWord, isReservedShortcode } from './blocklist.js';
+export { CounterGenerator, RandomGenerator };
+
+export const DEFAULT_SHORTCODE_OPTIONS = {
+  strategy: 'random',
+  length: 6,
+  alphabet: 'base62',
+  reserved: [],
+  blocked: []
+};
+
+// Build the generator URLManager draws codes from.
+// options: { strategy: 'random' | 'counter', length, alphabet, reserved, blocked }
+export function createShortcodeGenerator(storage, options = {}) {
+  const config = { ...DEFAULT_SHORTCODE_OPTIONS, ...options };
+  const alphabet = resolveAlphabet(config.alphabet);
+
+  if (!Number.isInteger(config.length) || config.length < 1 || config.length > 10) {
+    throw new Error('Shortcode length must be an integer between 1 and 10');
+  }
+
+  let generator;
+  if (config.strategy === 'random') {
+    generator = new RandomGenerator(alphabet);
+  } else if (config.strategy === 'counter') {
+    generator = new CounterGenerator(alphabet, storage);
+  } else {
+    throw new Error(`Unknown shortcode strategy: ${config.strategy}`);
+  }
+
+  return { generator, ...config };
+}
@@ -0,0 +1,40 @@
+// Browser storage adapter backed by window.localStorage.
+// Shared by every tab on the same origin, so a short link opened in a new tab still resolves.
+export class LocalStorageAdapter {
+  constructor(prefix = 'urlShortener:', backend = window.localStorage) {
+    this.prefix = prefix;
+    this.backend = backend;
+  }
+
+  get(key) {
+    const raw = this.backend.getItem(this.prefix + key);
+    if (raw === null) return null;
+
+    try {
+      return JSON.parse(raw);
+    } catch {
+      return null;
+    }
+  }
+
+  set(key, value) {
+    this.backend.setItem(this.prefix + key, JSON.stringify(value));
+  }
+
+  remove(key) {
+    this.backend.removeItem(this.prefix + key);
+  }
+
+  static isAvailable() {
+    try {
+      const probe = '__urlShortener_probe__';
+      window.localStorage.setItem(probe, probe);
+      window.localStorage.removeItem(probe);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+}
+
+export default LocalStorageAdapter;
@@ -0,0 +1,26 @@
+// In-memory storage adapter (tests, server fallback, browsers without localStorage).
+// Values are cloned on the way in and out so callers can't mutate stored state.
+export class MemoryStorage {
+  constructor(initial = {}) {
+    this.data = new Map(Object.entries(initial));
+  }
+
+  get(key) {
+    if (!this.data.has(key)) return null;
+    return structuredClone(this.data.get(key));
+  }
+
+  set(key, value) {
+    this.data.set(key, structuredClone(value));
+  }
+
+  remove(key) {
+    this.data.delete(key);
+  }
+
+  snapshot() {
+    return structuredClone(Object.fromEntries(this.data));
+  }
+}
+
+export default MemoryStorage;
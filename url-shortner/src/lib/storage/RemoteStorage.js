@@ -0,0 +1,190 @@
+import { MemoryStorage } from './MemoryStorage.js';
+import { mergeChanges } from './merge.js';
+import { Logger } from '../Logger.js';
+
+const MAX_PUSH_ATTEMPTS = 5;
+
+// Kept by the server and changed through /api/account (see RemoteAccountManager); the snapshot only
+// carries what the app shows of them, so they are never pushed back
+export const SERVER_OWNED_KEYS = ['users', 'apiKeys', 'rateLimitBuckets'];
+
+// Browser storage adapter used when the app is served by the Node server (server/index.js).
+// Reads come from a local snapshot so URLManager stays synchronous; writes are pushed to the
+// server, and the snapshot is refreshed periodically to pick up redirects served to other visitors.
+// Each write names the server version of the key it was based on. If the server has moved on
+// (another tab, or a redirect counting a click) the write is rejected with the server's copy,
+// and the changes made here are replayed on top of it before trying again (see merge.js).
+export class RemoteStorage {
+  constructor(endpoint, snapshot = {}, versions = {}) {
+    this.endpoint = endpoint;
+    this.cache = new MemoryStorage(snapshot);
+    // The server's copy of each key as of its version, i.e. what local changes were made against
+    this.base = new MemoryStorage(snapshot);
+    this.versions = { ...versions };
+    // key -> the push in flight for it
+    this.pushes = new Map();
+    this.dirtyKeys = new Set();
+    this.syncTimer = null;
+    this.logger = new Logger('RemoteStorage');
+  }
+
+  // Resolves to { data, versions }
+  static async fetchSnapshot(endpoint) {
+    const response = await fetch(endpoint, { headers: { Accept: 'application/json' } });
+    const type = response.headers.get('Content-Type') || '';
+
+    // The Vite dev server answers every path with index.html
+    if (!response.ok || !type.includes('application/json')) {
+      throw new Error(`No storage server at ${endpoint}`);
+    }
+    return response.json();
+  }
+
+  static async connect(endpoint = '/api/storage') {
+    const { data, versions } = await RemoteStorage.fetchSnapshot(endpoint);
+    return new RemoteStorage(endpoint, data, versions);
+  }
+
+  get(key) {
+    return this.cache.get(key);
+  }
+
+  set(key, value) {
+    this.cache.set(key, value);
+    this.schedulePush(key);
+  }
+
+  remove(key) {
+    this.cache.remove(key);
+    this.schedulePush(key);
+  }
+
+  // Writes made in the same tick (e.g. a bulk import) are coalesced into one request per key
+  schedulePush(key) {
+    if (SERVER_OWNED_KEYS.includes(key)) {
+      this.logger.warn('Not syncing a key the server owns', { key });
+      return;
+    }
+    if (this.dirtyKeys.size === 0) {
+      queueMicrotask(() => this.flush());
+    }
+    this.dirtyKeys.add(key);
+  }
+
+  // Pushes of the same key run one after another, each naming the version the previous one produced
+  flush() {
+    const keys = [...this.dirtyKeys];
+    this.dirtyKeys.clear();
+
+    keys.forEach(key => {
+      const push = (this.pushes.get(key) || Promise.resolve()).then(() => this.push(key));
+      this.pushes.set(key, push);
+      push.then(() => {
+        if (this.pushes.get(key) === push) this.pushes.delete(key);
+      });
+    });
+  }
+
+  writeRequest(key, value) {
+    const version = this.versions[key];
+    const headers = version ? { 'If-Match': version } : { 'If-None-Match': '*' };
+    if (value === null) {
+      return { method: 'DELETE', headers, keepalive: true };
+    }
+
+    // keepalive lets a write survive navigating away (redirects), but browsers cap it at 64 KB
+    const body = JSON.stringify(value);
+    return { method: 'PUT', headers: { ...headers, 'Content-Type': 'application/json' }, body, keepalive: body.length < 60000 };
+  }
+
+  async push(key) {
+    try {
+      for (let attempt = 0; attempt < MAX_PUSH_ATTEMPTS; attempt++) {
+        const value = this.cache.get(key);
+        const response = await fetch(`${this.endpoint}/${encodeURIComponent(key)}`, this.writeRequest(key, value));
+        const body = await response.json().catch(() => null);
+
+        if (response.ok) {
+          this.versions[key] = body.data.version;
+          this.store(this.base, key, value);
+          return;
+        }
+        if (response.status !== 409) {
+          throw new Error(body?.error?.message || `Server answered ${response.status}`);
+        }
+
+        const { value: current, version } = body.error.details;
+        this.logger.info('Merging with a newer server copy', { key, attempt });
+        this.store(this.cache, key, mergeChanges(this.base.get(key), this.cache.get(key), current));
+        this.store(this.base, key, current);
+        this.versions[key] = version;
+        this.announce();
+      }
+      throw new Error('The server copy kept changing');
+    } catch (error) {
+      this.logger.error('Failed to sync key to server', { key, error: error.message });
+    }
+  }
+
+  store(target, key, value) {
+    if (value === null || value === undefined) {
+      target.remove(key);
+    } else {
+      target.set(key, value);
+    }
+  }
+
+  // Resolves once every write made so far has reached the server (or given up)
+  async idle() {
+    while (this.dirtyKeys.size > 0 || this.pushes.size > 0) {
+      await Promise.all([Promise.resolve(), ...this.pushes.values()]);
+    }
+  }
+
+  // Take keys the server changed on this browser's behalf; { data, versions } as in the snapshot
+  receive({ data, versions }) {
+    Object.entries(data).forEach(([key, value]) => {
+      this.store(this.cache, key, value);
+      this.store(this.base, key, value);
+    });
+    Object.assign(this.versions, versions);
+    this.announce();
+  }
+
+  // Replace the local snapshot with the server's copy; returns true if anything changed
+  async refresh() {
+    const { data, versions } = await RemoteStorage.fetchSnapshot(this.endpoint);
+
+    // A newer local write is still in flight; the next refresh will catch up
+    if (this.pushes.size > 0 || this.dirtyKeys.size > 0) return false;
+
+    this.base = new MemoryStorage(data);
+    this.versions = { ...versions };
+    const changed = JSON.stringify(data) !== JSON.stringify(this.cache.snapshot());
+    if (changed) {
+      this.cache = new MemoryStorage(data);
+    }
+    return changed;
+  }
+
+  // Tell the app to re-render, the same way localStorage announces changes from other tabs
+  announce() {
+    if (typeof window !== 'undefined') window.dispatchEvent(new Event('storage'));
+  }
+
+  startSync(intervalMs = 5000) {
+    this.stopSync();
+    this.syncTimer = setInterval(() => {
+      this.refresh()
+        .then(changed => changed && this.announce())
+        .catch(() => {});
+    }, intervalMs);
+  }
+
+  stopSync() {
+    clearInterval(this.syncTimer);
+    this.syncTimer = null;
+  }
+}
+
+export default RemoteStorage;
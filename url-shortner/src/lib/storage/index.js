@@ -0,0 +1,21 @@
+import { LocalStorageAdapter } from './LocalStorageAdapter.js';
+import { MemoryStorage } from './MemoryStorage.js';
+import { RemoteStorage, SERVER_OWNED_KEYS } from './RemoteStorage.js';
+
+export { LocalStorageAdapter, MemoryStorage, RemoteStorage, SERVER_OWNED_KEYS };
+export { migrate, SCHEMA_VERSION } from './migrations.js';
+
+let defaultStorage = null;
+
+// Shared storage used when URLManager is constructed without one:
+// localStorage in the browser, memory everywhere else.
+export function getDefaultStorage() {
+  if (!defaultStorage) {
+    defaultStorage = LocalStorageAdapter.isAvailable() ? new LocalStorageAdapter() : new MemoryStorage();
+  }
+  return defaultStorage;
+}
+
+export function setDefaultStorage(storage) {
+  defaultStorage = storage;
+}
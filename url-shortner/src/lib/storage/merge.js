@@ -0,0 +1,53 @@
+// Three-way merge used by RemoteStorage when the server's copy of a key moved on since it was read:
+// the changes made locally (base -> local) are replayed on top of the server's current value.
+// - lists of records with an id merge per record: local additions, removals and edits
+// - objects merge per property, recursively
+// - counters (clicks) merge as deltas, so visits counted on both sides add up
+// - anything else changed locally takes the local value
+
+const COUNTER_FIELDS = new Set(['clicks']);
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isRecordList = (value) => Array.isArray(value) && value.every(item => isPlainObject(item) && item.id !== undefined);
+
+function mergeRecordLists(base, local, current) {
+  const baseById = new Map(base.map(item => [item.id, item]));
+  const localById = new Map(local.map(item => [item.id, item]));
+  const currentIds = new Set(current.map(item => item.id));
+
+  const kept = current
+    .filter(item => !baseById.has(item.id) || localById.has(item.id))
+    .map(item => (baseById.has(item.id) ? mergeChanges(baseById.get(item.id), localById.get(item.id), item) : item));
+  const added = local.filter(item => !baseById.has(item.id) && !currentIds.has(item.id));
+  return [...kept, ...added];
+}
+
+function mergeObjects(base, local, current) {
+  const merged = { ...current };
+  new Set([...Object.keys(base), ...Object.keys(local)]).forEach(key => {
+    if (same(base[key], local[key])) return;
+
+    if (!(key in local)) {
+      delete merged[key];
+    } else if (COUNTER_FIELDS.has(key) && [base[key], local[key], current[key]].every(Number.isFinite)) {
+      merged[key] = current[key] + local[key] - base[key];
+    } else {
+      merged[key] = mergeChanges(base[key], local[key], current[key]);
+    }
+  });
+  return merged;
+}
+
+export function mergeChanges(base, local, current) {
+  if (same(base, local)) return current;
+  if (same(base, current) || same(local, current)) return local;
+
+  if (isRecordList(local) && isRecordList(current) && (base == null || isRecordList(base))) {
+    return mergeRecordLists(base || [], local, current);
+  }
+  if (isPlainObject(local) && isPlainObject(current) && (base == null || isPlainObject(base))) {
+    return mergeObjects(base || {}, local, current);
+  }
+  return local;
+}
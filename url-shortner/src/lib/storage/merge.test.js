@@ -0,0 +1,47 @@
+import { describe, expect, it } from 'vitest';
+import { mergeChanges } from './merge.js';
+
+const link = (id, fields = {}) => ({ id, shortcode: id, clicks: 0, title: '', ...fields });
+
+describe('mergeChanges', () => {
+  it('keeps the server copy when nothing changed locally', () => {
+    const base = [link('a')];
+    expect(mergeChanges(base, base, [link('a', { clicks: 3 })])).toEqual([link('a', { clicks: 3 })]);
+  });
+
+  it('merges edits to the same record field by field and adds up clicks', () => {
+    const base = [link('a', { clicks: 1 })];
+    const local = [link('a', { clicks: 2, title: 'Docs' })];
+    const current = [link('a', { clicks: 4 })];
+
+    expect(mergeChanges(base, local, current)).toEqual([link('a', { clicks: 5, title: 'Docs' })]);
+  });
+
+  it('keeps records added and removed on either side', () => {
+    const base = [link('a'), link('b')];
+    const local = [link('a'), link('c')];
+    const current = [link('a'), link('b'), link('d')];
+
+    expect(mergeChanges(base, local, current).map(item => item.id)).toEqual(['a', 'd', 'c']);
+  });
+
+  it('appends events recorded on both sides', () => {
+    const local = [{ id: 'e1' }, { id: 'e2' }];
+    const current = [{ id: 'e1' }, { id: 'e3' }];
+    expect(mergeChanges([{ id: 'e1' }], local, current)).toEqual([{ id: 'e1' }, { id: 'e3' }, { id: 'e2' }]);
+  });
+
+  it('merges maps per entry', () => {
+    const base = { a: { checks: [] } };
+    const local = { a: { checks: [] }, b: { checks: [1] } };
+    const current = { a: { checks: [2] } };
+
+    expect(mergeChanges(base, local, current)).toEqual({ a: { checks: [2] }, b: { checks: [1] } });
+  });
+
+  it('lets local changes to plain values win', () => {
+    expect(mergeChanges(10, 11, 11)).toBe(11);
+    expect(mergeChanges('x', 'y', 'z')).toBe('y');
+    expect(mergeChanges(null, [link('a')], null)).toEqual([link('a')]);
+  });
+});
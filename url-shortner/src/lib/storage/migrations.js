@@ -0,0 +1,101 @@
+// Schema versioning for persisted data.
+// migrations[n] upgrades a store from version n to n + 1; append new steps, never edit old ones.
+export const SCHEMA_VERSION = 11;
+
+const migrations = [
+  // v0 -> v1: adopt records from the legacy in-memory window.urlDatabase and normalize their shape
+  (storage) => {
+    const legacy = typeof window !== 'undefined' && Array.isArray(window.urlDatabase) ? window.urlDatabase : [];
+    const existing = storage.get('urls') || [];
+    const known = new Set(existing.map(url => String(url.id)));
+
+    const urls = [...existing, ...legacy.filter(url => !known.has(String(url.id)))].map(url => ({
+      id: String(url.id),
+      originalUrl: url.originalUrl,
+      shortcode: url.shortcode,
+      created: Number(url.created),
+      expires: Number(url.expires),
+      clicks: Number(url.clicks) || 0
+    }));
+
+    storage.set('urls', urls);
+  },
+
+  // v1 -> v2: links can be disabled before they expire
+  (storage) => {
+    const urls = (storage.get('urls') || []).map(url => ({ disabled: false, ...url }));
+    storage.set('urls', urls);
+  },
+
+  // v2 -> v3: optional password protection and click limits
+  (storage) => {
+    const urls = (storage.get('urls') || []).map(url => ({ passwordHash: null, maxClicks: null, ...url }));
+    storage.set('urls', urls);
+  },
+
+  // v3 -> v4: per-link choice between redirecting directly and showing the preview page
+  (storage) => {
+    const urls = (storage.get('urls') || []).map(url => ({ redirectMode: 'direct', ...url }));
+    storage.set('urls', urls);
+  },
+
+  // v4 -> v5: links record the host they were issued on; null means the default domain
+  (storage) => {
+    const urls = (storage.get('urls') || []).map(url => ({ domain: null, ...url }));
+    storage.set('urls', urls);
+  },
+
+  // v5 -> v6: links belong to the user who created them; older links have no owner (admins only)
+  (storage) => {
+    const urls = (storage.get('urls') || []).map(url => ({ owner: null, ...url }));
+    storage.set('urls', urls);
+  },
+
+  // v6 -> v7: links may be scheduled to start working later (activates), and expires may be null for never
+  (storage) => {
+    const urls = (storage.get('urls') || []).map(url => ({ activates: null, ...url }));
+    storage.set('urls', urls);
+  },
+
+  // v7 -> v8: links can pass the short URL's query parameters on to their destination
+  (storage) => {
+    const urls = (storage.get('urls') || []).map(url => ({ forwardQuery: false, ...url }));
+    storage.set('urls', urls);
+  },
+
+  // v8 -> v9: links can route visits to other destinations by device, language and time (see lib/routing/rules.js)
+  (storage) => {
+    const urls = (storage.get('urls') || []).map(url => ({ rules: [], ...url }));
+    storage.set('urls', urls);
+  },
+
+  // v9 -> v10: links carry a title, notes and tags, and may belong to a campaign (see lib/campaigns.js)
+  (storage) => {
+    const urls = (storage.get('urls') || []).map(url => ({ title: '', notes: '', tags: [], campaign: null, ...url }));
+    storage.set('urls', urls);
+  },
+
+  // v10 -> v11: links may name a fallback URL the link checker switches to while the destination is broken
+  (storage) => {
+    const urls = (storage.get('urls') || []).map(url => ({ fallbackUrl: null, fallbackActive: false, ...url }));
+    storage.set('urls', urls);
+  }
+];
+
+export function migrate(storage, logger) {
+  let version = storage.get('schemaVersion') || 0;
+
+  if (version > SCHEMA_VERSION) {
+    logger.warn('Stored schema is newer than this build', { stored: version, supported: SCHEMA_VERSION });
+    return version;
+  }
+
+  while (version < SCHEMA_VERSION) {
+    migrations[version](storage);
+    version++;
+    storage.set('schemaVersion', version);
+    logger.info('Storage migrated', { version });
+  }
+
+  return version;
+}
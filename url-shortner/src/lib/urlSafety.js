@@ -0,0 +1,148 @@
+import { ErrorCodes, URLError } from './errors.js';
+
+// Destination checks run before a link is created or edited.
+// The server reads its lists from env (DOMAIN_ALLOWLIST, ...) and publishes them under 'safety' for the
+// app it serves; a standalone build bakes them in with VITE_DOMAIN_ALLOWLIST, VITE_DOMAIN_DENYLIST and
+// VITE_ALLOW_PRIVATE_TARGETS.
+// options: { allowlist, denylist, shortenerHosts, allowPrivate }
+//   allowlist / denylist  domains; an entry also matches its subdomains
+//   shortenerHosts        host[:port] values this app is served from, to catch redirect loops
+//   allowPrivate          permit loopback / private network targets (off by default)
+
+export const DEFAULT_SAFETY_OPTIONS = {
+  allowlist: [],
+  denylist: [],
+  shortenerHosts: typeof window !== 'undefined' ? [window.location.host] : [],
+  allowPrivate: false
+};
+
+const splitList = (value) => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+// Lists baked in at build time; empty outside a Vite build
+export function getBuildTimeSafety() {
+  const env = import.meta.env || {};
+  return {
+    allowlist: splitList(env.VITE_DOMAIN_ALLOWLIST),
+    denylist: splitList(env.VITE_DOMAIN_DENYLIST),
+    allowPrivate: env.VITE_ALLOW_PRIVATE_TARGETS === 'true'
+  };
+}
+
+const PRIVATE_HOSTNAMES = /(^|\.)(localhost|local|internal|intranet|home\.arpa|lan)$/;
+
+const parseIPv4 = (hostname) => {
+  const parts = hostname.split('.');
+  if (parts.length !== 4 || !parts.every(part => /^\d{1,3}$/.test(part))) return null;
+  const octets = parts.map(Number);
+  return octets.every(octet => octet <= 255) ? octets : null;
+};
+
+function isPrivateIPv4([a, b]) {
+  return a === 0 ||
+    a === 10 ||
+    a === 127 ||
+    (a === 100 && b >= 64 && b <= 127) ||
+    (a === 169 && b === 254) ||
+    (a === 172 && b >= 16 && b <= 31) ||
+    (a === 192 && b === 168) ||
+    a >= 224;
+}
+
+function isPrivateIPv6(address) {
+  const lower = address.toLowerCase();
+  if (lower === '::' || lower === '::1') return true;
+  if (/^f[cd]/.test(lower) || /^fe[89ab]/.test(lower)) return true;
+
+  // IPv4-mapped (::ffff:7f00:1 after URL normalization)
+  const mapped = lower.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+  if (mapped) {
+    const high = parseInt(mapped[1], 16);
+    return isPrivateIPv4([high >> 8, high & 255]);
+  }
+  return false;
+}
+
+// Loopback, link-local, private-range and intranet-only names
+export function isPrivateHost(hostname) {
+  const host = hostname.toLowerCase();
+
+  if (host.startsWith('[') && host.endsWith(']')) {
+    return isPrivateIPv6(host.slice(1, -1));
+  }
+
+  const ipv4 = parseIPv4(host);
+  if (ipv4) return isPrivateIPv4(ipv4);
+
+  return PRIVATE_HOSTNAMES.test(host) || !host.includes('.');
+}
+
+// An address as DNS resolves it: "10.0.0.1", "::1" or "::ffff:127.0.0.1"
+export function isPrivateAddress(address) {
+  const mapped = address.match(/^::ffff:(\d{1,3}(?:\.\d{1,3}){3})$/i);
+  if (mapped) return isPrivateHost(mapped[1]);
+  return address.includes(':') ? isPrivateIPv6(address) : isPrivateHost(address);
+}
+
+export function matchesDomain(hostname, domains) {
+  const host = hostname.toLowerCase();
+  return domains.some(domain => {
+    const entry = domain.trim().toLowerCase().replace(/^\*\./, '');
+    return entry && (host === entry || host.endsWith(`.${entry}`));
+  });
+}
+
+const fail = (code, message) => {
+  throw new URLError(code, message);
+};
+
+// Parse, normalize and vet a destination. Returns the normalized URL string or throws a URLError.
+export function checkDestination(rawUrl, options = {}) {
+  const config = { ...DEFAULT_SAFETY_OPTIONS, ...options };
+
+  if (typeof rawUrl !== 'string' || !/^https?:\/\//i.test(rawUrl.trim())) {
+    fail(ErrorCodes.INVALID_URL, 'URL must start with http:// or https://');
+  }
+
+  // Whitespace or control characters inside a URL are a common way to smuggle a second URL past filters
+  const trimmed = rawUrl.trim();
+  if (/\s/.test(trimmed) || [...trimmed].some(char => char.charCodeAt(0) < 32 || char.charCodeAt(0) === 127)) {
+    fail(ErrorCodes.INVALID_URL, 'URL must not contain spaces or control characters');
+  }
+
+  let url;
+  try {
+    url = new URL(trimmed);
+  } catch {
+    fail(ErrorCodes.INVALID_URL, 'URL is not valid');
+  }
+
+  if (!url.hostname.replace(/\.$/, '')) {
+    fail(ErrorCodes.INVALID_URL, 'URL must include a host name');
+  }
+
+  if (url.username || url.password) {
+    fail(ErrorCodes.INVALID_URL, 'URLs with embedded credentials are not allowed');
+  }
+
+  // Trailing dots make "example.com." a different string for the same host
+  url.hostname = url.hostname.replace(/\.$/, '');
+  const hostname = url.hostname;
+
+  if (config.shortenerHosts.some(host => host && host.toLowerCase() === url.host)) {
+    fail(ErrorCodes.REDIRECT_LOOP, 'Links cannot point back to this URL shortener');
+  }
+
+  if (!config.allowPrivate && isPrivateHost(hostname)) {
+    fail(ErrorCodes.PRIVATE_ADDRESS, 'Links to local or private network addresses are not allowed');
+  }
+
+  if (matchesDomain(hostname, config.denylist)) {
+    fail(ErrorCodes.DOMAIN_BLOCKED, `Links to ${hostname} are not allowed`);
+  }
+
+  if (config.allowlist.length > 0 && !matchesDomain(hostname, config.allowlist)) {
+    fail(ErrorCodes.DOMAIN_NOT_ALLOWED, `Only links to ${config.allowlist.join(', ')} are allowed`);
+  }
+
+  return url.href;
+}
@@ -0,0 +1,47 @@
+// Query-string helpers: composing UTM-tagged destinations and forwarding a short URL's parameters.
+
+export const UTM_FIELDS = ['source', 'medium', 'campaign', 'term', 'content'];
+
+export const EMPTY_UTM = { source: '', medium: '', campaign: '', term: '', content: '' };
+
+// Parameters the shortener reads itself (?go=1 from the preview page), never passed on
+export const RESERVED_QUERY_PARAMS = ['go'];
+
+// Destination with utm_* set from the non-empty fields, replacing any it already had.
+// Unparseable input is returned as-is so URLManager's validation can report it.
+export function applyUtm(rawUrl, utm) {
+  let url;
+  try {
+    url = new URL(rawUrl.trim());
+  } catch {
+    return rawUrl;
+  }
+  UTM_FIELDS.forEach(field => {
+    const value = (utm[field] || '').trim();
+    if (value) url.searchParams.set(`utm_${field}`, value);
+  });
+  return url.href;
+}
+
+export const hasUtm = (utm) => UTM_FIELDS.some(field => (utm[field] || '').trim());
+
+// Destination plus the parameters a visitor's request carried (URLSearchParams or a query string).
+// The link's own parameters win, so forwarding can add to a tagged URL but never rewrite its tags.
+export function forwardQuery(destination, params) {
+  const incoming = params instanceof URLSearchParams ? params : new URLSearchParams(params || '');
+  const url = new URL(destination);
+  const fixed = new Set(url.searchParams.keys());
+
+  incoming.forEach((value, key) => {
+    if (!fixed.has(key) && !RESERVED_QUERY_PARAMS.includes(key)) {
+      url.searchParams.append(key, value);
+    }
+  });
+  return url.href;
+}
+
+// The forwardable part of a request's query, as a string without '?'
+export function forwardableQuery(params) {
+  const incoming = params instanceof URLSearchParams ? params : new URLSearchParams(params || '');
+  return new URLSearchParams([...incoming].filter(([key]) => !RESERVED_QUERY_PARAMS.includes(key))).toString();
+}
@@ -0,0 +1,38 @@
+// What the app does when a short link is opened in the browser, as { page, link, redirectTo }:
+// page is the page to show ('unlock', 'preview', 'redirecting' or 'unavailable') and link the state it needs.
+// A followable link has its click counted here and redirectTo set to where the browser should go;
+// context describes the visit (see getBrowserClickContext) and search is the short URL's query string.
+export function planVisit(manager, shortcode, domain, context = {}, search = '') {
+  const { status, urlData } = manager.resolveShortcode(shortcode, domain);
+
+  if (status === 'protected') {
+    return { page: 'unlock', link: { shortcode, domain } };
+  }
+  if (status === 'active' && urlData.redirectMode === 'preview') {
+    return { page: 'preview', link: { shortcode, domain, autoContinue: true } };
+  }
+  if (status === 'active') {
+    const { destination, branch } = manager.routeVisit(urlData, context);
+    // Another tab or the server may have spent the last click since the link was resolved
+    if (!manager.incrementClicks(shortcode, { ...context, branch }, domain)) {
+      return { page: 'unavailable', link: { shortcode, status: 'exhausted', urlData } };
+    }
+    return {
+      page: 'redirecting',
+      link: { shortcode, urlData, destination, branch },
+      redirectTo: manager.getRedirectTarget(urlData, search, destination)
+    };
+  }
+  return { page: 'unavailable', link: { shortcode, status, urlData } };
+}
+
+// The same for /preview/:shortcode and /:shortcode+: the preview page for links that can be followed
+// (or unlocked), and the unavailable page, counting nothing, for any other code
+export function planPreview(manager, shortcode, domain) {
+  const { status, urlData } = manager.resolveShortcode(shortcode, domain);
+
+  if (status === 'active' || status === 'protected') {
+    return { page: 'preview', link: { shortcode, domain, autoContinue: false } };
+  }
+  return { page: 'unavailable', link: { shortcode, status, urlData } };
+}
@@ -0,0 +1,117 @@
+import { beforeAll, beforeEach, describe, expect, it } from 'vitest';
+import { planPreview, planVisit } from './visit.js';
+import { URLManager } from './URLManager.js';
+import { configureLogging } from './Logger.js';
+import { MemoryStorage } from './storage/index.js';
+
+const IPHONE = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 Mobile/15E148 Safari/604.1';
+
+beforeAll(() => {
+  configureLogging({ level: 'silent' });
+});
+
+describe('planVisit', () => {
+  let manager;
+
+  beforeEach(() => {
+    manager = new URLManager(new MemoryStorage(), { domains: ['https://sho.rt'] });
+  });
+
+  it('redirects an active link and counts the click', () => {
+    manager.createShortUrl('https://example.com/landing', 30, 'go');
+    const visit = planVisit(manager, 'go', null, { userAgent: IPHONE });
+
+    expect(visit.page).toBe('redirecting');
+    expect(visit.redirectTo).toBe('https://example.com/landing');
+    expect(manager.getUrlByShortcode('go').clicks).toBe(1);
+    expect(manager.getClickStats('go').devices).toEqual([{ name: 'mobile', count: 1 }]);
+  });
+
+  it('forwards the query string when the link asks for it', () => {
+    manager.createShortUrl('https://example.com/?utm_source=mail', 30, 'fwd', { forwardQuery: true });
+    expect(planVisit(manager, 'fwd', null, {}, '?ref=x&utm_source=spam').redirectTo)
+      .toBe('https://example.com/?utm_source=mail&ref=x');
+  });
+
+  it('follows the routing rule that matches the visitor', () => {
+    manager.createShortUrl('https://example.com', 30, 'app', {
+      rules: [{ label: 'iPhone', conditions: { os: ['iOS'] }, destinations: [{ url: 'https://apps.apple.com/app/id1' }] }]
+    });
+
+    const visit = planVisit(manager, 'app', null, { userAgent: IPHONE });
+    expect(visit.redirectTo).toBe('https://apps.apple.com/app/id1');
+    expect(visit.link.branch).toBe('iPhone');
+    expect(planVisit(manager, 'app', null, { userAgent: 'curl/8.0' }).redirectTo).toBe('https://example.com/');
+  });
+
+  it('asks for the password of a protected link without counting', () => {
+    manager.createShortUrl('https://example.com', 30, 'secret', { password: 'hunter2' });
+    const visit = planVisit(manager, 'secret', null);
+
+    expect(visit).toEqual({ page: 'unlock', link: { shortcode: 'secret', domain: null } });
+    expect(manager.loadUrls()[0].clicks).toBe(0);
+  });
+
+  it('shows the preview page for preview links', () => {
+    manager.createShortUrl('https://example.com', 30, 'look', { redirectMode: 'preview' });
+    expect(planVisit(manager, 'look', null).page).toBe('preview');
+  });
+
+  it.each([
+    ['missing', () => {}],
+    ['disabled', (m) => m.setDisabled(m.createShortUrl('https://example.com', 30, 'code').shortcode, true)],
+    ['exhausted', (m) => {
+      m.createShortUrl('https://example.com', 30, 'code', { maxClicks: 1 });
+      m.incrementClicks('code');
+    }]
+  ])('reports a %s link as unavailable', (status, setup) => {
+    setup(manager);
+    const visit = planVisit(manager, 'code', null);
+
+    expect(visit.page).toBe('unavailable');
+    expect(visit.link.status).toBe(status);
+    expect(visit.redirectTo).toBeUndefined();
+  });
+
+  it('reports the link as exhausted when its last click is spent after resolving it', () => {
+    manager.createShortUrl('https://example.com', 30, 'last', { maxClicks: 1 });
+    // Another visitor takes the last click between the lookup and the count
+    const resolve = manager.resolveShortcode.bind(manager);
+    manager.resolveShortcode = (...args) => {
+      const resolved = resolve(...args);
+      manager.incrementClicks('last');
+      return resolved;
+    };
+    const visit = planVisit(manager, 'last', null);
+
+    expect(visit.page).toBe('unavailable');
+    expect(visit.link.status).toBe('exhausted');
+    expect(visit.redirectTo).toBeUndefined();
+    expect(manager.loadUrls().find(link => link.shortcode === 'last').clicks).toBe(1);
+  });
+});
+
+describe('planPreview', () => {
+  let manager;
+
+  beforeEach(() => {
+    manager = new URLManager(new MemoryStorage(), { domains: ['https://sho.rt'] });
+  });
+
+  it('previews links that can be followed or unlocked without counting a click', () => {
+    manager.createShortUrl('https://example.com', 30, 'open');
+    manager.createShortUrl('https://example.com', 30, 'locked', { password: 'hunter2' });
+
+    expect(planPreview(manager, 'open', null)).toEqual({ page: 'preview', link: { shortcode: 'open', domain: null, autoContinue: false } });
+    expect(planPreview(manager, 'locked', null).page).toBe('preview');
+    expect(manager.getUrlByShortcode('open').clicks).toBe(0);
+  });
+
+  it.each([
+    ['missing', () => {}],
+    ['disabled', (m) => m.setDisabled(m.createShortUrl('https://example.com', 30, 'code').shortcode, true)]
+  ])('shows the unavailable page for a %s link', (status, setup) => {
+    setup(manager);
+    expect(planPreview(manager, 'code', null)).toMatchObject({ page: 'unavailable', link: { shortcode: 'code', status } });
+  });
+});
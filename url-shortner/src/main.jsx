@@ -1,5 +1,15 @@
 import React from 'react'
 import ReactDOM from 'react-dom/client'
 import App from './App.jsx'
+import { RemoteStorage, setDefaultStorage } from './lib/storage/index.js'
 
-ReactDOM.createRoot(document.getElementById('root')).render(<App />)
\ No newline at end of file
+const render = () => ReactDOM.createRoot(document.getElementById('root')).render(<App />)
+
+// Share links through the Node server when it serves the app; fall back to localStorage otherwise
+RemoteStorage.connect()
+  .then((storage) => {
+    setDefaultStorage(storage)
+    storage.startSync()
+  })
+  .catch(() => {})
+  .finally(render)
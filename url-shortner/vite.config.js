@@ -5,5 +5,9 @@ export default defineConfig({
   plugins: [react()],
   server: {
     port: 3000
+  },
+  // Unit and server tests run in Node; component tests opt into jsdom with a @vitest-environment comment
+  test: {
+    environment: 'node'
   }
 })
\ No newline at end of file